@@ -1,379 +1,535 @@
-
-// attitudeControl.js
-import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
-
-// Attitude control system manager
-class AttitudeControlSystem {
-    constructor(satBody, scene) {
-        this.satBody = satBody;
-        this.scene = scene;
-        this.mode = 'thrusters'; // 'thrusters', 'reactionwheels', or 'cmgs'
-        this.reactionWheels = [];
-        this.cmgs = [];
-        this.loaded = false;
-        this.desaturationActive = false;
-        this.centerOfMassOffset = {x: 0, y: 0, z: 0};
-    }
-
-    // Method to set center of mass offset and update existing reaction wheels
-    setCenterOfMassOffset(offset) {
-        this.centerOfMassOffset = {
-            x: offset.x || 0,
-            y: offset.y || 0,
-            z: offset.z || 0
-        };
-        // Update existing reaction wheels positions
-        this.reactionWheels.forEach(wheel => {
-            wheel.position.x -= this.centerOfMassOffset.x;
-            wheel.position.y -= this.centerOfMassOffset.y;
-            wheel.position.z -= this.centerOfMassOffset.z;
-        });
-    }
-
-    // Dummy method to maintain compatibility with existing code
-    setSatelliteMesh(satMesh) {
-        // No visualization code needed since we've removed all visuals
-    }
-
-    async initialize() {
-        try {
-            await this.loadReactionWheels();
-            console.log('Reaction wheels loaded successfully');
-        } catch (error) {
-            console.warn('Failed to load reaction wheels:', error);
-        }
-
-        try {
-            await this.loadCMGs();
-            console.log('CMGs loaded successfully');
-        } catch (error) {
-            console.warn('Failed to load CMGs:', error);
-        }
-
-        this.loaded = this.reactionWheels.length > 0 || this.cmgs.length > 0;
-        return this.loaded;
-    }
-
-    // New function to initialize with configuration objects
-    async initializeWithConfigs(reactionWheelsConfig, cmgConfig) {
-        try {
-            if (reactionWheelsConfig) {
-                this.processReactionWheelsConfig(reactionWheelsConfig);
-                console.log('Reaction wheels loaded successfully from config');
-            }
-        } catch (error) {
-            console.warn('Failed to load reaction wheels from config:', error);
-        }
-
-        try {
-            if (cmgConfig) {
-                this.processCMGsConfig(cmgConfig);
-                console.log('CMGs loaded successfully from config');
-            }
-        } catch (error) {
-            console.warn('Failed to load CMGs from config:', error);
-        }
-
-        this.loaded = this.reactionWheels.length > 0 || this.cmgs.length > 0;
-        return this.loaded;
-    }
-
-    async loadReactionWheels() {
-        const response = await fetch('reactionwheels.json');
-        if (!response.ok) throw new Error('Reaction wheels file not found');
-        
-        const data = await response.json();
-        this.processReactionWheelsConfig(data);
-    }
-
-    processReactionWheelsConfig(data) {
-        data.wheels.forEach((wheelConfig, index) => {
-            const rawOrientation = new CANNON.Vec3(
-                parseFloat(wheelConfig.orientation?.x) ?? 0,
-                parseFloat(wheelConfig.orientation?.y) ?? 0,
-                parseFloat(wheelConfig.orientation?.z) ?? 1
-            );
-            const normalizedOrientation = rawOrientation.unit();
-
-            const wheel = {
-                index: index,
-                name: wheelConfig.name || `RW${index}`,
-                orientation: normalizedOrientation,
-                position: new CANNON.Vec3(
-                    parseFloat(wheelConfig.position?.x ?? 0) - (this.centerOfMassOffset?.x || 0),
-                    parseFloat(wheelConfig.position?.y ?? 0) - (this.centerOfMassOffset?.y || 0),
-                    parseFloat(wheelConfig.position?.z ?? 0) - (this.centerOfMassOffset?.z || 0)
-                ),
-                maxAngularMomentum: parseFloat(wheelConfig.maxAngularMomentum) ?? 10,
-                maxTorque: parseFloat(wheelConfig.maxTorque) ?? 0.5,
-                currentAngularMomentum: 0
-            };
-            
-            this.reactionWheels.push(wheel);
-        });
-    }
-
-    async loadCMGs() {
-        const response = await fetch('cmg.json');
-        if (!response.ok) throw new Error('CMG file not found');
-        
-        const data = await response.json();
-        this.processCMGsConfig(data);
-    }
-
-    processCMGsConfig(data) {
-        // Check if CMG configuration exists
-        // data can be either { cmgs: [...] } or { cmg: { cmgs: [...] } }
-        const cmgsArray = data.cmgs || (data.cmg && data.cmg.cmgs);
-        
-        if (!cmgsArray || cmgsArray.length === 0) {
-            console.log('No CMG configuration found, CMG system not initialized');
-            return;
-        }
-        
-        // New CMG format: array of CMGs, each with its own properties
-        cmgsArray.forEach((cmgConfig, index) => {
-            const cmg = {
-                index: index,
-                name: cmgConfig.name || `CMG${index}`,
-                maxAngularMomentum: parseFloat(cmgConfig.maxAngularMomentum) ?? 200,
-                maxTorque: parseFloat(cmgConfig.maxTorque) ?? 5,
-                currentAngularMomentum: new CANNON.Vec3(0, 0, 0)
-            };
-            
-            this.cmgs.push(cmg);
-        });
-    }
-
-    toggleMode() {
-        if (!this.loaded) {
-            console.warn('No attitude control systems loaded');
-            return 'thrusters';
-        }
-        
-        if (this.mode === 'thrusters') {
-            this.mode = 'reactionwheels';
-        } else if (this.mode === 'reactionwheels' && this.cmgs.length > 0) {
-            this.mode = 'cmgs';
-        } else {
-            this.mode = 'thrusters';
-        }
-        
-        return this.mode;
-    }
-
-    applyControlTorque(torque) {
-        if (this.mode === 'reactionwheels') {
-            this.applyReactionWheelControl(torque);
-        } else if (this.mode === 'cmgs') {
-            this.applyCMGControl(torque);
-        }
-    }
-
-    applyReactionWheelControl(torque) {
-        // Apply torque using reaction wheels
-        this.reactionWheels.forEach(wheel => {
-            const wheelAxis = wheel.orientation;
-            const requestedTorqueAlongWheel = wheelAxis.dot(torque);
-
-            // Determine how much torque wheel can actually apply before saturating
-            let actualTorqueApplied = 0;
-            const dt = 1/60; // Time step
-
-            if (requestedTorqueAlongWheel > 0) {
-                // Requesting positive torque, check against max momentum
-                const momentumCapacity = wheel.maxAngularMomentum - wheel.currentAngularMomentum;
-                const maxPossibleTorque = momentumCapacity / dt;
-                actualTorqueApplied = Math.min(requestedTorqueAlongWheel, maxPossibleTorque);
-            } else if (requestedTorqueAlongWheel < 0) {
-                // Requesting negative torque, check against min momentum
-                const momentumCapacity = wheel.currentAngularMomentum - (-wheel.maxAngularMomentum);
-                const maxPossibleTorque = momentumCapacity / dt;
-                actualTorqueApplied = Math.max(requestedTorqueAlongWheel, -maxPossibleTorque);
-            }
-
-            // Update wheel's angular momentum based on ACTUAL torque applied
-            const deltaMomentum = actualTorqueApplied * dt;
-            wheel.currentAngularMomentum += deltaMomentum;
-            
-            // Apply reaction torque to satellite (opposite to ACTUAL torque applied to wheel)
-            const reactionTorque = wheelAxis.scale(-actualTorqueApplied);
-
-            // Convert local torque to world coordinates correctly
-            const worldTorque = new CANNON.Vec3();
-            this.satBody.quaternion.vmult(reactionTorque, worldTorque);
-            this.satBody.applyTorque(worldTorque);
-        });
-    }
-
-    applyCMGControl(torque) {
-        const dt = 1/60; // Physics timestep
-        const desiredLocalTorque = torque;
-        
-        // Check if CMGs exist
-        if (this.cmgs.length === 0) return;
-
-        // Apply torque to each CMG
-        this.cmgs.forEach(cmg => {
-            // Calculate current total angular momentum magnitude
-            const currentMomentumMag = cmg.currentAngularMomentum.length();
-            
-            // Limit torque based on available momentum capacity (magnitude-based, not per-axis)
-            let actualTorque = new CANNON.Vec3(desiredLocalTorque.x, desiredLocalTorque.y, desiredLocalTorque.z);
-            
-            // Calculate the momentum change that would result from applying full torque
-            // Note: deltaMomentum = -torque * dt (momentum is stored opposite to torque on spacecraft)
-            const desiredDeltaMomentum = actualTorque.scale(dt * -1);
-            const desiredDeltaMomentumMag = desiredDeltaMomentum.length();
-            
-            // Check if torque would increase or decrease momentum magnitude
-            const dotProduct = cmg.currentAngularMomentum.dot(desiredDeltaMomentum);
-            
-            // If torque would increase momentum (dot product > 0) and we're at max, scale it down
-            if (dotProduct > 0 && currentMomentumMag >= cmg.maxAngularMomentum) {
-                // Calculate how much momentum we can add
-                const availableMomentum = cmg.maxAngularMomentum - currentMomentumMag;
-                // Scale torque so we don't exceed max momentum
-                const scaleFactor = availableMomentum / (dotProduct);
-                actualTorque.scale(scaleFactor, actualTorque);
-            }
-            
-            // Also clamp to max torque limit
-            const actualTorqueMag = actualTorque.length();
-            if (actualTorqueMag > cmg.maxTorque) {
-                actualTorque.scale(cmg.maxTorque / actualTorqueMag, actualTorque);
-            }
-            
-            // Update CMG angular momentum (opposite to torque applied to spacecraft)
-            const deltaMomentum = actualTorque.scale(dt * -1);
-            cmg.currentAngularMomentum.vadd(deltaMomentum, cmg.currentAngularMomentum);
-            
-            // Apply torque to satellite body
-            const worldTorque = new CANNON.Vec3();
-            this.satBody.quaternion.vmult(actualTorque, worldTorque);
-            this.satBody.applyTorque(worldTorque);
-        });
-    }
-
-    desaturateWithThrusters(thrusters, keyToThrusterIndices) {
-        if (this.mode === 'reactionwheels') {
-            this.desaturationActive = true;
-            
-            let totalMomentum = new CANNON.Vec3(0, 0, 0);
-            this.reactionWheels.forEach(wheel => {
-                const momentum = wheel.orientation.scale(wheel.currentAngularMomentum);
-                totalMomentum.vadd(momentum, totalMomentum);
-            });
-            
-            if (totalMomentum.length() > 0.1) {
-                const thrustDirection = totalMomentum.unit().scale(-1);
-                
-                thrusters.forEach((thruster, index) => {
-                    const torqueDirection = thruster.pos.cross(thruster.dir);
-                    const alignment = torqueDirection.dot(thrustDirection);
-                    
-                    if (alignment > 0.5) {
-                        const force = thruster.dir.scale(thruster.thrust * 0.5);
-                        this.satBody.applyLocalForce(force, thruster.pos);
-                        
-                        this.reactionWheels.forEach(wheel => {
-                            const reduction = wheel.orientation.scale(alignment * 0.01);
-                            const newMomentum = wheel.currentAngularMomentum - reduction.length();
-                            wheel.currentAngularMomentum = Math.max(
-                                -wheel.maxAngularMomentum,
-                                Math.min(wheel.maxAngularMomentum, newMomentum)
-                            );
-                        });
-                    }
-                });
-            }
-            
-            let maxMomentum = 0;
-            this.reactionWheels.forEach(wheel => {
-                maxMomentum = Math.max(maxMomentum, Math.abs(wheel.currentAngularMomentum));
-            });
-            
-            if (maxMomentum < 0.5) {
-                this.desaturationActive = false;
-            }
-        } else if (this.mode === 'cmgs') {
-            this.desaturationActive = true;
-            
-            // Calculate total momentum across all CMGs
-            let totalMomentum = new CANNON.Vec3(0, 0, 0);
-            this.cmgs.forEach(cmg => {
-                totalMomentum.vadd(cmg.currentAngularMomentum, totalMomentum);
-            });
-            
-            const totalMomentumMag = totalMomentum.length();
-            
-            // If total momentum is above threshold, use thrusters to desaturate all CMGs
-            if (totalMomentumMag > 10) {  // Threshold for desaturation
-                const momentumDir = totalMomentum.unit().scale(-1);
-                
-                thrusters.forEach((thruster, index) => {
-                    const torqueDirection = thruster.pos.cross(thruster.dir);
-                    const alignment = torqueDirection.dot(momentumDir);
-                    
-                    if (alignment > 0.5) {
-                        const force = thruster.dir.scale(thruster.thrust * 0.3);
-                        this.satBody.applyLocalForce(force, thruster.pos);
-                        
-                        // Reduce all CMGs' momentum
-                        const reductionFactor = 0.02;
-                        this.cmgs.forEach(cmg => {
-                            const reduction = momentumDir.scale(reductionFactor);
-                            cmg.currentAngularMomentum.vsub(reduction, cmg.currentAngularMomentum);
-                        });
-                    }
-                });
-            }
-            
-            // Recalculate total momentum
-            totalMomentum = new CANNON.Vec3(0, 0, 0);
-            this.cmgs.forEach(cmg => {
-                totalMomentum.vadd(cmg.currentAngularMomentum, totalMomentum);
-            });
-            
-            if (totalMomentum.length() < 5) {
-                this.desaturationActive = false;
-            }
-        }
-    }
-
-    getStatus() {
-        const status = {
-            mode: this.mode,
-            loaded: this.loaded,
-            desaturationActive: this.desaturationActive
-        };
-        
-        if (this.mode === 'reactionwheels' && this.reactionWheels.length > 0) {
-            status.reactionWheels = this.reactionWheels.map(wheel => ({
-                name: wheel.name,
-                momentum: wheel.currentAngularMomentum,
-                maxMomentum: wheel.maxAngularMomentum,
-                percentage: (wheel.currentAngularMomentum / wheel.maxAngularMomentum * 100).toFixed(1)
-            }));
-        } else if (this.mode === 'cmgs' && this.cmgs.length > 0) {
-            // Handle multiple CMGs
-            status.cmgs = this.cmgs.map(cmg => {
-                const momentumMag = cmg.currentAngularMomentum.length();
-                return {
-                    name: cmg.name,
-                    momentum: momentumMag,
-                    maxMomentum: cmg.maxAngularMomentum,
-                    momentumX: cmg.currentAngularMomentum.x,
-                    momentumY: cmg.currentAngularMomentum.y,
-                    momentumZ: cmg.currentAngularMomentum.z,
-                    percentage: (momentumMag / cmg.maxAngularMomentum * 100).toFixed(1)
-                };
-            });
-        }
-        
-        return status;
-    }
-}
-
-export { AttitudeControlSystem };
+
+// attitudeControl.js
+import * as CANNON from 'cannon-es';
+import { allocateWheelTorques, nullSpaceTorques } from './wheelAllocation.js';
+import { applyGyroscopicTorque, getAngularMomentum } from './massProperties.js';
+import { STEERING_LAWS, cmgMomentum, gimbalTorqueAxis, singularityMeasure, steerGimbals } from './cmgSteering.js';
+import { parseNumber } from './configValues.js';
+
+const RPM_TO_RAD_PER_SEC = Math.PI / 30;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Attitude control system manager
+class AttitudeControlSystem {
+    constructor(satBody, scene) {
+        this.satBody = satBody;
+        this.scene = scene;
+        this.mode = 'thrusters'; // 'thrusters', 'reactionwheels', or 'cmgs'
+        this.reactionWheels = [];
+        this.cmgs = [];
+        this.loaded = false;
+        this.centerOfMassOffset = {x: 0, y: 0, z: 0};
+        // How fast redundant wheels even out the momentum they hold (1/s), see wheelAllocation.js
+        this.nullSpaceGain = 0.1;
+        // How single-gimbal CMGs are steered, see cmgSteering.js
+        this.steeringLaw = 'singularityRobust';
+        this.singularityGain = 0.01;
+        this.singularityDecay = 10;
+    }
+
+    // Method to set center of mass offset and update existing reaction wheels
+    setCenterOfMassOffset(offset) {
+        this.centerOfMassOffset = {
+            x: offset.x || 0,
+            y: offset.y || 0,
+            z: offset.z || 0
+        };
+        // Update existing reaction wheels positions
+        this.reactionWheels.forEach(wheel => {
+            wheel.position.x -= this.centerOfMassOffset.x;
+            wheel.position.y -= this.centerOfMassOffset.y;
+            wheel.position.z -= this.centerOfMassOffset.z;
+        });
+    }
+
+    // Dummy method to maintain compatibility with existing code
+    setSatelliteMesh(satMesh) {
+        // No visualization code needed since we've removed all visuals
+    }
+
+    async initialize() {
+        try {
+            await this.loadReactionWheels();
+            console.log('Reaction wheels loaded successfully');
+        } catch (error) {
+            console.warn('Failed to load reaction wheels:', error);
+        }
+
+        try {
+            await this.loadCMGs();
+            console.log('CMGs loaded successfully');
+        } catch (error) {
+            console.warn('Failed to load CMGs:', error);
+        }
+
+        this.loaded = this.reactionWheels.length > 0 || this.cmgs.length > 0;
+        return this.loaded;
+    }
+
+    // New function to initialize with configuration objects
+    async initializeWithConfigs(reactionWheelsConfig, cmgConfig) {
+        try {
+            if (reactionWheelsConfig) {
+                this.processReactionWheelsConfig(reactionWheelsConfig);
+                console.log('Reaction wheels loaded successfully from config');
+            }
+        } catch (error) {
+            console.warn('Failed to load reaction wheels from config:', error);
+        }
+
+        try {
+            if (cmgConfig) {
+                this.processCMGsConfig(cmgConfig);
+                console.log('CMGs loaded successfully from config');
+            }
+        } catch (error) {
+            console.warn('Failed to load CMGs from config:', error);
+        }
+
+        this.loaded = this.reactionWheels.length > 0 || this.cmgs.length > 0;
+        return this.loaded;
+    }
+
+    async loadReactionWheels() {
+        const response = await fetch('reactionwheels.json');
+        if (!response.ok) throw new Error('Reaction wheels file not found');
+        
+        const data = await response.json();
+        this.processReactionWheelsConfig(data);
+    }
+
+    processReactionWheelsConfig(data) {
+        if (data.nullSpaceGain !== undefined && !isNaN(parseFloat(data.nullSpaceGain))) {
+            this.nullSpaceGain = Math.max(0, parseFloat(data.nullSpaceGain));
+        }
+        data.wheels.forEach((wheelConfig, index) => {
+            const rawOrientation = new CANNON.Vec3(
+                parseFloat(wheelConfig.orientation?.x) ?? 0,
+                parseFloat(wheelConfig.orientation?.y) ?? 0,
+                parseFloat(wheelConfig.orientation?.z) ?? 1
+            );
+            const normalizedOrientation = rawOrientation.unit();
+
+            const wheel = {
+                index: index,
+                name: wheelConfig.name || `RW${index}`,
+                orientation: normalizedOrientation,
+                position: new CANNON.Vec3(
+                    parseFloat(wheelConfig.position?.x ?? 0) - (this.centerOfMassOffset?.x || 0),
+                    parseFloat(wheelConfig.position?.y ?? 0) - (this.centerOfMassOffset?.y || 0),
+                    parseFloat(wheelConfig.position?.z ?? 0) - (this.centerOfMassOffset?.z || 0)
+                ),
+                maxAngularMomentum: parseFloat(wheelConfig.maxAngularMomentum) ?? 10,
+                maxTorque: parseFloat(wheelConfig.maxTorque) ?? 0.5,
+                // The rotor and its motor, all optional; without them the wheel is just a store of momentum
+                inertia: parseNumber(wheelConfig.inertia, 0),                               // kg·m² about the spin axis
+                maxSpeed: parseNumber(wheelConfig.maxRPM, 0) * RPM_TO_RAD_PER_SEC,          // rad/s
+                noLoadSpeed: parseNumber(wheelConfig.noLoadRPM, 0) * RPM_TO_RAD_PER_SEC,    // rad/s; back-EMF leaves no torque
+                viscousFriction: Math.max(0, parseNumber(wheelConfig.viscousFriction, 0)),  // N·m per rad/s
+                coulombFriction: Math.max(0, parseNumber(wheelConfig.coulombFriction, 0)),  // N·m
+                frictionTorque: 0,
+                currentAngularMomentum: 0
+            };
+
+            // With a rotor inertia the speed limit is a momentum limit, and the other way round
+            if (wheel.inertia > 0 && wheel.maxSpeed > 0) {
+                const momentumLimit = wheel.inertia * wheel.maxSpeed;
+                if (!isNaN(wheel.maxAngularMomentum) && Math.abs(wheel.maxAngularMomentum - momentumLimit) > 1e-6 * momentumLimit) {
+                    console.warn(`${wheel.name}: maxAngularMomentum ${wheel.maxAngularMomentum} N·m·s doesn't match inertia × maxRPM (${momentumLimit.toFixed(3)} N·m·s), using the latter`);
+                }
+                wheel.maxAngularMomentum = momentumLimit;
+            } else if (wheel.inertia > 0) {
+                wheel.maxSpeed = wheel.maxAngularMomentum / wheel.inertia;
+            }
+            
+            this.reactionWheels.push(wheel);
+        });
+    }
+
+    async loadCMGs() {
+        const response = await fetch('cmg.json');
+        if (!response.ok) throw new Error('CMG file not found');
+        
+        const data = await response.json();
+        this.processCMGsConfig(data);
+    }
+
+    processCMGsConfig(data) {
+        // Check if CMG configuration exists
+        // data can be either { cmgs: [...] } or { cmg: { cmgs: [...] } }
+        const cmgsArray = data.cmgs || (data.cmg && data.cmg.cmgs);
+        
+        if (!cmgsArray || cmgsArray.length === 0) {
+            console.log('No CMG configuration found, CMG system not initialized');
+            return;
+        }
+
+        // Steering settings sit next to the cmgs array
+        const settings = data.cmgs ? data : data.cmg;
+        if (STEERING_LAWS.includes(settings.steeringLaw)) this.steeringLaw = settings.steeringLaw;
+        this.singularityGain = Math.max(0, parseNumber(settings.singularityGain, this.singularityGain));
+        this.singularityDecay = Math.max(0, parseNumber(settings.singularityDecay, this.singularityDecay));
+        
+        // New CMG format: array of CMGs, each with its own properties
+        cmgsArray.forEach((cmgConfig, index) => {
+            const cmg = {
+                index: index,
+                name: cmgConfig.name || `CMG${index}`,
+                maxAngularMomentum: parseFloat(cmgConfig.maxAngularMomentum) ?? 200,
+                maxTorque: parseFloat(cmgConfig.maxTorque) ?? 5,
+                currentAngularMomentum: new CANNON.Vec3(0, 0, 0)
+            };
+            // With a gimbal axis it is a single-gimbal CMG, otherwise a simple momentum store
+            if (cmgConfig.gimbalAxis) this.setUpGimbal(cmg, cmgConfig);
+            
+            this.cmgs.push(cmg);
+        });
+    }
+
+    // A single-gimbal CMG: a rotor of fixed momentum, turned about the gimbal axis from the spin axis
+    setUpGimbal(cmg, cmgConfig) {
+        const gimbalAxis = parseAxis(cmgConfig.gimbalAxis);
+        if (!gimbalAxis) {
+            console.warn(`${cmg.name}: gimbalAxis has no direction, so it is a momentum store`);
+            return;
+        }
+        // The spin axis must be square to the gimbal axis; by default it is the body axis furthest from it
+        let spinAxis = parseAxis(cmgConfig.spinAxis);
+        if (!spinAxis || spinAxis.cross(gimbalAxis).length() < 1e-6) {
+            spinAxis = [new CANNON.Vec3(1, 0, 0), new CANNON.Vec3(0, 1, 0), new CANNON.Vec3(0, 0, 1)]
+                .reduce((best, axis) => Math.abs(axis.dot(gimbalAxis)) < Math.abs(best.dot(gimbalAxis)) ? axis : best);
+        }
+        spinAxis = spinAxis.vsub(gimbalAxis.scale(spinAxis.dot(gimbalAxis))).unit();
+
+        cmg.gimbalAxis = gimbalAxis;
+        cmg.spinAxis = spinAxis;
+        cmg.rotorMomentum = parseNumber(cmgConfig.rotorMomentum, isNaN(cmg.maxAngularMomentum) ? 200 : cmg.maxAngularMomentum);
+        cmg.maxAngularMomentum = cmg.rotorMomentum;
+        cmg.maxGimbalRate = parseNumber(cmgConfig.maxGimbalRate, 60) * DEG_TO_RAD;
+        if (isNaN(cmg.maxTorque)) cmg.maxTorque = cmg.rotorMomentum * cmg.maxGimbalRate;
+        // Faults scale maxTorque, and the gimbal rate limit with it
+        cmg.ratedTorque = cmg.maxTorque;
+        cmg.initialGimbalAngle = parseNumber(cmgConfig.gimbalAngle, 0) * DEG_TO_RAD;
+        this.resetCMG(cmg);
+    }
+
+    // Back to the start: a gimbal to its starting angle, a momentum store emptied
+    resetCMG(cmg) {
+        if (cmg.gimbalAxis) {
+            cmg.gimbalAngle = cmg.initialGimbalAngle;
+            cmg.gimbalRate = 0;
+            cmgMomentum(cmg, cmg.gimbalAngle, cmg.currentAngularMomentum);
+        } else {
+            cmg.currentAngularMomentum.set(0, 0, 0);
+        }
+    }
+
+    // Fastest a gimbal can turn, rad/s; less with a degraded CMG, none with a failed one
+    getGimbalRateLimit(cmg) {
+        return cmg.ratedTorque > 0 ? cmg.maxGimbalRate * Math.max(0, cmg.maxTorque) / cmg.ratedTorque : 0;
+    }
+
+    // The next steering law for single-gimbal CMGs
+    cycleSteeringLaw() {
+        this.steeringLaw = STEERING_LAWS[(STEERING_LAWS.indexOf(this.steeringLaw) + 1) % STEERING_LAWS.length];
+        return this.steeringLaw;
+    }
+
+    getSteeringOptions(gimbaled) {
+        return {
+            law: this.steeringLaw,
+            gain: this.singularityGain,
+            decay: this.singularityDecay,
+            scale: gimbaled.reduce((sum, cmg) => sum + cmg.rotorMomentum, 0) / gimbaled.length
+        };
+    }
+
+    // How far the working single-gimbal CMGs are from a singularity, 0 at one (see cmgSteering.js)
+    getSingularityMeasure() {
+        const gimbaled = this.cmgs.filter(cmg => cmg.gimbalAxis);
+        if (gimbaled.length === 0) return null;
+        const usable = gimbaled.filter(cmg => this.getGimbalRateLimit(cmg) > 0);
+        const columns = usable.map(cmg => gimbalTorqueAxis(cmg, cmg.gimbalAngle));
+        return singularityMeasure(columns, this.getSteeringOptions(gimbaled).scale);
+    }
+
+    toggleMode() {
+        if (!this.loaded) {
+            console.warn('No attitude control systems loaded');
+            return 'thrusters';
+        }
+        
+        if (this.mode === 'thrusters') {
+            this.mode = 'reactionwheels';
+        } else if (this.mode === 'reactionwheels' && this.cmgs.length > 0) {
+            this.mode = 'cmgs';
+        } else {
+            this.mode = 'thrusters';
+        }
+        
+        return this.mode;
+    }
+
+    // dt is the physics step the torque is held for, in seconds
+    applyControlTorque(torque, dt = 1/60) {
+        if (this.mode === 'reactionwheels') {
+            this.applyReactionWheelControl(torque, dt);
+        } else if (this.mode === 'cmgs') {
+            this.applyCMGControl(torque, dt);
+        }
+    }
+
+    // The wheels together take up the commanded torque, and the spacecraft turns the
+    // other way. It is shared between them by the pseudo-inverse of their axes, so skewed
+    // and redundant arrays (a four-wheel pyramid) give just the torque asked for; a wheel
+    // at its torque or momentum limit leaves its share to the others. Redundant wheels
+    // also trade momentum among themselves to keep it evenly spread.
+    applyReactionWheelControl(torque, dt = 1/60) {
+        const wheels = this.reactionWheels;
+        if (wheels.length === 0) return;
+
+        const axes = wheels.map(wheel => wheel.orientation);
+        const momenta = wheels.map(wheel => wheel.currentAngularMomentum);
+        // What each wheel can give this step: its motor torque at the speed it is turning,
+        // and no more momentum than it can hold
+        const limits = wheels.map(wheel => ({
+            min: Math.max(-this.getMotorTorqueLimit(wheel, -1), (-wheel.maxAngularMomentum - wheel.currentAngularMomentum) / dt),
+            max: Math.min(this.getMotorTorqueLimit(wheel, 1), (wheel.maxAngularMomentum - wheel.currentAngularMomentum) / dt)
+        }));
+        const usable = limits.map(limit => limit.max > limit.min);
+        const balancing = nullSpaceTorques(axes, momenta, this.nullSpaceGain, usable);
+        const wheelTorques = allocateWheelTorques(axes, torque, limits, balancing);
+
+        // Reaction torque on the satellite, opposite to what the wheels take up
+        const reactionTorque = new CANNON.Vec3(0, 0, 0);
+        wheels.forEach((wheel, i) => {
+            wheel.currentAngularMomentum += wheelTorques[i] * dt;
+            reactionTorque.vsub(wheel.orientation.scale(wheelTorques[i]), reactionTorque);
+        });
+
+        const worldTorque = new CANNON.Vec3();
+        this.satBody.quaternion.vmult(reactionTorque, worldTorque);
+        this.satBody.applyTorque(worldTorque);
+    }
+
+    // Spin rate in rad/s, or null for a wheel with no rotor inertia given
+    getWheelSpeed(wheel) {
+        return wheel.inertia > 0 ? wheel.currentAngularMomentum / wheel.inertia : null;
+    }
+
+    // The most torque the motor can give one way (direction +1 or -1) at the wheel's speed now.
+    // Back-EMF takes it away as the wheel spins up, leaving none at the no-load speed;
+    // slowing the wheel down gets all of it.
+    getMotorTorqueLimit(wheel, direction) {
+        const speed = this.getWheelSpeed(wheel);
+        if (!(wheel.noLoadSpeed > 0) || speed === null || speed * direction <= 0) return wheel.maxTorque;
+        return wheel.maxTorque * Math.max(0, 1 - Math.abs(speed) / wheel.noLoadSpeed);
+    }
+
+    // Bearing friction, viscous and Coulomb, slows every spinning wheel whatever the mode.
+    // The spacecraft takes up the momentum the wheels lose, so it feels it as a disturbance torque.
+    applyWheelFriction(dt = 1/60) {
+        const reactionTorque = new CANNON.Vec3(0, 0, 0);
+        this.reactionWheels.forEach(wheel => {
+            const speed = this.getWheelSpeed(wheel);
+            wheel.frictionTorque = 0;
+            if (!speed || (wheel.viscousFriction === 0 && wheel.coulombFriction === 0)) return;
+
+            // Friction stops the wheel at most, it never spins it the other way
+            const magnitude = Math.min(
+                wheel.viscousFriction * Math.abs(speed) + wheel.coulombFriction,
+                Math.abs(wheel.currentAngularMomentum) / dt
+            );
+            wheel.frictionTorque = -Math.sign(speed) * magnitude;
+            wheel.currentAngularMomentum += wheel.frictionTorque * dt;
+            reactionTorque.vsub(wheel.orientation.scale(wheel.frictionTorque), reactionTorque);
+        });
+        if (reactionTorque.isZero()) return;
+
+        const worldTorque = new CANNON.Vec3();
+        this.satBody.quaternion.vmult(reactionTorque, worldTorque);
+        this.satBody.applyTorque(worldTorque);
+    }
+
+    // The momentum the wheels and CMGs hold together, body axes
+    getStoredMomentum(target = new CANNON.Vec3()) {
+        this.getWheelMomentum(target);
+        this.cmgs.forEach(cmg => target.vadd(cmg.currentAngularMomentum, target));
+        return target;
+    }
+
+    // The momentum the reaction wheels hold, body axes
+    getWheelMomentum(target = new CANNON.Vec3()) {
+        target.set(0, 0, 0);
+        this.reactionWheels.forEach(wheel => target.vadd(wheel.orientation.scale(wheel.currentAngularMomentum), target));
+        return target;
+    }
+
+    // The momentum the CMGs hold, body axes
+    getCMGMomentum(target = new CANNON.Vec3()) {
+        target.set(0, 0, 0);
+        this.cmgs.forEach(cmg => target.vadd(cmg.currentAngularMomentum, target));
+        return target;
+    }
+
+    // The spacecraft's angular momentum about its center of mass, with what its actuators hold,
+    // world frame. Only outside torques (thrusters, disturbances, contacts) change it.
+    getTotalAngularMomentum(target = new CANNON.Vec3()) {
+        const stored = this.satBody.quaternion.vmult(this.getStoredMomentum());
+        getAngularMomentum(this.satBody, target).vadd(stored, target);
+        return target;
+    }
+
+    // Euler's equations for the spacecraft and the momentum it carries: besides -ω × (I·ω),
+    // the wheels' and CMGs' momentum turns with the body and gives -ω × h, the gyroscopic
+    // stiffness of a spinning wheel. Call it once per physics step, before world.step().
+    applyGyroscopicCoupling(dt = 1/60) {
+        const stored = this.satBody.quaternion.vmult(this.getStoredMomentum());
+        applyGyroscopicTorque(this.satBody, dt, stored);
+    }
+
+    // Single-gimbal CMGs are steered to give the torque; CMGs without a gimbal (momentum stores)
+    // make up whatever they couldn't
+    applyCMGControl(torque, dt = 1/60) {
+        // Check if CMGs exist
+        if (this.cmgs.length === 0) return;
+
+        const gimbaled = this.cmgs.filter(cmg => cmg.gimbalAxis);
+        const desiredLocalTorque = gimbaled.length > 0 ? torque.vsub(this.steerCMGs(gimbaled, torque, dt)) : torque;
+
+        // Apply torque to each CMG
+        this.cmgs.forEach(cmg => {
+            if (cmg.gimbalAxis) return;
+
+            // Calculate current total angular momentum magnitude
+            const currentMomentumMag = cmg.currentAngularMomentum.length();
+            
+            // Limit torque based on available momentum capacity (magnitude-based, not per-axis)
+            let actualTorque = new CANNON.Vec3(desiredLocalTorque.x, desiredLocalTorque.y, desiredLocalTorque.z);
+            
+            // Calculate the momentum change that would result from applying full torque
+            // Note: deltaMomentum = -torque * dt (momentum is stored opposite to torque on spacecraft)
+            const desiredDeltaMomentum = actualTorque.scale(dt * -1);
+            const desiredDeltaMomentumMag = desiredDeltaMomentum.length();
+            
+            // Check if torque would increase or decrease momentum magnitude
+            const dotProduct = cmg.currentAngularMomentum.dot(desiredDeltaMomentum);
+            
+            // If torque would increase momentum (dot product > 0) and we're at max, scale it down
+            if (dotProduct > 0 && currentMomentumMag >= cmg.maxAngularMomentum) {
+                // Calculate how much momentum we can add
+                const availableMomentum = cmg.maxAngularMomentum - currentMomentumMag;
+                // Scale torque so we don't exceed max momentum
+                const scaleFactor = availableMomentum / (dotProduct);
+                actualTorque.scale(scaleFactor, actualTorque);
+            }
+            
+            // Also clamp to max torque limit
+            const actualTorqueMag = actualTorque.length();
+            if (actualTorqueMag > cmg.maxTorque) {
+                actualTorque.scale(cmg.maxTorque / actualTorqueMag, actualTorque);
+            }
+            
+            // Update CMG angular momentum (opposite to torque applied to spacecraft)
+            const deltaMomentum = actualTorque.scale(dt * -1);
+            cmg.currentAngularMomentum.vadd(deltaMomentum, cmg.currentAngularMomentum);
+            
+            // Apply torque to satellite body
+            const worldTorque = new CANNON.Vec3();
+            this.satBody.quaternion.vmult(actualTorque, worldTorque);
+            this.satBody.applyTorque(worldTorque);
+        });
+    }
+
+    // Turns the gimbals to give the spacecraft the torque (body frame), by the steering law and
+    // within the gimbal rate limits. Returns the torque they gave.
+    steerCMGs(gimbaled, torque, dt) {
+        const usable = gimbaled.filter(cmg => this.getGimbalRateLimit(cmg) > 0);
+        const columns = usable.map(cmg => gimbalTorqueAxis(cmg, cmg.gimbalAngle));
+        // The rotors take up the opposite of the torque on the spacecraft
+        const rates = steerGimbals(columns, torque.scale(-1), this.getSteeringOptions(gimbaled));
+
+        // If any gimbal would pass its rate limit, all of them slow down together, so the torque keeps its direction
+        const slowdown = usable.reduce((most, cmg, k) => Math.max(most, Math.abs(rates[k]) / this.getGimbalRateLimit(cmg)), 1);
+
+        gimbaled.forEach(cmg => cmg.gimbalRate = 0);
+        const givenTorque = new CANNON.Vec3(0, 0, 0);
+        usable.forEach((cmg, k) => {
+            const previous = cmg.currentAngularMomentum.clone();
+            cmg.gimbalRate = rates[k] / slowdown;
+            cmg.gimbalAngle = wrapAngle(cmg.gimbalAngle + cmg.gimbalRate * dt);
+            cmgMomentum(cmg, cmg.gimbalAngle, cmg.currentAngularMomentum);
+            // The spacecraft gets just the momentum the rotor gave up over the step
+            givenTorque.vsub(cmg.currentAngularMomentum.vsub(previous).scale(1 / dt), givenTorque);
+        });
+
+        const worldTorque = new CANNON.Vec3();
+        this.satBody.quaternion.vmult(givenTorque, worldTorque);
+        this.satBody.applyTorque(worldTorque);
+        return givenTorque;
+    }
+
+    getStatus() {
+        // So the conservation of momentum between the spacecraft and its actuators can be watched
+        const bodyMomentum = getAngularMomentum(this.satBody);
+        const storedMomentum = this.satBody.quaternion.vmult(this.getStoredMomentum());
+        const status = {
+            mode: this.mode,
+            loaded: this.loaded,
+            angularMomentum: {
+                body: bodyMomentum.length(),
+                stored: storedMomentum.length(),
+                total: bodyMomentum.vadd(storedMomentum).length()
+            }
+        };
+        
+        if (this.mode === 'reactionwheels' && this.reactionWheels.length > 0) {
+            status.reactionWheels = this.reactionWheels.map(wheel => {
+                const speed = this.getWheelSpeed(wheel);
+                return {
+                    name: wheel.name,
+                    momentum: wheel.currentAngularMomentum,
+                    maxMomentum: wheel.maxAngularMomentum,
+                    percentage: (wheel.currentAngularMomentum / wheel.maxAngularMomentum * 100).toFixed(1),
+                    rpm: speed === null ? null : speed / RPM_TO_RAD_PER_SEC,
+                    frictionTorque: wheel.frictionTorque
+                };
+            });
+        } else if (this.mode === 'cmgs' && this.cmgs.length > 0) {
+            // Handle multiple CMGs
+            status.cmgs = this.cmgs.map(cmg => {
+                const momentumMag = cmg.currentAngularMomentum.length();
+                return {
+                    name: cmg.name,
+                    momentum: momentumMag,
+                    maxMomentum: cmg.maxAngularMomentum,
+                    momentumX: cmg.currentAngularMomentum.x,
+                    momentumY: cmg.currentAngularMomentum.y,
+                    momentumZ: cmg.currentAngularMomentum.z,
+                    percentage: (momentumMag / cmg.maxAngularMomentum * 100).toFixed(1),
+                    // Degrees and degrees per second, for single-gimbal CMGs
+                    gimbalAngle: cmg.gimbalAxis ? cmg.gimbalAngle / DEG_TO_RAD : null,
+                    gimbalRate: cmg.gimbalAxis ? cmg.gimbalRate / DEG_TO_RAD : null
+                };
+            });
+            const measure = this.getSingularityMeasure();
+            if (measure !== null) status.steering = { law: this.steeringLaw, singularityMeasure: measure };
+        }
+        
+        return status;
+    }
+}
+
+// A unit vector from { x, y, z }, or null if it has no length
+function parseAxis(axis) {
+    if (!axis) return null;
+    const v = new CANNON.Vec3(parseNumber(axis.x, 0), parseNumber(axis.y, 0), parseNumber(axis.z, 0));
+    return v.length() > 0 ? v.unit() : null;
+}
+
+// An angle in (-π, π]
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+export { AttitudeControlSystem };
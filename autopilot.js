@@ -0,0 +1,138 @@
+// File: autopilot.js
+
+import * as CANNON from 'cannon-es';
+import { parseNumber, vec3ToObject } from './configValues.js';
+
+// The keys that push (+) and pull (−) along each body axis, and turn about it.
+// The rotation keys turn the same way with thrusters, wheels and CMGs.
+const TRANSLATION_KEYS = { x: ['d', 'a'], y: ['e', 'q'], z: ['w', 's'] };
+const ROTATION_KEYS = { x: ['k', 'i'], y: ['j', 'l'], z: ['o', 'u'] };
+
+/**
+ * Flies a spacecraft nobody is piloting. It gives its Simulator the same key commands
+ * a pilot would, so it flies with the spacecraft's own thrusters, wheels and CMGs,
+ * burns its propellant and is hit by its faults.
+ *
+ * Modes:
+ *   "coast" - nothing fires
+ *   "hold"  - holds the attitude and position the spacecraft had when the autopilot took
+ *             over: it stops any turning and drifting, then creeps back to where it was
+ *
+ * Autopilot config (per vehicle), all optional; a string is taken as the mode:
+ * {
+ *   "mode": "hold",
+ *   "maxSpeed": 0.05,        // m/s;   fastest it moves back to the hold point
+ *   "maxRate": 0.5,          // deg/s; fastest it turns back to the hold attitude
+ *   "positionGain": 0.1,     // 1/s;   speed asked for per m from the hold point
+ *   "attitudeGain": 0.2,     // 1/s;   rate asked for per degree from the hold attitude
+ *   "speedDeadband": 0.005,  // m/s;   a speed error it lets be
+ *   "rateDeadband": 0.05,    // deg/s; a rate error it lets be
+ *   "torqueFraction": 0.05   // Share of wheel or CMG torque it turns with
+ * }
+ * It turns with whatever the spacecraft's attitude mode is, so one with no rotation
+ * thrusters must be in wheel or CMG mode to hold its attitude.
+ */
+export class Autopilot {
+  constructor(config = {}) {
+    if (typeof config === 'string') config = { mode: config };
+    this.mode = config.mode === 'hold' ? 'hold' : 'coast';
+    this.maxSpeed = parseNumber(config.maxSpeed, 0.05);
+    this.maxRate = parseNumber(config.maxRate, 0.5) * (Math.PI / 180);
+    this.positionGain = parseNumber(config.positionGain, 0.1);
+    this.attitudeGain = parseNumber(config.attitudeGain, 0.2);
+    this.speedDeadband = parseNumber(config.speedDeadband, 0.005);
+    this.rateDeadband = parseNumber(config.rateDeadband, 0.05) * (Math.PI / 180);
+    this.torqueFraction = Math.min(1, Math.max(0, parseNumber(config.torqueFraction, 0.05)));
+
+    // Where it holds, set when it takes over
+    this.holdPosition = null;
+    this.holdOrientation = null;
+  }
+
+  /**
+   * Takes over the spacecraft where it is now.
+   * @param {Simulator} simulator - The spacecraft's simulator.
+   */
+  engage(simulator) {
+    this.holdPosition = simulator.body.position.clone();
+    this.holdOrientation = simulator.body.quaternion.clone();
+  }
+
+  // Hands the spacecraft back to the pilot
+  disengage() {
+    this.holdPosition = null;
+    this.holdOrientation = null;
+  }
+
+  get engaged() {
+    return this.holdPosition !== null;
+  }
+
+  /**
+   * The command to fly for the next step.
+   * @param {Simulator} simulator - The spacecraft's simulator.
+   * @returns {object} A command for Simulator.setCommand().
+   */
+  getCommand(simulator) {
+    const keys = {};
+    const torqueFraction = this.torqueFraction;
+    if (this.mode === 'coast' || !this.engaged || !simulator.flying) return { keys, torqueFraction };
+
+    const body = simulator.body;
+    const toBody = body.quaternion.conjugate();
+
+    // Speed asked for: back towards the hold point, no faster than maxSpeed
+    const desiredVelocity = clampLength(this.holdPosition.vsub(body.position).scale(this.positionGain), this.maxSpeed);
+    const velocityError = toBody.vmult(desiredVelocity.vsub(body.velocity));
+    fireAlong(keys, TRANSLATION_KEYS, velocityError, this.speedDeadband);
+
+    // Rate asked for: back towards the hold attitude, no faster than maxRate, body axes
+    const rotation = rotationVector(toBody.mult(this.holdOrientation));
+    const desiredRate = clampLength(rotation.scale(this.attitudeGain), this.maxRate);
+    const rateError = desiredRate.vsub(toBody.vmult(body.angularVelocity));
+    fireAlong(keys, ROTATION_KEYS, rateError, this.rateDeadband);
+
+    return { keys, torqueFraction };
+  }
+
+  getStatus() {
+    return { mode: this.mode, engaged: this.engaged };
+  }
+
+  saveState() {
+    return {
+      holdPosition: this.holdPosition ? vec3ToObject(this.holdPosition) : null,
+      holdOrientation: this.holdOrientation
+        ? { x: this.holdOrientation.x, y: this.holdOrientation.y, z: this.holdOrientation.z, w: this.holdOrientation.w }
+        : null
+    };
+  }
+
+  loadState(state) {
+    const { holdPosition: p, holdOrientation: q } = state;
+    this.holdPosition = p ? new CANNON.Vec3(p.x, p.y, p.z) : null;
+    this.holdOrientation = q ? new CANNON.Quaternion(q.x, q.y, q.z, q.w) : null;
+  }
+}
+
+// Press the key for each axis the error is outside the deadband on
+function fireAlong(keys, axisKeys, error, deadband) {
+  ['x', 'y', 'z'].forEach(axis => {
+    if (error[axis] > deadband) keys[axisKeys[axis][0]] = true;
+    else if (error[axis] < -deadband) keys[axisKeys[axis][1]] = true;
+  });
+}
+
+// The rotation vector (rad) of a quaternion, the short way round
+function rotationVector(q) {
+  const sign = q.w < 0 ? -1 : 1;
+  const sinHalfAngle = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z);
+  const angle = 2 * Math.atan2(sinHalfAngle, sign * q.w);
+  const scale = sinHalfAngle > 1e-12 ? sign * angle / sinHalfAngle : 2 * sign;
+  return new CANNON.Vec3(q.x * scale, q.y * scale, q.z * scale);
+}
+
+function clampLength(v, max) {
+  const length = v.length();
+  return length > max ? v.scale(max / length) : v;
+}
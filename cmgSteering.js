@@ -0,0 +1,120 @@
+// File: cmgSteering.js
+
+import * as CANNON from 'cannon-es';
+import { principalAxes } from './massProperties.js';
+
+// The steering laws a CMG cluster can use, in the order they are cycled through
+export const STEERING_LAWS = ['pseudoInverse', 'singularityRobust'];
+
+// Directions the gimbals move momentum along less than this (relative to the best one) count as lost
+const RANK_TOLERANCE = 1e-9;
+
+// Coupling between axes in the singularity-robust damping, unequal so no torque direction is left alone
+const COUPLING = { xy: 0.01, xz: 0.02, yz: 0.03 };
+
+/**
+ * Steering a cluster of single-gimbal CMGs. Each CMG's rotor keeps its speed, so its
+ * momentum h (of fixed size) can only turn about the gimbal axis g. Turning the gimbal at
+ * rate δ̇ changes the momentum by (g × h)·δ̇, so the gimbal rates δ̇ that give a momentum
+ * rate ḣ solve A·δ̇ = ḣ, where the columns of A are each CMG's g × h.
+ *
+ * Where the columns all lie in one plane the cluster is singular: it can't move momentum
+ * out of that plane, however fast the gimbals turn. The singularity measure
+ * m = √det(A·Aᵀ) / h³ (h the CMGs' mean rotor momentum) is 0 there.
+ *
+ * Steering laws:
+ *   "pseudoInverse"     - δ̇ = Aᵀ·(A·Aᵀ)⁻¹·ḣ, the least gimbal motion that gives the torque.
+ *                         Near a singularity the gimbal rates run away, and at one the
+ *                         torque out of the plane is lost.
+ *   "singularityRobust" - δ̇ = Aᵀ·(A·Aᵀ + λ·E)⁻¹·ḣ, with λ = gain·h²·exp(−decay·m) and E the
+ *                         identity with a little coupling between axes. Near a singularity
+ *                         it gives a little less than the torque asked for (and some off
+ *                         axis), keeps the gimbal rates finite, and steers through it. The
+ *                         coupling lets it out even when the torque asked for is straight
+ *                         along the direction the cluster has lost, where λ·I alone would
+ *                         leave the gimbals stuck.
+ */
+
+/**
+ * A CMG's rotor momentum at a gimbal angle, body frame: its spin axis turned about its gimbal axis.
+ * @param {object} cmg - { gimbalAxis, spinAxis, rotorMomentum }, the axes unit and square to each other.
+ * @param {number} angle - Gimbal angle, rad.
+ * @param {CANNON.Vec3} [target] - Optional vector to store the result in.
+ * @returns {CANNON.Vec3} The momentum, N·m·s.
+ */
+export function cmgMomentum(cmg, angle, target = new CANNON.Vec3()) {
+  const across = cmg.gimbalAxis.cross(cmg.spinAxis);
+  target.copy(cmg.spinAxis).scale(Math.cos(angle), target);
+  target.vadd(across.scale(Math.sin(angle)), target);
+  return target.scale(cmg.rotorMomentum, target);
+}
+
+/**
+ * The momentum rate a CMG gives per rad/s of gimbal rate at a gimbal angle (g × h), body frame.
+ * @param {object} cmg - As for cmgMomentum().
+ * @param {number} angle - Gimbal angle, rad.
+ * @returns {CANNON.Vec3} N·m per rad/s.
+ */
+export function gimbalTorqueAxis(cmg, angle) {
+  return cmg.gimbalAxis.cross(cmgMomentum(cmg, angle));
+}
+
+/**
+ * How far the cluster is from a singularity: √det(A·Aᵀ) / scale³, 0 at one.
+ * @param {Array<CANNON.Vec3>} columns - Each CMG's gimbalTorqueAxis().
+ * @param {number} scale - The CMGs' mean rotor momentum, N·m·s.
+ * @returns {number} The singularity measure.
+ */
+export function singularityMeasure(columns, scale) {
+  if (columns.length === 0 || !(scale > 0)) return 0;
+  const { moments } = principalAxes(spreadOf(columns));
+  const determinant = moments.reduce((product, moment) => product * Math.max(0, moment), 1);
+  return Math.sqrt(determinant) / (scale * scale * scale);
+}
+
+/**
+ * Gimbal rates that give a momentum rate, by a steering law.
+ * @param {Array<CANNON.Vec3>} columns - Each CMG's gimbalTorqueAxis().
+ * @param {CANNON.Vec3} momentumRate - The rate the cluster's momentum should change at, body frame.
+ * @param {object} options - { law, gain, decay, scale }: the steering law, the singularity-robust
+ *   gain and decay, and the CMGs' mean rotor momentum (N·m·s).
+ * @returns {Array<number>} Each CMG's gimbal rate, rad/s.
+ */
+export function steerGimbals(columns, momentumRate, { law, gain, decay, scale }) {
+  if (columns.length === 0) return [];
+
+  const spread = spreadOf(columns);
+  const solved = new CANNON.Vec3(0, 0, 0);
+  if (law === 'singularityRobust') {
+    // (A·Aᵀ + λ·E)⁻¹, E the identity with a little coupling between axes
+    const damping = gain * scale * scale * Math.exp(-decay * singularityMeasure(columns, scale));
+    const e = spread.elements;
+    e[0] += damping; e[4] += damping; e[8] += damping;
+    e[1] += damping * COUPLING.xy; e[3] += damping * COUPLING.xy;
+    e[2] += damping * COUPLING.xz; e[6] += damping * COUPLING.xz;
+    e[5] += damping * COUPLING.yz; e[7] += damping * COUPLING.yz;
+    spread.reverse().vmult(momentumRate, solved);
+  } else {
+    // (A·Aᵀ)⁺ through the eigenvectors of A·Aᵀ, which is symmetric
+    const { moments, axes } = principalAxes(spread);
+    const largest = Math.max(...moments);
+    moments.forEach((moment, k) => {
+      if (moment <= RANK_TOLERANCE * largest) return;
+      const v = axes[k];
+      solved.vadd(v.scale(v.dot(momentumRate) / moment), solved);
+    });
+  }
+  return columns.map(column => column.dot(solved));
+}
+
+// A·Aᵀ = Σ cᵢ·cᵢᵀ
+function spreadOf(columns) {
+  const spread = new CANNON.Mat3([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const e = spread.elements;
+  columns.forEach(c => {
+    e[0] += c.x * c.x; e[1] += c.x * c.y; e[2] += c.x * c.z;
+    e[3] += c.y * c.x; e[4] += c.y * c.y; e[5] += c.y * c.z;
+    e[6] += c.z * c.x; e[7] += c.z * c.y; e[8] += c.z * c.z;
+  });
+  return spread;
+}
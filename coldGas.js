@@ -0,0 +1,91 @@
+// File: coldGas.js
+
+/**
+ * Cold-gas tank model: the propellant is a compressed gas, so the tank pressure
+ * and temperature fall as it is used, and with them the thrust and Isp.
+ *
+ * Gas config, the "gas" block of a tank (pressures in bar, volume in litres):
+ * {
+ *   "mode": "blowdown",          // Thrusters see the tank pressure, or "regulated"
+ *   "initialPressure": 200,
+ *   "volume": 2,
+ *   "temperature": 293.15,       // K, when full
+ *   "molarMass": 28.0134,        // g/mol (nitrogen)
+ *   "gamma": 1.4,                // Ratio of specific heats
+ *   "process": "isothermal",     // Or "adiabatic" for fast blowdown with no heat from the walls
+ *   "regulatorPressure": 10      // Feed pressure when regulated
+ * }
+ *
+ * The gas mass follows from the ideal gas law and is the tank's capacity. As gas
+ * leaves, the pressure goes as (m/m0)^n and the temperature as (m/m0)^(n-1), with
+ * n = 1 (isothermal) or gamma (adiabatic). A regulated tank feeds at the regulator
+ * pressure until the tank drops below it, then blows down.
+ *
+ * A thruster's configured thrust and Isp are for its nominal feed pressure (by
+ * default what the tank gives when full) at the full-tank temperature. Thrust
+ * scales with feed pressure and Isp with the square root of the gas temperature.
+ */
+
+const GAS_CONSTANT = 8.314462618; // J/(mol·K)
+const PASCALS_PER_BAR = 1e5;
+
+/**
+ * Reads a tank's gas block.
+ * @param {object} config - The gas config.
+ * @param {string} tankName - For warnings.
+ * @returns {object|null} The gas model, or null if the config is unusable.
+ */
+export function parseGasModel(config, tankName) {
+  const initialPressure = parseFloat(config.initialPressure);
+  const volume = parseFloat(config.volume);
+  if (!(initialPressure > 0) || !(volume > 0)) {
+    console.warn(`Tank "${tankName}" has a gas block without a positive initialPressure and volume; ignoring it`);
+    return null;
+  }
+
+  const temperature = parseFloat(config.temperature) > 0 ? parseFloat(config.temperature) : 293.15;
+  const molarMass = parseFloat(config.molarMass) > 0 ? parseFloat(config.molarMass) : 28.0134;
+  const gamma = parseFloat(config.gamma) > 1 ? parseFloat(config.gamma) : 1.4;
+
+  let mode = config.mode === 'regulated' ? 'regulated' : 'blowdown';
+  const regulatorPressure = parseFloat(config.regulatorPressure);
+  if (mode === 'regulated' && !(regulatorPressure > 0)) {
+    console.warn(`Tank "${tankName}" is regulated but has no regulatorPressure; treating it as blowdown`);
+    mode = 'blowdown';
+  }
+
+  // Ideal gas: m = P·V·M / (R·T)
+  const mass = (initialPressure * PASCALS_PER_BAR) * (volume / 1000) * (molarMass / 1000) / (GAS_CONSTANT * temperature);
+
+  const gas = {
+    mode,
+    initialPressure,
+    volume,
+    temperature,
+    molarMass,
+    gamma,
+    exponent: config.process === 'adiabatic' ? gamma : 1,
+    regulatorPressure: mode === 'regulated' ? regulatorPressure : null,
+    mass
+  };
+  gas.nominalFeedPressure = feedPressure(gas, initialPressure);
+  return gas;
+}
+
+/**
+ * The gas state for the mass left in the tank.
+ * @param {object} gas - The gas model.
+ * @param {number} mass - Gas left, in kg.
+ * @returns {object} { pressure, feedPressure } in bar and { temperature } in K.
+ */
+export function gasState(gas, mass) {
+  const fraction = Math.max(0, mass / gas.mass);
+  const pressure = gas.initialPressure * Math.pow(fraction, gas.exponent);
+  const temperature = fraction > 0 ? gas.temperature * Math.pow(fraction, gas.exponent - 1) : gas.temperature;
+  return { pressure, feedPressure: feedPressure(gas, pressure), temperature };
+}
+
+// What the thrusters see: the tank pressure, capped by the regulator if there is one
+function feedPressure(gas, pressure) {
+  return gas.mode === 'regulated' ? Math.min(pressure, gas.regulatorPressure) : pressure;
+}
@@ -0,0 +1,211 @@
+// File: collisionMonitor.js
+
+import * as CANNON from 'cannon-es';
+
+/**
+ * Watches the spacecraft body for impacts, logs each one and rates it against
+ * damage limits. Cannon reports a contact when two bodies first touch; the
+ * speed they met at comes from that contact, and the impulse from the contact
+ * forces the solver uses to push them apart, added up until they separate.
+ *
+ * Collision limits (from the scenario file or the spacecraft config), all optional:
+ * {
+ *   "damageSpeed": 0.3,     // m/s; an impact this fast damages the spacecraft
+ *   "damageImpulse": 5,     // N·s
+ *   "failSpeed": 1.0,       // m/s; an impact this fast ends the run
+ *   "failImpulse": 50       // N·s
+ * }
+ *
+ * Bodies are named in the log by their "name" property, if they have one.
+ */
+export class CollisionMonitor {
+  /**
+   * @param {CANNON.Body} body - The spacecraft body.
+   * @param {CANNON.World} world - The world it is in.
+   * @param {object} [limits] - The collision limits.
+   */
+  constructor(body, world, limits = {}) {
+    this.body = body;
+    this.world = world;
+    this.limits = {
+      damageSpeed: parseLimit(limits.damageSpeed),
+      damageImpulse: parseLimit(limits.damageImpulse),
+      failSpeed: parseLimit(limits.failSpeed),
+      failImpulse: parseLimit(limits.failImpulse)
+    };
+
+    this.log = [];
+    this.damaged = false;
+    this.failed = false;
+
+    // First contacts during the step being run, finished off in endStep()
+    this.pending = [];
+    // Impacts still in contact, by the body that was hit
+    this.open = new Map();
+
+    this.body.addEventListener('collide', event => this.onCollide(event));
+  }
+
+  // Cannon's first-contact event, raised inside world.step() before the contact is solved.
+  // It comes once for each contact point, so a face hitting a face is one impact at its fastest point.
+  onCollide(event) {
+    const contact = event.contact;
+    const point = new CANNON.Vec3();
+    if (contact.bi === this.body) {
+      contact.bi.position.vadd(contact.ri, point);
+    } else {
+      contact.bj.position.vadd(contact.rj, point);
+    }
+    const impactSpeed = Math.abs(contact.getImpactVelocityAlongNormal());
+
+    const existing = this.pending.find(impact => impact.other === event.body);
+    if (!existing) {
+      this.pending.push({ other: event.body, point, impactSpeed });
+    } else if (impactSpeed > existing.impactSpeed) {
+      existing.point = point;
+      existing.impactSpeed = impactSpeed;
+    }
+  }
+
+  // Call before world.step()
+  beginStep() {
+    this.pending = [];
+  }
+
+  /**
+   * Logs the impacts that started during the step and adds this step's impulse to
+   * those still in contact. Call after world.step().
+   * @param {number} dt - The step size.
+   * @param {number} time - Sim time at the end of the step.
+   * @returns {Array<object>} The new log entries.
+   */
+  endStep(dt, time) {
+    // Normal impulse between the spacecraft and each body it touches, over all contact points
+    const impulses = new Map();
+    this.world.contacts.forEach(c => {
+      const other = c.bi === this.body ? c.bj : c.bj === this.body ? c.bi : null;
+      if (other) impulses.set(other, (impulses.get(other) || 0) + Math.abs(c.multiplier) * dt);
+    });
+
+    // Cannon's own record of who was touching isn't saved, so after loadState() it
+    // reports contacts that were already going on as new; those are the open impacts
+    const impacts = this.pending.filter(({ other }) => !this.open.has(other)).map(({ other, point, impactSpeed }) => {
+      const impact = {
+        time,
+        body: other.name || `Body ${other.id}`,
+        impactSpeed,
+        impulse: 0,
+        point: { x: point.x, y: point.y, z: point.z },
+        severity: 'ok'
+      };
+      this.log.push(impact);
+      this.open.set(other, impact);
+      console.log(`Impact with ${impact.body} at ${impactSpeed.toFixed(3)} m/s`);
+      return impact;
+    });
+    this.pending = [];
+
+    this.open.forEach((impact, other) => {
+      if (!impulses.has(other)) {
+        this.open.delete(other);
+        return;
+      }
+      impact.impulse += impulses.get(other);
+      const severity = this.rate(impact.impactSpeed, impact.impulse);
+      if (severity !== impact.severity) {
+        impact.severity = severity;
+        console.log(`Impact with ${impact.body}: ${impact.impulse.toFixed(3)} N·s, ${severity}`);
+      }
+      if (severity !== 'ok') this.damaged = true;
+      if (severity === 'fatal') this.failed = true;
+    });
+
+    return impacts;
+  }
+
+  /**
+   * The impulses the spacecraft put on the bodies it touched during the step, normal and
+   * friction, one per contact point. Call after world.step().
+   * @param {number} dt - The step size.
+   * @returns {Array<object>} { body, impulse (N·s, world axes), point (world position) }.
+   */
+  getContactImpulses(dt) {
+    const result = [];
+    const add = (equation, direction) => {
+      const onJ = equation.bi === this.body;
+      if (!onJ && equation.bj !== this.body) return;
+      // The solver pushes bj along the direction and bi against it
+      const other = onJ ? equation.bj : equation.bi;
+      result.push({
+        body: other,
+        impulse: direction.scale((onJ ? 1 : -1) * equation.multiplier * dt),
+        point: other.position.vadd(onJ ? equation.rj : equation.ri)
+      });
+    };
+    this.world.contacts.forEach(c => add(c, c.ni));
+    this.world.frictionEquations.forEach(f => add(f, f.t));
+    return result;
+  }
+
+  // 'fatal', 'damaging' or 'ok' for an impact
+  rate(impactSpeed, impulse) {
+    const { damageSpeed, damageImpulse, failSpeed, failImpulse } = this.limits;
+    if (impactSpeed >= failSpeed || impulse >= failImpulse) return 'fatal';
+    if (impactSpeed >= damageSpeed || impulse >= damageImpulse) return 'damaging';
+    return 'ok';
+  }
+
+  reset() {
+    this.log = [];
+    this.damaged = false;
+    this.failed = false;
+    this.pending = [];
+    this.open.clear();
+  }
+
+  /**
+   * The collision report: every impact so far and what it did.
+   * @returns {object} { damaged, failed, limits, impacts }.
+   */
+  getReport() {
+    return {
+      damaged: this.damaged,
+      failed: this.failed,
+      limits: limitsToJSON(this.limits),
+      impacts: this.log.map(impact => ({ ...impact, point: { ...impact.point } }))
+    };
+  }
+
+  saveState() {
+    return {
+      log: this.log.map(impact => ({ ...impact, point: { ...impact.point } })),
+      damaged: this.damaged,
+      failed: this.failed,
+      // Bodies by id, log entries by index
+      open: [...this.open].map(([other, impact]) => ({ body: other.id, impact: this.log.indexOf(impact) }))
+    };
+  }
+
+  loadState(state) {
+    this.log = state.log.map(impact => ({ ...impact, point: { ...impact.point } }));
+    this.damaged = state.damaged;
+    this.failed = state.failed;
+    this.pending = [];
+    this.open.clear();
+    (state.open || []).forEach(({ body, impact }) => {
+      const other = this.world.bodies.find(b => b.id === body);
+      if (other && this.log[impact]) this.open.set(other, this.log[impact]);
+    });
+  }
+}
+
+// A missing limit never trips
+function parseLimit(value) {
+  const limit = parseFloat(value);
+  return limit > 0 ? limit : Infinity;
+}
+
+// Infinity doesn't survive JSON, so unset limits are reported as null
+function limitsToJSON(limits) {
+  return Object.fromEntries(Object.entries(limits).map(([key, value]) => [key, isFinite(value) ? value : null]));
+}
@@ -0,0 +1,25 @@
+// File: configValues.js
+
+import * as CANNON from 'cannon-es';
+
+// Numbers and vectors from config and scenario files, which may give them as strings or
+// leave them out, and vectors written back out as plain data for saved state and status.
+
+export function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return isNaN(number) ? fallback : number;
+}
+
+// A missing vector is the fallback; a missing component is 0
+export function toVec3(v, fallback) {
+  if (!v) return fallback;
+  return new CANNON.Vec3(
+    parseFloat(v.x) || 0,
+    parseFloat(v.y) || 0,
+    parseFloat(v.z) || 0
+  );
+}
+
+export function vec3ToObject(v) {
+  return { x: v.x, y: v.y, z: v.z };
+}
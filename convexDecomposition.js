@@ -0,0 +1,285 @@
+// File: convexDecomposition.js
+
+import * as THREE from 'three';
+import { ConvexHull } from 'three/addons/math/ConvexHull.js';
+
+/**
+ * Approximate convex decomposition of a model, for a collision shape that follows it
+ * more closely than one box. The model is voxelized and filled in, then cut in two
+ * again and again: each time the piece with the most empty space in its convex hull
+ * is cut where that leaves the least. Each piece becomes the convex hull of its voxels,
+ * so the shape errs on the side of half a voxel too big.
+ *
+ * Settings (collisionShape in the spacecraft properties), all optional:
+ * {
+ *   "type": "convex",     // Or "box" for one box around the model
+ *   "resolution": 24,     // Voxels along the model's longest side
+ *   "maxHulls": 8,        // Most pieces to cut it into
+ *   "concavity": 0.1      // Share of a piece's hull that may be empty before it is cut
+ * }
+ * A higher resolution and more hulls follow the model more closely, but take longer
+ * to build and make collisions slower.
+ */
+
+// Split planes tried along each axis, when looking for the best cut
+const SPLIT_CANDIDATES = 7;
+
+/**
+ * Reads the collision shape settings, filling in the defaults.
+ * @param {object} [config] - The collisionShape block.
+ * @returns {object} { type, resolution, maxHulls, concavity }.
+ */
+export function parseDecompositionSettings(config = {}) {
+  const resolution = parseInt(config.resolution, 10);
+  const maxHulls = parseInt(config.maxHulls, 10);
+  const concavity = parseFloat(config.concavity);
+  return {
+    type: config.type === 'box' ? 'box' : 'convex',
+    resolution: resolution > 0 ? Math.min(64, Math.max(4, resolution)) : 24,
+    maxHulls: maxHulls > 0 ? Math.min(32, maxHulls) : 8,
+    concavity: concavity >= 0 ? concavity : 0.1
+  };
+}
+
+/**
+ * Cuts a model into convex hulls.
+ * @param {THREE.Object3D} model - The model, with no parent; the hulls are in the frame it sits in.
+ * @param {object} settings - From parseDecompositionSettings().
+ * @returns {Array<object>} The hulls: { vertices: [{x, y, z}], faces: [[i, j, k]] }, faces wound
+ *   counter-clockwise seen from outside.
+ */
+export function decomposeModel(model, settings) {
+  const triangles = collectTriangles(model);
+  if (triangles.length === 0) return [];
+
+  const grid = voxelize(triangles, settings.resolution);
+  fillInterior(grid);
+
+  // Start with every solid voxel in one piece
+  const all = [];
+  grid.cells.forEach((cell, index) => {
+    if (cell) all.push(index);
+  });
+  const parts = [makePart(grid, all)];
+
+  while (parts.length < settings.maxHulls) {
+    // The piece with the most empty space, of those with too much
+    let worst = null;
+    parts.forEach(part => {
+      if (part.splittable && part.waste > settings.concavity * part.hullVolume && (!worst || part.waste > worst.waste)) {
+        worst = part;
+      }
+    });
+    if (!worst) break;
+
+    const halves = splitPart(grid, worst);
+    if (!halves) {
+      worst.splittable = false;
+      continue;
+    }
+    parts.splice(parts.indexOf(worst), 1, ...halves);
+  }
+
+  return parts.map(part => hullToData(part.hull));
+}
+
+// Every triangle of every mesh in the model, in the model's parent frame
+function collectTriangles(model) {
+  const triangles = [];
+  model.updateMatrixWorld(true);
+  model.traverse(node => {
+    if (!node.isMesh || !node.geometry?.attributes.position) return;
+    const position = node.geometry.attributes.position;
+    const index = node.geometry.index;
+    const count = index ? index.count : position.count;
+    const vertex = i => new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(node.matrixWorld);
+    for (let i = 0; i + 2 < count; i += 3) {
+      triangles.push([vertex(i), vertex(i + 1), vertex(i + 2)]);
+    }
+  });
+  return triangles;
+}
+
+// Marks the voxels the model's surface passes through, by sampling each triangle at half the voxel size
+function voxelize(triangles, resolution) {
+  const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+  const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+  triangles.forEach(triangle => triangle.forEach(v => {
+    min.min(v);
+    max.max(v);
+  }));
+
+  const extent = max.clone().sub(min);
+  const size = Math.max(extent.x, extent.y, extent.z) / resolution || 1;
+  const dims = [
+    Math.max(1, Math.ceil(extent.x / size)),
+    Math.max(1, Math.ceil(extent.y / size)),
+    Math.max(1, Math.ceil(extent.z / size))
+  ];
+  const grid = { min, size, dims, cells: new Uint8Array(dims[0] * dims[1] * dims[2]) };
+
+  const cellOf = (value, axis) => Math.min(dims[axis] - 1, Math.max(0, Math.floor((value - min.getComponent(axis)) / size)));
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  const p = new THREE.Vector3();
+  triangles.forEach(([a, b, c]) => {
+    ab.subVectors(b, a);
+    ac.subVectors(c, a);
+    const longest = Math.max(ab.length(), ac.length(), b.distanceTo(c));
+    const steps = Math.max(1, Math.ceil(longest / (0.5 * size)));
+    for (let i = 0; i <= steps; i++) {
+      for (let j = 0; j <= steps - i; j++) {
+        p.copy(a).addScaledVector(ab, i / steps).addScaledVector(ac, j / steps);
+        grid.cells[cellIndex(grid, cellOf(p.x, 0), cellOf(p.y, 1), cellOf(p.z, 2))] = 1;
+      }
+    }
+  });
+  return grid;
+}
+
+// Fills in the inside of the surface: everything the outside can't reach is solid.
+// A model with holes bigger than a voxel stays hollow, which only means more, thinner pieces.
+function fillInterior(grid) {
+  const [nx, ny, nz] = grid.dims;
+  const outside = new Uint8Array(grid.cells.length);
+  const stack = [];
+  const visit = (x, y, z) => {
+    const i = cellIndex(grid, x, y, z);
+    if (grid.cells[i] || outside[i]) return;
+    outside[i] = 1;
+    stack.push(x, y, z);
+  };
+
+  // Seed from every empty voxel on the edge of the grid
+  for (let x = 0; x < nx; x++) {
+    for (let y = 0; y < ny; y++) {
+      for (let z = 0; z < nz; z++) {
+        if (x === 0 || y === 0 || z === 0 || x === nx - 1 || y === ny - 1 || z === nz - 1) visit(x, y, z);
+      }
+    }
+  }
+  while (stack.length > 0) {
+    const z = stack.pop();
+    const y = stack.pop();
+    const x = stack.pop();
+    if (x > 0) visit(x - 1, y, z);
+    if (x < nx - 1) visit(x + 1, y, z);
+    if (y > 0) visit(x, y - 1, z);
+    if (y < ny - 1) visit(x, y + 1, z);
+    if (z > 0) visit(x, y, z - 1);
+    if (z < nz - 1) visit(x, y, z + 1);
+  }
+
+  grid.cells.forEach((cell, i) => {
+    if (!outside[i]) grid.cells[i] = 1;
+  });
+}
+
+// A piece: its voxels, their bounds in voxels, its hull and how much of the hull is empty
+function makePart(grid, voxels) {
+  const lo = [Infinity, Infinity, Infinity];
+  const hi = [-Infinity, -Infinity, -Infinity];
+  voxels.forEach(index => {
+    const c = cellCoords(grid, index);
+    for (let axis = 0; axis < 3; axis++) {
+      lo[axis] = Math.min(lo[axis], c[axis]);
+      hi[axis] = Math.max(hi[axis], c[axis]);
+    }
+  });
+  const hull = voxelHull(grid, voxels);
+  const hullVolume = hullVolumeOf(hull);
+  const solidVolume = voxels.length * grid.size ** 3;
+  return { voxels, lo, hi, hull, hullVolume, waste: Math.max(0, hullVolume - solidVolume), splittable: true };
+}
+
+// Cuts a piece in two with the axis-aligned plane that leaves the least hull volume.
+// Returns the two halves, or null if it is one voxel thick every way.
+function splitPart(grid, part) {
+  let best = null;
+  for (let axis = 0; axis < 3; axis++) {
+    const span = part.hi[axis] - part.lo[axis];
+    if (span < 1) continue;
+    const candidates = new Set();
+    for (let i = 1; i <= SPLIT_CANDIDATES; i++) {
+      candidates.add(part.lo[axis] + Math.max(1, Math.round(i * (span + 1) / (SPLIT_CANDIDATES + 1))));
+    }
+    candidates.forEach(plane => {
+      if (plane > part.hi[axis]) return;
+      const below = [];
+      const above = [];
+      part.voxels.forEach(index => (cellCoords(grid, index)[axis] < plane ? below : above).push(index));
+      const cost = hullVolumeOf(voxelHull(grid, below)) + hullVolumeOf(voxelHull(grid, above));
+      if (!best || cost < best.cost) best = { cost, below, above };
+    });
+  }
+  return best ? [makePart(grid, best.below), makePart(grid, best.above)] : null;
+}
+
+// Convex hull around the corners of a set of voxels. Only voxels on the set's surface can add corners.
+function voxelHull(grid, voxels) {
+  const [nx, ny] = grid.dims;
+  const inSet = new Set(voxels);
+  const corners = new Set();
+  voxels.forEach(index => {
+    const [x, y, z] = cellCoords(grid, index);
+    const inside = (dx, dy, dz) => inSet.has(index + dx + nx * (dy + ny * dz)) &&
+      x + dx >= 0 && x + dx < nx && y + dy >= 0 && y + dy < ny;
+    if (inside(-1, 0, 0) && inside(1, 0, 0) && inside(0, -1, 0) && inside(0, 1, 0) && inside(0, 0, -1) && inside(0, 0, 1)) return;
+    for (let c = 0; c < 8; c++) {
+      corners.add((x + (c & 1)) + (nx + 1) * ((y + ((c >> 1) & 1)) + (ny + 1) * (z + ((c >> 2) & 1))));
+    }
+  });
+
+  const points = [...corners].map(corner => {
+    const x = corner % (nx + 1);
+    const y = Math.floor(corner / (nx + 1)) % (ny + 1);
+    const z = Math.floor(corner / ((nx + 1) * (ny + 1)));
+    return new THREE.Vector3(x, y, z).multiplyScalar(grid.size).add(grid.min);
+  });
+  return new ConvexHull().setFromPoints(points);
+}
+
+function hullVolumeOf(hull) {
+  let volume = 0;
+  forEachTriangle(hull, (a, b, c) => {
+    volume += a.dot(new THREE.Vector3().crossVectors(b, c)) / 6;
+  });
+  return volume;
+}
+
+// Calls fn(a, b, c) for each triangle of the hull's faces, counter-clockwise seen from outside
+function forEachTriangle(hull, fn) {
+  hull.faces.forEach(face => {
+    const first = face.edge;
+    let edge = first.next;
+    while (edge.next !== first) {
+      fn(first.head().point, edge.head().point, edge.next.head().point);
+      edge = edge.next;
+    }
+  });
+}
+
+// The hull as plain data, with each corner listed once
+function hullToData(hull) {
+  const vertices = [];
+  const indexOf = new Map();
+  const vertexIndex = point => {
+    if (!indexOf.has(point)) {
+      indexOf.set(point, vertices.length);
+      vertices.push({ x: point.x, y: point.y, z: point.z });
+    }
+    return indexOf.get(point);
+  };
+  const faces = [];
+  forEachTriangle(hull, (a, b, c) => faces.push([vertexIndex(a), vertexIndex(b), vertexIndex(c)]));
+  return { vertices, faces };
+}
+
+function cellIndex(grid, x, y, z) {
+  return x + grid.dims[0] * (y + grid.dims[1] * z);
+}
+
+function cellCoords(grid, index) {
+  const [nx, ny] = grid.dims;
+  return [index % nx, Math.floor(index / nx) % ny, Math.floor(index / (nx * ny))];
+}
@@ -0,0 +1,229 @@
+// File: disturbances.js
+
+import * as CANNON from 'cannon-es';
+import { parseNumber, toVec3, vec3ToObject } from './configValues.js';
+
+const EARTH_MU = 3.986004418e14; // m^3/s^2
+const SOLAR_PRESSURE = 4.56e-6; // N/m², sunlight at 1 AU fully absorbed
+
+/**
+ * Environmental disturbance torques on the spacecraft, for sizing wheels and
+ * desaturation: gravity gradient, solar radiation pressure and residual drag.
+ *
+ * Disturbance config (from the scenario file or the spacecraft config). A source is
+ * on when its entry is present and isn't false or { "enabled": false }:
+ * {
+ *   "gravityGradient": true,
+ *   "solarPressure": {
+ *     "sunDirection": { "x": 1, "y": 0, "z": 0 },   // Towards the sun, world axes
+ *     "reflectivity": 0.3,                         // Share of light reflected (specular)
+ *     "pressure": 4.56e-6                          // N/m²
+ *   },
+ *   "drag": {
+ *     "density": 3e-12,                            // kg/m³
+ *     "dragCoefficient": 2.2
+ *   },
+ *   "centerOfPressureOffset": { "x": 0, "y": 0, "z": 0.1 }  // Moves the surfaces, body axes, m
+ * }
+ *
+ * Gravity gradient and drag need the orbit (rate and R-bar/V-bar axes), so they only
+ * work with an orbit block; it doesn't have to be enabled. Pressure and drag act on the
+ * faces of the spacecraft's collision box, so the torque comes from the box center (the
+ * center of pressure) being off the CG. Only the torques are applied: the station feels
+ * nearly the same forces, so they would hardly change the relative motion.
+ */
+export class DisturbanceTorques {
+  /**
+   * @param {object} config - The disturbance config.
+   * @param {OrbitalDynamics} [orbitalDynamics] - The orbit, for gravity gradient and drag.
+   */
+  constructor(config, orbitalDynamics = null) {
+    this.orbitalDynamics = orbitalDynamics;
+    const meanMotion = orbitalDynamics ? orbitalDynamics.meanMotion : 0;
+
+    this.gravityGradient = isEnabled(config.gravityGradient);
+    this.solarPressure = null;
+    this.drag = null;
+
+    if (isEnabled(config.solarPressure)) {
+      const srp = typeof config.solarPressure === 'object' ? config.solarPressure : {};
+      const sunDirection = toVec3(srp.sunDirection, new CANNON.Vec3(1, 0, 0));
+      if (sunDirection.length() < 1e-9) sunDirection.set(1, 0, 0);
+      sunDirection.normalize();
+      this.solarPressure = {
+        sunDirection,
+        reflectivity: Math.max(0, Math.min(1, parseNumber(srp.reflectivity, 0.3))),
+        pressure: parseNumber(srp.pressure, SOLAR_PRESSURE)
+      };
+    }
+
+    if (isEnabled(config.drag)) {
+      const drag = typeof config.drag === 'object' ? config.drag : {};
+      this.drag = {
+        density: parseNumber(drag.density, 3e-12),
+        dragCoefficient: parseNumber(drag.dragCoefficient, 2.2)
+      };
+    }
+
+    if ((this.gravityGradient || this.drag) && !(meanMotion > 0)) {
+      console.warn('Gravity gradient and drag need an orbit block with the orbit rate; turning them off');
+      this.gravityGradient = false;
+      this.drag = null;
+    }
+
+    // Circular orbit speed, for the drag
+    if (this.drag) {
+      const radius = Math.cbrt(EARTH_MU / (meanMotion * meanMotion));
+      this.orbitalSpeed = meanMotion * radius;
+    }
+
+    this.centerOfPressureOffset = toVec3(config.centerOfPressureOffset, new CANNON.Vec3(0, 0, 0));
+
+    // Latest torques in body axes, and the momentum they have added up to in world axes
+    this.torques = {
+      gravityGradient: new CANNON.Vec3(),
+      solarPressure: new CANNON.Vec3(),
+      drag: new CANNON.Vec3(),
+      total: new CANNON.Vec3()
+    };
+    this.momentum = new CANNON.Vec3();
+
+    // Scratch space for applyTo()
+    this._direction = new CANNON.Vec3();
+    this._inertiaDirection = new CANNON.Vec3();
+    this._worldTorque = new CANNON.Vec3();
+  }
+
+  get enabled() {
+    return this.gravityGradient || this.solarPressure !== null || this.drag !== null;
+  }
+
+  /**
+   * Works out this step's torques and applies them to the body. Call before each world.step().
+   * @param {CANNON.Body} body - The spacecraft body. Its first shape is the collision box.
+   * @param {number} dt - The physics time step in seconds.
+   */
+  applyTo(body, dt) {
+    const torques = this.torques;
+    Object.values(torques).forEach(torque => torque.set(0, 0, 0));
+    if (!this.enabled || !body) return;
+
+    const orbit = this.orbitalDynamics;
+
+    // Gravity gradient: 3n² r × (I·r), with r the unit vector to zenith in body axes
+    if (this.gravityGradient) {
+      const n = orbit.meanMotion;
+      body.vectorToLocalFrame(orbit.radialAxis, this._direction);
+      multiplyInertia(body, this._direction, this._inertiaDirection);
+      this._direction.cross(this._inertiaDirection, torques.gravityGradient);
+      torques.gravityGradient.scale(3 * n * n, torques.gravityGradient);
+    }
+
+    if (this.solarPressure) {
+      const { sunDirection, reflectivity, pressure } = this.solarPressure;
+      body.vectorToLocalFrame(sunDirection, this._direction);
+      this.surfaceTorque(body, this._direction, face => {
+        // Absorbed light pushes away from the sun, reflected light pushes along the face normal
+        const absorbed = this._direction.scale(-pressure * face.area * face.cos * (1 - reflectivity));
+        return absorbed.vsub(face.normal.scale(2 * pressure * face.area * face.cos * face.cos * reflectivity));
+      }, torques.solarPressure);
+    }
+
+    if (this.drag) {
+      const { density, dragCoefficient } = this.drag;
+      const dynamicPressure = 0.5 * density * this.orbitalSpeed * this.orbitalSpeed;
+      body.vectorToLocalFrame(orbit.alongTrackAxis, this._direction);
+      this.surfaceTorque(body, this._direction, face =>
+        this._direction.scale(-dynamicPressure * dragCoefficient * face.area * face.cos),
+      torques.drag);
+    }
+
+    torques.total.vadd(torques.gravityGradient, torques.total);
+    torques.total.vadd(torques.solarPressure, torques.total);
+    torques.total.vadd(torques.drag, torques.total);
+
+    body.vectorToWorldFrame(torques.total, this._worldTorque);
+    body.applyTorque(this._worldTorque);
+    this.momentum.vadd(this._worldTorque.scale(dt), this.momentum);
+  }
+
+  // Adds up r × F over the faces of the box around the collision shapes that face the given
+  // direction (body axes). faceForce gets { normal, area, cos } for each face and returns its force.
+  surfaceTorque(body, direction, faceForce, target) {
+    const { h, center: boxCenter } = shapeBounds(body);
+    const center = boxCenter.vadd(this.centerOfPressureOffset);
+
+    target.set(0, 0, 0);
+    BOX_FACES.forEach(({ normal, axis }) => {
+      const cos = normal.dot(direction);
+      if (cos <= 0) return;
+
+      // The face is the box's two other half extents wide, centered half an extent out
+      const area = 4 * (axis === 'x' ? h.y * h.z : axis === 'y' ? h.x * h.z : h.x * h.y);
+      const faceCenter = center.vadd(normal.scale(h[axis]));
+      const force = faceForce({ normal, area, cos });
+      target.vadd(faceCenter.cross(force), target);
+    });
+    return target;
+  }
+
+  // The momentum the wheels would have soaked up holding attitude; cleared on reset
+  reset() {
+    this.momentum.set(0, 0, 0);
+    Object.values(this.torques).forEach(torque => torque.set(0, 0, 0));
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      gravityGradient: vec3ToObject(this.torques.gravityGradient),
+      solarPressure: vec3ToObject(this.torques.solarPressure),
+      drag: vec3ToObject(this.torques.drag),
+      total: vec3ToObject(this.torques.total),
+      momentum: vec3ToObject(this.momentum)
+    };
+  }
+
+  saveState() {
+    return { momentum: vec3ToObject(this.momentum) };
+  }
+
+  loadState(state) {
+    this.momentum.copy(state.momentum);
+  }
+}
+
+const BOX_FACES = [
+  { normal: new CANNON.Vec3(1, 0, 0), axis: 'x' },
+  { normal: new CANNON.Vec3(-1, 0, 0), axis: 'x' },
+  { normal: new CANNON.Vec3(0, 1, 0), axis: 'y' },
+  { normal: new CANNON.Vec3(0, -1, 0), axis: 'y' },
+  { normal: new CANNON.Vec3(0, 0, 1), axis: 'z' },
+  { normal: new CANNON.Vec3(0, 0, -1), axis: 'z' }
+];
+
+// I·v in body axes, with the full tensor if the body has one
+function multiplyInertia(body, v, target) {
+  if (body.inertiaTensor) return body.inertiaTensor.vmult(v, target);
+  target.set(body.inertia.x * v.x, body.inertia.y * v.y, body.inertia.z * v.z);
+  return target;
+}
+
+function isEnabled(entry) {
+  if (!entry) return false;
+  return typeof entry !== 'object' || entry.enabled !== false;
+}
+
+// The box around all of a body's shapes, in body axes, as half extents and center
+function shapeBounds(body) {
+  const min = new CANNON.Vec3(Infinity, Infinity, Infinity);
+  const max = new CANNON.Vec3(-Infinity, -Infinity, -Infinity);
+  const shapeMin = new CANNON.Vec3();
+  const shapeMax = new CANNON.Vec3();
+  body.shapes.forEach((shape, i) => {
+    shape.calculateWorldAABB(body.shapeOffsets[i], body.shapeOrientations[i], shapeMin, shapeMax);
+    min.set(Math.min(min.x, shapeMin.x), Math.min(min.y, shapeMin.y), Math.min(min.z, shapeMin.z));
+    max.set(Math.max(max.x, shapeMax.x), Math.max(max.y, shapeMax.y), Math.max(max.z, shapeMax.z));
+  });
+  return { h: max.vsub(min).scale(0.5), center: max.vadd(min).scale(0.5) };
+}
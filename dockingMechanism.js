@@ -0,0 +1,299 @@
+// File: dockingMechanism.js
+
+import * as CANNON from 'cannon-es';
+import { parseNumber, toVec3 } from './configValues.js';
+
+/**
+ * The docking mechanism: how the spacecraft goes from touching the port to being
+ * rigidly joined to it. A docking has three phases:
+ *
+ *   free         - Not attached. The port is just something to bump into.
+ *   softCapture  - The capture ring has caught the spacecraft. Springs and dampers pull
+ *                  it towards the docked pose and soak up the approach energy; if it
+ *                  still gets away from the ring, it is let go.
+ *   hardCapture  - The latches have closed: the spacecraft is rigidly joined to the port.
+ *
+ * The ring only catches a spacecraft pushing into it inside the capture envelope,
+ * slowly enough. Anything else hits the port and bounces off.
+ *
+ * Mechanism config (from the scenario file or the spacecraft config), all optional:
+ * {
+ *   "captureDistance": 0.1,   // m along the axis either side of the docked position (default dockingBoxSize)
+ *   "captureRadius": 0.1,     // m off the axis (default dockingBoxSize)
+ *   "captureAngle": 3,        // deg from the docked attitude (default dockingAngleThreshold)
+ *   "maxClosingSpeed": 0.1,   // m/s along the axis
+ *   "maxLateralSpeed": 0.05,  // m/s across it
+ *   "maxAngularSpeed": 1,     // deg/s
+ *   "releaseDistance": 0.2,   // m; soft capture lets go past this (default twice captureDistance)
+ *   "releaseRadius": 0.2,     // m (default twice captureRadius)
+ *   "stiffness": 100,         // N/m
+ *   "damping": 100,           // N·s/m
+ *   "angularStiffness": 10,   // N·m/rad
+ *   "angularDamping": 10,     // N·m·s/rad
+ *   "latchDistance": 0.01,    // m; the latches close once the spacecraft has been
+ *   "latchAngle": 1,          // deg;  this close to the docked pose,
+ *   "latchSpeed": 0.01,       // m/s;  and this still,
+ *   "latchAngularSpeed": 0.5, // deg/s
+ *   "latchTime": 1,           // s;    for this long
+ *   "separationImpulse": 0    // N·s; the push-off the springs give when the latches open
+ * }
+ *
+ * The mechanism only decides the phase and the soft-capture loads; the Simulator
+ * applies them and makes the hard-capture joint. Both work from the docking error:
+ * { offset, point, velocity, angularVelocity, rotation, angle, axis }, where offset is how far
+ * the spacecraft's docking interface is from the port, point is where the interface is
+ * relative to the body's center, velocity and angularVelocity are the interface's motion
+ * relative to the port, and rotation is the rotation vector (rad) from the docked attitude,
+ * all in world axes. angle is that rotation in degrees. axis is the approach direction
+ * now, if the port has turned since the mechanism was made.
+ */
+export class DockingMechanism {
+  /**
+   * @param {object} [config] - The mechanism config.
+   * @param {object} [defaults] - { captureDistance, captureRadius, captureAngle } from the docking limits.
+   * @param {CANNON.Vec3} [axis] - Approach direction, towards the port, world axes.
+   */
+  constructor(config = {}, defaults = {}, axis = new CANNON.Vec3(0, 1, 0)) {
+    this.axis = axis.unit();
+
+    this.captureDistance = parseNumber(config.captureDistance, parseNumber(defaults.captureDistance, 0.1));
+    this.captureRadius = parseNumber(config.captureRadius, parseNumber(defaults.captureRadius, 0.1));
+    this.captureAngle = parseNumber(config.captureAngle, parseNumber(defaults.captureAngle, 3));
+    this.maxClosingSpeed = parseNumber(config.maxClosingSpeed, 0.1);
+    this.maxLateralSpeed = parseNumber(config.maxLateralSpeed, 0.05);
+    this.maxAngularSpeed = parseNumber(config.maxAngularSpeed, 1);
+    this.releaseDistance = parseNumber(config.releaseDistance, 2 * this.captureDistance);
+    this.releaseRadius = parseNumber(config.releaseRadius, 2 * this.captureRadius);
+
+    this.stiffness = parseNumber(config.stiffness, 100);
+    this.damping = parseNumber(config.damping, 100);
+    this.angularStiffness = parseNumber(config.angularStiffness, 10);
+    this.angularDamping = parseNumber(config.angularDamping, 10);
+
+    this.latchDistance = parseNumber(config.latchDistance, 0.01);
+    this.latchAngle = parseNumber(config.latchAngle, 1);
+    this.latchSpeed = parseNumber(config.latchSpeed, 0.01);
+    this.latchAngularSpeed = parseNumber(config.latchAngularSpeed, 0.5);
+    this.latchTime = parseNumber(config.latchTime, 1);
+    this.separationImpulse = Math.max(0, parseNumber(config.separationImpulse, 0));
+
+    this.phase = 'free';
+    this.latchTimer = 0; // Seconds the latch conditions have held
+
+    // The spring loads, worked out afresh by applyTo() each step
+    this._force = new CANNON.Vec3();
+    this._torque = new CANNON.Vec3();
+  }
+
+  /**
+   * Where the spacecraft is relative to the capture envelope.
+   * @param {object} error - The docking error.
+   * @returns {object} { axial, lateral, closingSpeed, lateralSpeed, angularSpeed }: axial is the
+   *   distance still to go along the axis (negative once past the docked position), speeds
+   *   in m/s and deg/s.
+   */
+  measure(error) {
+    const axis = error.axis || this.axis;
+    const along = error.offset.dot(axis);
+    const lateral = error.offset.vsub(axis.scale(along)).length();
+    const closingSpeed = error.velocity.dot(axis);
+    const lateralSpeed = error.velocity.vsub(axis.scale(closingSpeed)).length();
+    const angularSpeed = error.angularVelocity.length() * (180 / Math.PI);
+    return { axial: -along, lateral, closingSpeed, lateralSpeed, angularSpeed };
+  }
+
+  /**
+   * Applies the soft-capture springs and dampers to the body at its docking interface. Does
+   * nothing unless soft captured. Call before each world.step().
+   * @param {CANNON.Body} body - The spacecraft body.
+   * @param {object} error - The docking error.
+   * @returns {{force: CANNON.Vec3, torque: CANNON.Vec3}|null} What the springs and dampers put on the
+   *   spacecraft (the force acting at error.point), for the port to take the reaction; null if nothing.
+   */
+  applyTo(body, error) {
+    if (this.phase !== 'softCapture') return null;
+
+    error.offset.scale(-this.stiffness, this._force);
+    this._force.vsub(error.velocity.scale(this.damping), this._force);
+    body.applyForce(this._force, error.point);
+
+    error.rotation.scale(-this.angularStiffness, this._torque);
+    this._torque.vsub(error.angularVelocity.scale(this.angularDamping), this._torque);
+    body.applyTorque(this._torque);
+    return { force: this._force, torque: this._torque };
+  }
+
+  /**
+   * Moves the mechanism on by a step. Call after world.step().
+   * @param {object} error - The docking error.
+   * @param {number} dt - The step size.
+   * @param {boolean} canCapture - Whether the ring may catch the spacecraft now.
+   * @returns {string|null} 'captured', 'released' or 'latched' if the phase changed, else null.
+   */
+  update(error, dt, canCapture) {
+    const m = this.measure(error);
+
+    if (this.phase === 'free') {
+      if (canCapture &&
+          Math.abs(m.axial) <= this.captureDistance && m.lateral <= this.captureRadius && error.angle <= this.captureAngle &&
+          m.closingSpeed >= 0 && m.closingSpeed <= this.maxClosingSpeed && m.lateralSpeed <= this.maxLateralSpeed && m.angularSpeed <= this.maxAngularSpeed) {
+        this.phase = 'softCapture';
+        this.latchTimer = 0;
+        return 'captured';
+      }
+      return null;
+    }
+
+    if (this.phase === 'softCapture') {
+      if (Math.abs(m.axial) > this.releaseDistance || m.lateral > this.releaseRadius) {
+        this.phase = 'free';
+        this.latchTimer = 0;
+        return 'released';
+      }
+
+      const settled = error.offset.length() <= this.latchDistance && error.angle <= this.latchAngle &&
+        error.velocity.length() <= this.latchSpeed && m.angularSpeed <= this.latchAngularSpeed;
+      this.latchTimer = settled ? this.latchTimer + dt : 0;
+      if (this.latchTimer >= this.latchTime) {
+        this.phase = 'hardCapture';
+        this.latchTimer = 0;
+        return 'latched';
+      }
+    }
+    return null;
+  }
+
+  // Latches open, ring empty
+  release() {
+    this.phase = 'free';
+    this.latchTimer = 0;
+  }
+
+  // Rigidly joined, as at the start of a run
+  latch() {
+    this.phase = 'hardCapture';
+    this.latchTimer = 0;
+  }
+
+  getStatus() {
+    return {
+      phase: this.phase,
+      latchProgress: this.latchTime > 0 ? Math.min(1, this.latchTimer / this.latchTime) : 0
+    };
+  }
+
+  saveState() {
+    return { phase: this.phase, latchTimer: this.latchTimer };
+  }
+
+  loadState(state) {
+    this.phase = state.phase;
+    this.latchTimer = state.latchTimer;
+  }
+}
+
+/**
+ * Reads the docking port's pose from the scenario file:
+ * {
+ *   "position": { "x": 0, "y": -2, "z": 5.5 },            // The docking point, world axes
+ *   "orientation": { "x": 0, "y": 0, "z": 0, "w": 1 },    // The port model's attitude
+ *   "axis": { "x": 0, "y": -1, "z": 0 },                  // Out of the port, towards a spacecraft docking with it, port axes
+ *   "up": { "x": 1, "y": 0, "z": 0 }                      // Roll reference across the axis, port axes
+ * }
+ * @param {object} [config] - The dockingPort block; the default port without one.
+ * @returns {object} { position, quaternion, frame }: frame is the port's docking frame in world axes.
+ */
+export function parseDockingPort(config = {}) {
+  const position = toVec3(config.position, new CANNON.Vec3(0, -2, 5.5));
+  const quaternion = config.orientation
+    ? new CANNON.Quaternion(config.orientation.x, config.orientation.y, config.orientation.z, config.orientation.w)
+    : new CANNON.Quaternion();
+  quaternion.normalize();
+  const frame = quaternion.mult(frameQuaternion(toVec3(config.axis, new CANNON.Vec3(0, -1, 0)), toVec3(config.up, null)));
+  return { position, quaternion, frame };
+}
+
+/**
+ * Reads the spacecraft's docking interface from spacecraftProperties:
+ * {
+ *   "position": { "x": 0, "y": 0, "z": 0.5 },   // The docking point, like a thruster position
+ *   "axis": { "x": 0, "y": 0, "z": 1 },         // Out of the spacecraft, body axes
+ *   "up": { "x": 0, "y": 1, "z": 0 }            // Roll reference across the axis, body axes
+ * }
+ * @param {object} [config] - The dockingInterface block.
+ * @param {object} centerOfMassOffset - The configured center of mass.
+ * @returns {object|null} { position, frame } in body axes from the configured CG, or null without a config.
+ */
+export function parseDockingInterface(config, centerOfMassOffset) {
+  if (!config) return null;
+  const position = toVec3(config.position, new CANNON.Vec3(0, 0, 0));
+  position.x -= centerOfMassOffset.x || 0;
+  position.y -= centerOfMassOffset.y || 0;
+  position.z -= centerOfMassOffset.z || 0;
+  return { position, frame: frameQuaternion(toVec3(config.axis, new CANNON.Vec3(0, 0, 1)), toVec3(config.up, null)) };
+}
+
+/**
+ * The docking interface that puts the spacecraft in a given pose when it is docked to the port,
+ * for a spacecraft that doesn't have one configured.
+ * @param {object} port - From parseDockingPort().
+ * @param {CANNON.Vec3} position - The spacecraft's configured CG point, world axes.
+ * @param {CANNON.Quaternion} orientation - Its attitude.
+ * @returns {object} { position, frame } like parseDockingInterface().
+ */
+export function interfaceForPose(port, position, orientation) {
+  const inverse = orientation.conjugate();
+  return {
+    position: inverse.vmult(port.position.vsub(position)),
+    frame: inverse.mult(port.frame).mult(FLIP)
+  };
+}
+
+/**
+ * Where the spacecraft sits when docked: its interface point on the port's, its interface
+ * axis against the port's and the roll references lined up.
+ * @param {object} port - From parseDockingPort().
+ * @param {object} dockingInterface - From parseDockingInterface() or interfaceForPose().
+ * @returns {object} { position, orientation }: the configured CG point and the attitude, world axes.
+ */
+export function dockedPose(port, dockingInterface) {
+  const orientation = port.frame.mult(FLIP).mult(dockingInterface.frame.conjugate());
+  orientation.normalize();
+  const position = port.position.vsub(orientation.vmult(dockingInterface.position));
+  return { position, orientation };
+}
+
+// Half a turn about the roll reference: the two docking frames face each other with their references together
+const FLIP = new CANNON.Quaternion(0, 1, 0, 0);
+
+// The rotation taking +Z to the axis and +Y to the roll reference (made square to the axis).
+// Without a usable reference, the unit axis most square to the docking axis is used.
+function frameQuaternion(axis, up) {
+  const z = axis.length() > 1e-9 ? axis.unit() : new CANNON.Vec3(0, 0, 1);
+  let y = up ? up.vsub(z.scale(up.dot(z))) : null;
+  if (!y || y.length() < 1e-9) {
+    const candidates = [new CANNON.Vec3(1, 0, 0), new CANNON.Vec3(0, 1, 0), new CANNON.Vec3(0, 0, 1)];
+    const reference = candidates.reduce((best, v) => Math.abs(v.dot(z)) < Math.abs(best.dot(z)) ? v : best);
+    y = reference.vsub(z.scale(reference.dot(z)));
+  }
+  y.normalize();
+  const x = y.cross(z);
+
+  // Rotation matrix with columns x, y, z, to a quaternion
+  const trace = x.x + y.y + z.z;
+  let q;
+  if (trace > 0) {
+    const s = 2 * Math.sqrt(trace + 1);
+    q = new CANNON.Quaternion((y.z - z.y) / s, (z.x - x.z) / s, (x.y - y.x) / s, s / 4);
+  } else if (x.x > y.y && x.x > z.z) {
+    const s = 2 * Math.sqrt(1 + x.x - y.y - z.z);
+    q = new CANNON.Quaternion(s / 4, (y.x + x.y) / s, (z.x + x.z) / s, (y.z - z.y) / s);
+  } else if (y.y > z.z) {
+    const s = 2 * Math.sqrt(1 + y.y - x.x - z.z);
+    q = new CANNON.Quaternion((y.x + x.y) / s, s / 4, (z.y + y.z) / s, (z.x - x.z) / s);
+  } else {
+    const s = 2 * Math.sqrt(1 + z.z - x.x - y.y);
+    q = new CANNON.Quaternion((z.x + x.z) / s, (z.y + y.z) / s, s / 4, (x.y - y.x) / s);
+  }
+  return q.normalize();
+}
@@ -0,0 +1,226 @@
+// File: faultManager.js
+
+import * as CANNON from 'cannon-es';
+
+// Fault types for each kind of hardware
+export const FAULT_TYPES = {
+  thruster: ['failedOff', 'stuckOn', 'degraded', 'misaligned'],
+  reactionWheel: ['failed', 'degraded'],
+  cmg: ['failed', 'degraded']
+};
+
+/**
+ * Hardware faults for failure response training. A fault is plain data, so it can
+ * come from a scenario file, the debug panel or a replay:
+ *
+ * { "target": "thruster", "index": 2, "type": "stuckOn" }
+ * { "target": "thruster", "index": 5, "type": "degraded", "factor": 0.5 }   // Half thrust
+ * { "target": "thruster", "index": 1, "type": "misaligned", "angle": 10, "axis": { "x": 1, "y": 0, "z": 0 } }
+ * { "target": "reactionWheel", "index": 0, "type": "failed" }
+ * { "target": "cmg", "index": 0, "type": "degraded", "factor": 0.3 }        // 30% of its torque
+ *
+ * A failed-off thruster never fires and a stuck-on one always does. A misaligned
+ * thruster pushes angle degrees off its direction, tilted about axis (body axes;
+ * by default one square to the thrust). A failed wheel or CMG gives no torque.
+ *
+ * Scheduled faults also have a "time": the sim time in seconds they happen at.
+ */
+export class FaultManager {
+  /**
+   * @param {Array<object>} thrusters - The thrusters from createThrusters().
+   * @param {AttitudeControlSystem} attitudeControl - The wheels and CMGs.
+   * @param {Array<object>} [schedule] - Faults with a "time", e.g. the scenario's "faults" list.
+   */
+  constructor(thrusters, attitudeControl, schedule = []) {
+    this.thrusters = thrusters;
+    this.attitudeControl = attitudeControl;
+
+    // The healthy values, which the faults are applied on top of
+    this.healthyThrusters = thrusters.map(t => ({ thrust: t.thrust, dir: t.dir.clone() }));
+    this.healthyWheelTorques = attitudeControl.reactionWheels.map(wheel => wheel.maxTorque);
+    this.healthyCMGTorques = attitudeControl.cmgs.map(cmg => cmg.maxTorque);
+
+    this.schedule = [];
+    schedule.forEach(fault => {
+      try {
+        this.schedule.push({ ...this.validate(fault), time: parseFloat(fault.time) || 0 });
+      } catch (error) {
+        console.warn(`Skipping scheduled fault: ${error.message}`, fault);
+      }
+    });
+    this.schedule.sort((a, b) => a.time - b.time);
+
+    this.active = [];
+    this.scheduledCount = 0; // How many scheduled faults have happened
+  }
+
+  /**
+   * Checks a fault against the hardware and fills in its defaults.
+   * @param {object} fault - The fault.
+   * @returns {object} The fault as it will be applied.
+   */
+  validate(fault) {
+    const types = FAULT_TYPES[fault.target];
+    if (!types) {
+      throw new Error(`Unknown fault target "${fault.target}"`);
+    }
+    if (!types.includes(fault.type)) {
+      throw new Error(`A ${fault.target} can't have a "${fault.type}" fault`);
+    }
+
+    const count = fault.target === 'thruster' ? this.thrusters.length
+      : fault.target === 'reactionWheel' ? this.attitudeControl.reactionWheels.length
+      : this.attitudeControl.cmgs.length;
+    const index = parseInt(fault.index);
+    if (isNaN(index) || index < 0 || index >= count) {
+      throw new Error(`There is no ${fault.target} ${fault.index}`);
+    }
+
+    const validated = { target: fault.target, index, type: fault.type };
+    if (fault.type === 'degraded') {
+      const factor = parseFloat(fault.factor);
+      validated.factor = isNaN(factor) ? 0.5 : Math.max(0, Math.min(1, factor));
+    }
+    if (fault.type === 'misaligned') {
+      validated.angle = parseFloat(fault.angle) || 0;
+      if (fault.axis) {
+        validated.axis = {
+          x: parseFloat(fault.axis.x) || 0,
+          y: parseFloat(fault.axis.y) || 0,
+          z: parseFloat(fault.axis.z) || 0
+        };
+      }
+    }
+    return validated;
+  }
+
+  /**
+   * Starts a fault now.
+   * @param {object} fault - The fault (see the class comment).
+   * @returns {object} The fault as applied.
+   */
+  inject(fault) {
+    const validated = this.validate(fault);
+    this.active.push(validated);
+    this.applyFaults();
+    console.log(`Fault: ${describeFault(validated, this.getName(validated))}`);
+    return validated;
+  }
+
+  // Repair everything. Scheduled faults that haven't happened yet still will.
+  clear() {
+    this.active = [];
+    this.applyFaults();
+  }
+
+  /**
+   * Starts the scheduled faults that are due. Call it every physics step.
+   * @param {number} time - The current sim time.
+   * @returns {Array<object>} The faults that started.
+   */
+  update(time) {
+    const started = [];
+    while (this.scheduledCount < this.schedule.length && this.schedule[this.scheduledCount].time <= time) {
+      const { time: _, ...fault } = this.schedule[this.scheduledCount++];
+      started.push(this.inject(fault));
+    }
+    return started;
+  }
+
+  // Back to healthy hardware with the whole schedule still to come
+  reset() {
+    this.scheduledCount = 0;
+    this.clear();
+  }
+
+  // Sets the hardware's working values from its healthy ones and the active faults
+  applyFaults() {
+    this.thrusters.forEach((t, i) => {
+      t.thrust = this.healthyThrusters[i].thrust;
+      t.dir.copy(this.healthyThrusters[i].dir);
+      t.failedOff = false;
+      t.stuckOn = false;
+    });
+    this.attitudeControl.reactionWheels.forEach((wheel, i) => wheel.maxTorque = this.healthyWheelTorques[i]);
+    this.attitudeControl.cmgs.forEach((cmg, i) => cmg.maxTorque = this.healthyCMGTorques[i]);
+
+    this.active.forEach(fault => {
+      if (fault.target === 'thruster') {
+        const t = this.thrusters[fault.index];
+        if (fault.type === 'failedOff') t.failedOff = true;
+        if (fault.type === 'stuckOn') t.stuckOn = true;
+        if (fault.type === 'degraded') t.thrust *= fault.factor;
+        if (fault.type === 'misaligned') misalign(t.dir, fault.angle, fault.axis);
+      } else {
+        const unit = fault.target === 'reactionWheel'
+          ? this.attitudeControl.reactionWheels[fault.index]
+          : this.attitudeControl.cmgs[fault.index];
+        unit.maxTorque *= fault.type === 'failed' ? 0 : fault.factor;
+      }
+    });
+  }
+
+  getName(fault) {
+    if (fault.target === 'thruster') return this.thrusters[fault.index].name;
+    if (fault.target === 'reactionWheel') return this.attitudeControl.reactionWheels[fault.index].name;
+    return this.attitudeControl.cmgs[fault.index].name;
+  }
+
+  /**
+   * The active faults for display.
+   * @returns {Array<object>} { name, description, fault } for each.
+   */
+  getStatus() {
+    return this.active.map(fault => ({
+      name: this.getName(fault),
+      description: describeFault(fault),
+      fault
+    }));
+  }
+
+  saveState() {
+    return { active: this.active.map(fault => ({ ...fault })), scheduledCount: this.scheduledCount };
+  }
+
+  loadState(state) {
+    this.active = state.active.map(fault => ({ ...fault }));
+    this.scheduledCount = state.scheduledCount;
+    this.applyFaults();
+  }
+}
+
+/**
+ * Describes a fault in a few words, e.g. "stuck on" or "Thruster 2: 50% thrust".
+ * @param {object} fault - A validated fault.
+ * @param {string} [name] - The hardware's name, to start the description with.
+ * @returns {string} The description.
+ */
+export function describeFault(fault, name = null) {
+  let description;
+  switch (fault.type) {
+    case 'failedOff': description = 'failed off'; break;
+    case 'stuckOn': description = 'stuck on'; break;
+    case 'misaligned': description = `misaligned ${fault.angle}°`; break;
+    case 'failed': description = 'failed'; break;
+    default: description = `${Math.round(fault.factor * 100)}% ${fault.target === 'thruster' ? 'thrust' : 'torque'}`;
+  }
+  return name ? `${name}: ${description}` : description;
+}
+
+// Tilts a unit direction by angle degrees about axis, or about an axis square to it if none is given
+function misalign(dir, angle, axis) {
+  let rotationAxis;
+  if (axis) {
+    rotationAxis = new CANNON.Vec3(axis.x, axis.y, axis.z);
+  } else {
+    // Any axis square to the thrust will do
+    const reference = Math.abs(dir.x) < 0.9 ? new CANNON.Vec3(1, 0, 0) : new CANNON.Vec3(0, 1, 0);
+    rotationAxis = dir.cross(reference);
+  }
+  if (rotationAxis.length() < 1e-9) return;
+  rotationAxis.normalize();
+
+  const rotation = new CANNON.Quaternion();
+  rotation.setFromAxisAngle(rotationAxis, angle * Math.PI / 180);
+  rotation.vmult(dir, dir);
+}
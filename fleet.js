@@ -0,0 +1,268 @@
+// File: fleet.js
+
+import { Autopilot } from './autopilot.js';
+
+/**
+ * Several spacecraft in one world, each its own Simulator with its own config, fuel,
+ * thrusters and attitude control, for formation flying and chaser/target exercises.
+ * The pilot flies one of them at a time; the others coast or fly on their autopilots
+ * (see Autopilot). They share the station and its docking ports, and can bump into
+ * each other as well as the station.
+ *
+ * A Fleet can be used wherever a Simulator is driven step by step: it takes the pilot's
+ * commands and actions for the vehicle being flown, and steps, saves and loads them all,
+ * so FlightRecorder and FlightPlayer record and replay the whole fleet.
+ *
+ *   const fleet = new Fleet(new Simulator(config, { scenario }));
+ *   fleet.addVehicle(new Simulator(targetConfig, {
+ *     world: fleet.world, station: fleet.station, scenario: vehicleScenario(scenario, spec)
+ *   }), { name: 'Target', autopilot: 'hold' });
+ *
+ * Additional vehicles (from the scenario file), each:
+ * {
+ *   "name": "Target",
+ *   "config": "target-config.json",                // Spacecraft config, or the path to one
+ *   "model": "navion.stl",                         // STL for the browser to load
+ *   "position": { "x": 0, "y": -3, "z": 12 },
+ *   "orientation": { "x": 0, "y": 0, "z": 0, "w": 1 },
+ *   "docked": false,                               // Start docked to the first port
+ *   "faults": [],                                  // Scheduled faults, as for the scenario
+ *   "autopilot": "hold"                            // Or an Autopilot config; "coast" if not given
+ * }
+ */
+export class Fleet {
+  /**
+   * @param {Simulator} lead - The first vehicle, flown by the pilot at the start. The others share its world and station.
+   * @param {object} [options] - { name, autopilot } for the lead.
+   */
+  constructor(lead, options = {}) {
+    this.lead = lead;
+    this.world = lead.world;
+    this.station = lead.station;
+    this.timestep = lead.timestep;
+    this.vehicles = [];
+    this.activeIndex = 0;
+    this.dockingPortBodies = []; // Given to vehicles added later too
+    this.addVehicle(lead, options);
+  }
+
+  /**
+   * Adds a vehicle. It must have been built with the fleet's world and station.
+   * @param {Simulator} simulator - The vehicle.
+   * @param {object} [options] - { name, autopilot: mode or Autopilot config }.
+   * @returns {number} Its index.
+   */
+  addVehicle(simulator, options = {}) {
+    if (simulator.world !== this.world || simulator.station !== this.station) {
+      throw new Error('A vehicle must share the fleet\'s world and station');
+    }
+    const index = this.vehicles.length;
+    const name = options.name || `Spacecraft ${index + 1}`;
+    simulator.body.name = name; // For the collision report
+    this.dockingPortBodies.forEach((body, i) => {
+      if (body && i < simulator.dockingPorts.length) simulator.setDockingPort(body, i);
+    });
+
+    const vehicle = { name, simulator, autopilot: new Autopilot(options.autopilot) };
+    this.vehicles.push(vehicle);
+    if (index !== this.activeIndex) vehicle.autopilot.engage(simulator);
+    return index;
+  }
+
+  // The vehicle the pilot is flying
+  get simulator() {
+    return this.vehicles[this.activeIndex].simulator;
+  }
+
+  get activeVehicle() {
+    return this.vehicles[this.activeIndex];
+  }
+
+  // What a recording is checked against: the lead's
+  get config() {
+    return this.lead.config;
+  }
+
+  get scenario() {
+    return this.lead.scenario;
+  }
+
+  get collisionBox() {
+    return this.lead.collisionBox;
+  }
+
+  get command() {
+    return this.simulator.command;
+  }
+
+  setCommand(command) {
+    this.simulator.setCommand(command);
+  }
+
+  /**
+   * Gives every vehicle a docking port's body (see Simulator.setDockingPort()).
+   * @param {CANNON.Body} body - The port body, in the fleet's world.
+   * @param {number} [index] - Which of the dockingPorts it is.
+   */
+  setDockingPort(body, index = 0) {
+    this.dockingPortBodies[index] = body;
+    this.vehicles.forEach(({ simulator }) => {
+      if (index < simulator.dockingPorts.length) simulator.setDockingPort(body, index);
+    });
+  }
+
+  attachToStation(body) {
+    this.station.attach(body);
+  }
+
+  /**
+   * Advances every vehicle by one physics step, stepping their shared world and the
+   * station once. Once an impact has destroyed any of them nothing moves.
+   * @param {number} [dt] - Step size in seconds, defaults to the fixed timestep.
+   * @returns {object} The state of the vehicle being flown (see getState()).
+   */
+  step(dt = this.timestep) {
+    if (this.vehicles.some(({ simulator }) => simulator.collisions.failed)) return this.getState();
+
+    // Docked vehicles ride with the station, unless flying it as a stack; the others fly
+    const flying = this.vehicles.filter(({ simulator }) => simulator.flying);
+    flying.forEach(vehicle => {
+      if (vehicle !== this.activeVehicle) vehicle.simulator.setCommand(vehicle.autopilot.getCommand(vehicle.simulator));
+      vehicle.faultsStarted = vehicle.simulator.beginStep(dt);
+    });
+    if (flying.length > 0) this.world.step(dt);
+    this.station.step(dt);
+
+    let state = null;
+    flying.forEach(vehicle => {
+      const vehicleState = vehicle.simulator.endStep(dt, vehicle.faultsStarted);
+      if (vehicle === this.activeVehicle) state = vehicleState;
+    });
+    return state ? this.withFleetStatus(state) : this.getState();
+  }
+
+  /**
+   * Hands the pilot the next vehicle. The one left behind flies on its autopilot from where it is.
+   * @returns {number} The index of the vehicle now flown.
+   */
+  switchVehicle() {
+    const previous = this.activeVehicle;
+    previous.simulator.setCommand({});
+    previous.autopilot.engage(previous.simulator);
+
+    this.activeIndex = (this.activeIndex + 1) % this.vehicles.length;
+    this.activeVehicle.autopilot.disengage();
+    return this.activeIndex;
+  }
+
+  /**
+   * Runs an action for the pilot (see Simulator.perform()). Besides the simulator actions,
+   * "switchVehicle" changes vehicle, and "reset" puts every vehicle back at the start.
+   * @param {string} action - The action name.
+   * @param {...*} args - Arguments for the action.
+   * @returns {*} Whatever the action returns.
+   */
+  perform(action, ...args) {
+    if (action === 'switchVehicle') return this.switchVehicle();
+    if (action === 'reset') return this.reset();
+    return this.simulator.perform(action, ...args);
+  }
+
+  // Every vehicle back to its start, with the pilot in the lead
+  reset() {
+    this.vehicles.forEach(({ simulator }) => simulator.reset());
+    this.activeIndex = 0;
+    this.vehicles.forEach(({ simulator, autopilot }, i) => {
+      simulator.setCommand({});
+      if (i === this.activeIndex) autopilot.disengage();
+      else autopilot.engage(simulator);
+    });
+  }
+
+  /**
+   * The lead's saved state, with the other vehicles' added when there are any, so a
+   * fleet of one saves exactly as its Simulator does.
+   * @returns {object} The saved state.
+   */
+  saveState() {
+    const state = this.lead.saveState();
+    if (this.vehicles.length > 1) {
+      state.fleet = {
+        active: this.activeIndex,
+        vehicles: this.vehicles.slice(1).map(({ simulator }) => simulator.saveState()),
+        autopilots: this.vehicles.map(({ autopilot }) => autopilot.saveState())
+      };
+    }
+    return state;
+  }
+
+  /**
+   * Restores a state from saveState(). A Simulator's state is taken as the lead's, with the
+   * other vehicles put back at their start.
+   * @param {object} state - The saved state.
+   */
+  loadState(state) {
+    const { fleet, ...leadState } = state;
+    if (!fleet) {
+      this.reset();
+      this.lead.loadState(leadState);
+      return;
+    }
+    if (fleet.vehicles.length !== this.vehicles.length - 1) {
+      throw new Error(`The state has ${fleet.vehicles.length + 1} vehicles; this fleet has ${this.vehicles.length}`);
+    }
+    this.lead.loadState(leadState);
+    this.vehicles.slice(1).forEach(({ simulator }, i) => simulator.loadState(fleet.vehicles[i]));
+    this.vehicles.forEach(({ simulator, autopilot }, i) => {
+      autopilot.loadState(fleet.autopilots[i]);
+      if (i !== fleet.active) simulator.setCommand({});
+    });
+    this.activeIndex = fleet.active;
+  }
+
+  /**
+   * The state of the vehicle being flown, with the fleet's (see Simulator.getState()).
+   * @param {object} [events] - What happened during the last step.
+   * @returns {object} The state, with vehicle: getStatus().
+   */
+  getState(events) {
+    return this.withFleetStatus(this.simulator.getState(events));
+  }
+
+  /**
+   * Which vehicle the pilot is flying, and who flies each of them.
+   * @returns {object} { index, name, count, vehicles: [{ name, piloted, mode, engaged }] }.
+   */
+  getStatus() {
+    return {
+      index: this.activeIndex,
+      name: this.activeVehicle.name,
+      count: this.vehicles.length,
+      vehicles: this.vehicles.map(({ name, autopilot }, i) => ({ name, piloted: i === this.activeIndex, ...autopilot.getStatus() }))
+    };
+  }
+
+  withFleetStatus(state) {
+    // The run ends when any vehicle is destroyed
+    state.failed = state.failed || this.vehicles.some(({ simulator }) => simulator.collisions.failed);
+    state.vehicle = this.getStatus();
+    return state;
+  }
+}
+
+/**
+ * The scenario a vehicle of the fleet is built with: the fleet's, with the vehicle's
+ * own start pose, whether it starts docked, and its own scheduled faults.
+ * @param {object} scenario - The scenario file, or null.
+ * @param {object} spec - The vehicle's entry in the scenario's vehicles.
+ * @returns {object} The vehicle's scenario.
+ */
+export function vehicleScenario(scenario, spec) {
+  const { vehicles, ...base } = scenario || {};
+  const result = { ...base, startDocked: spec.docked === true, faults: spec.faults || [] };
+  delete result.position;
+  delete result.orientation;
+  if (spec.position) result.position = spec.position;
+  if (spec.orientation) result.orientation = spec.orientation;
+  return result;
+}
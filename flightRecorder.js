@@ -0,0 +1,250 @@
+// File: flightRecorder.js
+
+import { Simulator, CONTROL_KEYS } from './simulator.js';
+
+const REPLAY_FORMAT = 'satsim-replay';
+const REPLAY_VERSION = 1;
+
+// How often the player keeps a saved state to rewind to, in steps (10 s at 60 Hz)
+const KEYFRAME_INTERVAL = 600;
+
+/**
+ * Records a flight as the inputs given to a Simulator, step by step, so it can be
+ * flown again exactly by a FlightPlayer.
+ *
+ * Replay file:
+ * {
+ *   "format": "satsim-replay",
+ *   "version": 1,
+ *   "recordedAt": "2026-01-01T12:00:00.000Z",
+ *   "timestep": 0.016666666666666666,
+ *   "config": { ... },         // The normalized spacecraft config
+ *   "scenario": { ... },       // The initial position file, or null
+ *   "collisionBox": { ... },   // The spacecraft's collision box and hulls, from its model
+ *   "initialState": { ... },   // Simulator.saveState() when recording started
+ *   "steps": 3600,
+ *   "inputs": [
+ *     { "step": 0, "command": { "keys": [], "torqueFraction": 0.5, "thrusters": [] } },
+ *     { "step": 0, "action": "undock" },
+ *     { "step": 95, "command": { "keys": ["s"], "torqueFraction": 0.5, "thrusters": [] } },
+ *     { "step": 300, "action": "injectFault", "args": [{ "target": "thruster", "index": 2, "type": "stuckOn" }] }
+ *   ]
+ * }
+ *
+ * A command is held from its step until the next one. An action runs before the step it is listed at.
+ */
+export class FlightRecorder {
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.recording = null;
+    this.lastCommand = null;
+  }
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  // Start a new recording from the simulator's current state
+  start() {
+    const sim = this.simulator;
+    this.recording = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      timestep: sim.timestep,
+      config: sim.config,
+      scenario: sim.scenario,
+      collisionBox: sim.collisionBox,
+      initialState: sim.saveState(),
+      steps: 0,
+      inputs: []
+    };
+    this.lastCommand = null;
+  }
+
+  /**
+   * Records the command for the next step. Call it once before every step.
+   * @param {object} command - The simulator's command, as given to setCommand().
+   */
+  recordStep(command) {
+    if (!this.recording) return;
+
+    const entry = {
+      keys: CONTROL_KEYS.filter(k => command.keys[k]),
+      torqueFraction: command.torqueFraction,
+      thrusters: command.thrusters.slice()
+    };
+    // Only changes are stored; a held key is one entry however long it is held
+    const key = JSON.stringify(entry);
+    if (key !== this.lastCommand) {
+      this.recording.inputs.push({ step: this.recording.steps, command: entry });
+      this.lastCommand = key;
+    }
+    this.recording.steps++;
+  }
+
+  /**
+   * Records an action given before the next step.
+   * @param {string} action - One of the SIMULATOR_ACTIONS, or a Fleet's "switchVehicle".
+   * @param {Array} [args] - Its arguments.
+   */
+  recordAction(action, args = []) {
+    if (!this.recording) return;
+    const entry = { step: this.recording.steps, action };
+    if (args.length > 0) entry.args = JSON.parse(JSON.stringify(args));
+    this.recording.inputs.push(entry);
+  }
+
+  /**
+   * Ends the recording.
+   * @returns {object} The replay, ready for JSON.stringify().
+   */
+  stop() {
+    const recording = this.recording;
+    this.recording = null;
+    return recording;
+  }
+}
+
+/**
+ * Plays a recording back by feeding its inputs to a Simulator. The result is the
+ * same flight, step for step, because nothing else goes into the simulation.
+ *
+ * Without a simulator it builds its own from the recording. That one has no station
+ * or docking port to bump into, so a flight that touched them won't play back the same.
+ * A Fleet's recording needs the other vehicles too, so it plays back only on a Fleet like it.
+ */
+export class FlightPlayer {
+  /**
+   * @param {object} recording - A replay from FlightRecorder.stop(), or parsed from a replay file.
+   * @param {Simulator|Fleet} [simulator] - The simulator (or fleet) to play it on. Its config and
+   *   scenario must match the recording's; its state is overwritten.
+   */
+  constructor(recording, simulator = null) {
+    if (!recording || recording.format !== REPLAY_FORMAT) {
+      throw new Error('Not a replay file');
+    }
+    if (recording.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version ${recording.version}`);
+    }
+
+    if (simulator) {
+      if (!sameData(recording.config, simulator.config)) {
+        throw new Error('The replay was recorded with a different spacecraft config');
+      }
+      if (!sameData(recording.scenario, simulator.scenario)) {
+        throw new Error('The replay was recorded with a different initial position file');
+      }
+      if (!sameData(recording.collisionBox, simulator.collisionBox)) {
+        throw new Error('The replay was recorded with a different spacecraft model');
+      }
+    } else {
+      if (recording.initialState?.fleet) {
+        throw new Error('The replay was recorded with several vehicles; it needs them loaded to play');
+      }
+      simulator = new Simulator(recording.config, {
+        scenario: recording.scenario,
+        collisionBox: recording.collisionBox,
+        timestep: recording.timestep
+      });
+    }
+
+    this.recording = recording;
+    this.simulator = simulator;
+    this.position = 0; // Steps played
+    this.inputIndex = 0; // Next input to apply
+
+    // Saved states to rewind to, one every KEYFRAME_INTERVAL steps
+    this.keyframes = [{ state: recording.initialState, inputIndex: 0, command: { keys: {} } }];
+
+    this.restoreKeyframe(0);
+  }
+
+  get length() {
+    return this.recording.steps;
+  }
+
+  get finished() {
+    return this.position >= this.recording.steps;
+  }
+
+  // Recorded seconds played so far
+  getTime() {
+    return this.position * this.recording.timestep;
+  }
+
+  getDuration() {
+    return this.recording.steps * this.recording.timestep;
+  }
+
+  /**
+   * Plays the next recorded step.
+   * @returns {object} The simulator state after the step (see Simulator.getState()).
+   */
+  step() {
+    if (this.finished) return this.simulator.getState();
+
+    const inputs = this.recording.inputs;
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex].step <= this.position) {
+      const input = inputs[this.inputIndex++];
+      if (input.action) {
+        this.simulator.perform(input.action, ...(input.args || []));
+      } else {
+        this.simulator.setCommand(commandFromEntry(input.command));
+      }
+    }
+
+    const state = this.simulator.step(this.recording.timestep);
+    this.position++;
+
+    if (this.position % KEYFRAME_INTERVAL === 0 && !this.keyframes[this.position / KEYFRAME_INTERVAL]) {
+      this.keyframes[this.position / KEYFRAME_INTERVAL] = {
+        state: this.simulator.saveState(),
+        inputIndex: this.inputIndex,
+        command: this.simulator.command
+      };
+    }
+    return state;
+  }
+
+  /**
+   * Jumps to a step, replaying from the nearest saved state before it.
+   * @param {number} target - The step to go to, 0 for the start.
+   * @returns {object} The simulator state there.
+   */
+  seek(target) {
+    target = Math.max(0, Math.min(this.recording.steps, Math.round(target)));
+
+    // Only rewind if a keyframe gets closer than where we are now
+    let keyframe = Math.min(Math.floor(target / KEYFRAME_INTERVAL), this.keyframes.length - 1);
+    while (!this.keyframes[keyframe]) keyframe--;
+    if (target < this.position || keyframe * KEYFRAME_INTERVAL > this.position) {
+      this.restoreKeyframe(keyframe);
+    }
+
+    while (this.position < target) this.step();
+    return this.simulator.getState();
+  }
+
+  restoreKeyframe(index) {
+    const keyframe = this.keyframes[index];
+    this.simulator.loadState(keyframe.state);
+    this.simulator.setCommand(keyframe.command);
+    this.position = index * KEYFRAME_INTERVAL;
+    this.inputIndex = keyframe.inputIndex;
+  }
+}
+
+// Turn a recorded command back into the form setCommand() takes
+function commandFromEntry(entry) {
+  return {
+    keys: Object.fromEntries(entry.keys.map(k => [k, true])),
+    torqueFraction: entry.torqueFraction,
+    thrusters: entry.thrusters
+  };
+}
+
+// Whether two pieces of JSON data are the same
+function sameData(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
@@ -0,0 +1,451 @@
+// File: fuelSystem.js
+
+import * as CANNON from 'cannon-es';
+import {
+  parseInertiaTensor,
+  setBodyInertiaTensor,
+  parallelAxisTensor,
+  addScaledTensor,
+  tankInertiaTensor
+} from './massProperties.js';
+import { parseGasModel, gasState } from './coldGas.js';
+
+/**
+ * Propellant bookkeeping for one spacecraft body: dry mass, fuel mass and,
+ * when the config declares tanks, the center of mass and inertia that follow
+ * the propellant left in them.
+ *
+ * With tanks, each one holds its own propellant and fuelMass is their sum. A
+ * thruster draws from the tank it names, plus any tanks joined to it by open
+ * cross-feed valves; one that names no tank draws from all of them. Tanks joined
+ * by a valve draw down in proportion to what each holds.
+ *
+ * A tank with a "gas" block is a cold-gas tank (see coldGas.js): its pressure
+ * falls as it empties, and the thrusters it feeds lose thrust and Isp.
+ *
+ * A payload rigidly joined to the spacecraft (a docked target flown as one stack,
+ * see attachPayload()) adds its mass, CG and inertia to the spacecraft's.
+ *
+ * When the CG moves, the body origin is moved onto it and the body's shapes are
+ * moved back by the same amount, so the spacecraft itself stays put. Anything
+ * else mounted relative to the CG (thruster lever arms, visuals) reads
+ * getCenterOfMassShift() and follows.
+ */
+export class FuelSystem {
+  /**
+   * @param {CANNON.Body} body - The spacecraft body. Its inertia must already be set.
+   * @param {object} properties - spacecraftProperties from the config.
+   * @param {object} centerOfMassOffset - The configured center of mass {x, y, z}.
+   */
+  constructor(body, properties = {}, centerOfMassOffset = {x: 0, y: 0, z: 0}) {
+    this.body = body;
+    this.dryMass = 5;
+    this.fuelMass = 5;
+    this.maxFuelMass = 5;
+
+    this.tanks = [];
+    this.crossFeeds = [];
+    this.dryMassProperties = null; // Dry inertia and first moment about the configured CG
+    this.payload = null; // { mass, position, inertia } while one is attached
+    this.fixedInertia = null; // Without tanks, the configured inertia to go back to when the payload comes off
+    this.centerOfMassShift = new CANNON.Vec3(0, 0, 0); // Current CG relative to the configured CG
+    this.centerOfMassOffset = centerOfMassOffset;
+
+    this.setProperties(properties);
+  }
+
+  /**
+   * Applies new mass properties. Only the fields present are changed.
+   * @param {object} properties - dryMass, fuelMass, maxFuelMass, inertia, tanks and crossFeeds, all optional.
+   */
+  setProperties(properties) {
+    // Convert strings to numbers
+    if (properties.dryMass !== undefined) this.dryMass = parseFloat(properties.dryMass);
+    if (properties.fuelMass !== undefined) this.fuelMass = parseFloat(properties.fuelMass);
+    if (properties.maxFuelMass !== undefined) this.maxFuelMass = parseFloat(properties.maxFuelMass);
+
+    if (properties.fuelMass !== undefined) this.distributeFuel();
+    this.updateBodyMass();
+
+    if (properties.inertia) {
+      setBodyInertiaTensor(this.body, parseInertiaTensor(properties.inertia));
+    }
+
+    if (properties.tanks) {
+      this.configureTanks(properties.tanks);
+      this.updateTankMassProperties();
+    }
+
+    if (properties.tanks || properties.crossFeeds) {
+      this.configureCrossFeeds(properties.crossFeeds || []);
+    }
+  }
+
+  // Reads the tank definitions and works out the dry vehicle's mass properties.
+  // The configured inertia and center of mass describe the vehicle as loaded, so the
+  // propellant is taken back out here and added again as the tanks drain.
+  configureTanks(tankConfigs) {
+    this.moveCenterOfMass(new CANNON.Vec3(0, 0, 0));
+    this.tanks = [];
+    this.dryMassProperties = null;
+
+    if (!Array.isArray(tankConfigs) || tankConfigs.length === 0) return;
+
+    const com = this.centerOfMassOffset;
+    this.tanks = tankConfigs.map((t, i) => {
+      const name = t.name || `Tank ${i + 1}`;
+      let capacity = Math.max(0, parseFloat(t.capacity) || 0);
+
+      // A cold-gas tank holds as much gas as its pressure and volume allow
+      const gas = t.gas ? parseGasModel(t.gas, name) : null;
+      if (gas) {
+        if (capacity > 0 && Math.abs(capacity - gas.mass) > 1e-6) {
+          console.warn(`Tank "${name}" holds ${gas.mass.toFixed(4)} kg of gas at its pressure and volume; using that as its capacity instead of ${capacity} kg.`);
+        }
+        capacity = gas.mass;
+      }
+
+      return {
+        name,
+        shape: t.shape,
+        radius: parseFloat(t.radius) || 0,
+        length: parseFloat(t.length) || 0,
+        axis: t.axis,
+        capacity,
+        propellant: t.propellant || null, // Tanks of different propellants can't be cross-fed
+        gas,
+        // Tank center relative to the configured center of mass (same convention as thrusters)
+        position: new CANNON.Vec3(
+          (parseFloat(t.position?.x) || 0) - (com.x || 0),
+          (parseFloat(t.position?.y) || 0) - (com.y || 0),
+          (parseFloat(t.position?.z) || 0) - (com.z || 0)
+        ),
+        mass: 0
+      };
+    });
+
+    const totalCapacity = this.tanks.reduce((sum, tank) => sum + tank.capacity, 0);
+    if (totalCapacity <= 0) {
+      console.warn('Tanks are declared but none has a capacity; the center of mass will stay fixed.');
+      this.tanks = [];
+      return;
+    }
+    if (Math.abs(totalCapacity - this.maxFuelMass) > 1e-9) {
+      console.warn(`Tank capacities add up to ${totalCapacity} kg; using that as maxFuelMass instead of ${this.maxFuelMass} kg.`);
+      this.maxFuelMass = totalCapacity;
+      this.fuelMass = Math.min(this.fuelMass, this.maxFuelMass);
+    }
+    this.distributeFuel();
+
+    const inertia = getInertiaTensor(this.body);
+    const firstMoment = new CANNON.Vec3(0, 0, 0);
+    this.tanks.forEach(tank => {
+      addScaledTensor(inertia, tankTensorAboutReference(tank), -1);
+      firstMoment.vsub(tank.position.scale(tank.mass), firstMoment);
+    });
+    this.dryMassProperties = { inertia, firstMoment };
+
+    console.log(`Configured ${this.tanks.length} propellant tank(s), ${totalCapacity} kg total capacity`);
+  }
+
+  // Reads the cross-feed valves. Each joins two or more tanks by name:
+  // { "name": "Crossfeed A", "tanks": ["Tank 1", "Tank 2"], "open": false }
+  configureCrossFeeds(crossFeedConfigs) {
+    this.crossFeeds = [];
+    if (!Array.isArray(crossFeedConfigs)) return;
+
+    crossFeedConfigs.forEach((c, i) => {
+      const name = c.name || `Crossfeed ${i + 1}`;
+      const tanks = (c.tanks || []).map(tankName => this.getTankIndex(tankName));
+      if (tanks.length < 2 || tanks.includes(null)) {
+        console.warn(`Skipping cross-feed "${name}": it must join two or more of the declared tanks`, c.tanks);
+        return;
+      }
+      const propellants = new Set(tanks.map(i => this.tanks[i].propellant));
+      if (propellants.size > 1) {
+        console.warn(`Skipping cross-feed "${name}": it joins tanks of different propellants`);
+        return;
+      }
+      const initiallyOpen = c.open === true;
+      this.crossFeeds.push({ name, tanks, open: initiallyOpen, initiallyOpen });
+    });
+  }
+
+  // Fills the tanks from fuelMass, each to the same fraction of its capacity
+  distributeFuel() {
+    this.tanks.forEach(tank => {
+      tank.mass = this.maxFuelMass > 0 ? this.fuelMass * tank.capacity / this.maxFuelMass : 0;
+    });
+  }
+
+  /**
+   * Finds a tank by name.
+   * @param {string} name - The tank's name.
+   * @returns {number|null} Its index, or null if there is no such tank.
+   */
+  getTankIndex(name) {
+    const index = this.tanks.findIndex(tank => tank.name === name);
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * The tanks a feed can draw from: the tank itself and everything joined to it by
+   * open cross-feed valves.
+   * @param {number|null} tankIndex - The feed tank, or null for all tanks.
+   * @returns {Array<number>} Tank indices.
+   */
+  getFeedTanks(tankIndex) {
+    if (tankIndex === null || tankIndex === undefined) return this.tanks.map((_, i) => i);
+
+    const reached = new Set([tankIndex]);
+    let grown = true;
+    while (grown) {
+      grown = false;
+      this.crossFeeds.forEach(valve => {
+        if (!valve.open || !valve.tanks.some(i => reached.has(i))) return;
+        valve.tanks.forEach(i => {
+          if (!reached.has(i)) {
+            reached.add(i);
+            grown = true;
+          }
+        });
+      });
+    }
+    return [...reached];
+  }
+
+  /**
+   * Propellant a feed can reach.
+   * @param {number|null} [tankIndex] - The feed tank, or null for all tanks.
+   * @returns {number} Mass in kg.
+   */
+  getAvailableFuel(tankIndex = null) {
+    if (this.tanks.length === 0) return this.fuelMass;
+    return this.getFeedTanks(tankIndex).reduce((sum, i) => sum + this.tanks[i].mass, 0);
+  }
+
+  /**
+   * The gas conditions a feed gives its thrusters: those of the highest-pressure
+   * cold-gas tank it can reach.
+   * @param {number|null} [tankIndex] - The feed tank, or null for all tanks.
+   * @returns {object|null} { feedPressure, nominalFeedPressure } in bar and
+   *   { temperature, nominalTemperature } in K, or null if no cold-gas tank is in reach.
+   */
+  getFeedConditions(tankIndex = null) {
+    let conditions = null;
+    this.getFeedTanks(tankIndex).forEach(i => {
+      const tank = this.tanks[i];
+      if (!tank.gas) return;
+      const state = gasState(tank.gas, tank.mass);
+      if (conditions && state.feedPressure <= conditions.feedPressure) return;
+      conditions = {
+        feedPressure: state.feedPressure,
+        nominalFeedPressure: tank.gas.nominalFeedPressure,
+        temperature: state.temperature,
+        nominalTemperature: tank.gas.temperature
+      };
+    });
+    return conditions;
+  }
+
+  /**
+   * Opens or closes a cross-feed valve.
+   * @param {number} index - The valve's index.
+   * @returns {boolean} Whether it is open now.
+   */
+  toggleCrossFeed(index) {
+    const valve = this.crossFeeds[index];
+    if (!valve) {
+      throw new Error(`There is no cross-feed valve ${index}`);
+    }
+    valve.open = !valve.open;
+    return valve.open;
+  }
+
+  // Update the body's mass to dry mass + fuel mass, plus any payload
+  updateBodyMass() {
+    const totalMass = this.getTotalMass();
+    this.body.mass = totalMass;
+    // Don't call updateMassProperties() as it recalculates inertia based on shape
+    this.body.invMass = totalMass > 0 ? 1 / totalMass : 0;
+
+    this.updateTankMassProperties();
+  }
+
+  // The mass of everything the body carries: dry vehicle, propellant and payload
+  getTotalMass() {
+    return this.dryMass + this.fuelMass + (this.payload ? this.payload.mass : 0);
+  }
+
+  // Recomputes the CG and inertia tensor from the dry vehicle plus the propellant in the tanks and the payload
+  updateTankMassProperties() {
+    if (!this.dryMassProperties && !this.payload) return;
+
+    const totalMass = this.getTotalMass();
+    if (totalMass <= 0) return;
+
+    // Without tanks the configured inertia is the loaded spacecraft's, about the configured CG
+    const own = this.dryMassProperties || { inertia: this.fixedInertia, firstMoment: new CANNON.Vec3(0, 0, 0) };
+    const firstMoment = own.firstMoment.clone();
+    const inertia = new CANNON.Mat3(own.inertia.elements.slice());
+    this.tanks.forEach(tank => {
+      firstMoment.vadd(tank.position.scale(tank.mass), firstMoment);
+      addScaledTensor(inertia, tankTensorAboutReference(tank));
+    });
+    if (this.payload) {
+      const { mass, position } = this.payload;
+      firstMoment.vadd(position.scale(mass), firstMoment);
+      addScaledTensor(inertia, this.payload.inertia);
+      addScaledTensor(inertia, parallelAxisTensor(mass, position));
+    }
+
+    // Move the reference point from the configured CG to the current one
+    const shift = firstMoment.scale(1 / totalMass);
+    addScaledTensor(inertia, parallelAxisTensor(totalMass, shift), -1);
+
+    setBodyInertiaTensor(this.body, inertia);
+    this.moveCenterOfMass(shift);
+  }
+
+  // Puts the body origin on the new CG without moving the spacecraft itself:
+  // the body moves by the shift and its shapes move back by the same amount.
+  moveCenterOfMass(shift) {
+    const delta = shift.vsub(this.centerOfMassShift);
+    if (delta.isZero()) return;
+    this.centerOfMassShift.copy(shift);
+
+    const body = this.body;
+    const worldDelta = body.quaternion.vmult(delta);
+    body.position.vadd(worldDelta, body.position);
+    // The new origin is a different point of the rigid body, so it has its own velocity
+    body.velocity.vadd(body.angularVelocity.cross(worldDelta), body.velocity);
+
+    body.shapeOffsets.forEach(offset => offset.vsub(delta, offset));
+    body.updateBoundingRadius();
+    body.aabbNeedsUpdate = true;
+  }
+
+  /**
+   * Joins a payload rigidly to the spacecraft, such as a docked target flown as one stack.
+   * Its mass, CG and inertia count as the spacecraft's until detachPayload().
+   * @param {object} payload - { mass } in kg, { position } of its CG relative to the configured CG
+   *   and { inertia } about its CG, both in body axes (CANNON.Vec3 and CANNON.Mat3).
+   */
+  attachPayload(payload) {
+    if (!this.dryMassProperties && !this.payload) this.fixedInertia = getInertiaTensor(this.body);
+    this.payload = payload;
+    this.updateBodyMass();
+  }
+
+  // Lets the payload go: the spacecraft's own mass properties are back
+  detachPayload() {
+    if (!this.payload) return;
+    this.payload = null;
+    this.updateBodyMass();
+    if (!this.dryMassProperties) {
+      setBodyInertiaTensor(this.body, this.fixedInertia);
+      this.moveCenterOfMass(new CANNON.Vec3(0, 0, 0));
+      this.fixedInertia = null;
+    }
+  }
+
+  /**
+   * Burns propellant.
+   * @param {number} amount - Propellant mass in kg.
+   * @param {number|null} [tankIndex] - The feed tank, or null to draw from all tanks.
+   * @returns {number} The fuel mass left.
+   */
+  consume(amount, tankIndex = null) {
+    if (this.tanks.length === 0) {
+      this.fuelMass = Math.max(0, this.fuelMass - amount);
+    } else {
+      const feedTanks = this.getFeedTanks(tankIndex);
+      const available = feedTanks.reduce((sum, i) => sum + this.tanks[i].mass, 0);
+      if (available > 0) {
+        const fraction = Math.min(1, amount / available);
+        feedTanks.forEach(i => this.tanks[i].mass -= this.tanks[i].mass * fraction);
+      }
+      this.fuelMass = this.tanks.reduce((sum, tank) => sum + tank.mass, 0);
+    }
+    this.updateBodyMass();
+    return this.fuelMass;
+  }
+
+  // Refill to capacity, with the cross-feed valves as configured
+  reset() {
+    this.fuelMass = this.maxFuelMass;
+    this.distributeFuel();
+    this.crossFeeds.forEach(valve => valve.open = valve.initiallyOpen);
+    this.updateBodyMass();
+  }
+
+  saveState() {
+    return {
+      fuelMass: this.fuelMass,
+      tanks: this.tanks.map(tank => tank.mass),
+      crossFeeds: this.crossFeeds.map(valve => valve.open)
+    };
+  }
+
+  // Restores saveState(). Without tank masses the fuel is spread over the tanks by capacity.
+  loadState(state) {
+    this.fuelMass = state.fuelMass;
+    if (state.tanks) {
+      this.tanks.forEach((tank, i) => tank.mass = state.tanks[i]);
+    } else {
+      this.distributeFuel();
+    }
+    this.crossFeeds.forEach((valve, i) => valve.open = state.crossFeeds ? state.crossFeeds[i] : valve.initiallyOpen);
+    this.updateBodyMass();
+  }
+
+  // Get the CG position relative to the configured center of mass, in body axes
+  getCenterOfMassShift() {
+    return this.centerOfMassShift.clone();
+  }
+
+  getStatus() {
+    return {
+      dryMass: this.dryMass,
+      fuelMass: this.fuelMass,
+      maxFuelMass: this.maxFuelMass,
+      fuelPercentage: (this.fuelMass / this.maxFuelMass) * 100,
+      payloadMass: this.payload ? this.payload.mass : 0,
+      centerOfMassShift: this.centerOfMassShift.clone(),
+      tanks: this.tanks.map(tank => {
+        const gas = tank.gas ? gasState(tank.gas, tank.mass) : null;
+        return {
+          name: tank.name,
+          propellant: tank.propellant,
+          mass: tank.mass,
+          capacity: tank.capacity,
+          percentage: tank.capacity > 0 ? (tank.mass / tank.capacity) * 100 : 0,
+          pressure: gas ? gas.pressure : null, // bar, cold-gas tanks only
+          feedPressure: gas ? gas.feedPressure : null,
+          temperature: gas ? gas.temperature : null
+        };
+      }),
+      crossFeeds: this.crossFeeds.map(valve => ({
+        name: valve.name,
+        open: valve.open,
+        tanks: valve.tanks.map(i => this.tanks[i].name)
+      }))
+    };
+  }
+}
+
+// The body's inertia tensor as it is set now, body axes
+function getInertiaTensor(body) {
+  return body.inertiaTensor
+    ? new CANNON.Mat3(body.inertiaTensor.elements.slice())
+    : new CANNON.Mat3([
+        body.inertia.x, 0, 0,
+        0, body.inertia.y, 0,
+        0, 0, body.inertia.z
+      ]);
+}
+
+// Propellant inertia of a tank about the configured center of mass
+function tankTensorAboutReference(tank) {
+  return addScaledTensor(tankInertiaTensor(tank, tank.mass), parallelAxisTensor(tank.mass, tank.position));
+}
@@ -0,0 +1,294 @@
+// File: massProperties.js
+
+import * as CANNON from 'cannon-es';
+
+// Inertia tensors are symmetric 3x3 matrices about the center of mass, stored
+// row-major in a CANNON.Mat3. Products of inertia are the off-diagonal tensor
+// elements as they appear in the matrix, i.e. Ixy = -∫xy dm.
+
+// Temporary objects reused every physics step
+const _rotation = new CANNON.Mat3();
+const _rotationT = new CANNON.Mat3();
+const _product = new CANNON.Mat3();
+const _localOmega = new CANNON.Vec3();
+const _localMomentum = new CANNON.Vec3();
+const _worldMomentum = new CANNON.Vec3();
+const _gyroTorque = new CANNON.Vec3();
+const _halfStepOmega = new CANNON.Vec3();
+
+/**
+ * Builds an inertia tensor from the config format { x, y, z, xy, xz, yz }.
+ * x, y and z are Ixx, Iyy and Izz; the products of inertia default to 0.
+ * @param {object} inertia - The inertia block from spacecraftProperties.
+ * @returns {CANNON.Mat3} The symmetric inertia tensor.
+ */
+export function parseInertiaTensor(inertia) {
+  const ixx = parseFloat(inertia.x) || 0;
+  const iyy = parseFloat(inertia.y) || 0;
+  const izz = parseFloat(inertia.z) || 0;
+  const ixy = parseFloat(inertia.xy) || 0;
+  const ixz = parseFloat(inertia.xz) || 0;
+  const iyz = parseFloat(inertia.yz) || 0;
+
+  return new CANNON.Mat3([
+    ixx, ixy, ixz,
+    ixy, iyy, iyz,
+    ixz, iyz, izz
+  ]);
+}
+
+/**
+ * Converts an inertia tensor back to the config format { x, y, z, xy, xz, yz }.
+ * @param {CANNON.Mat3} tensor - The inertia tensor.
+ * @returns {object} The inertia block for spacecraftProperties.
+ */
+export function inertiaTensorToConfig(tensor) {
+  const e = tensor.elements;
+  return { x: e[0], y: e[4], z: e[8], xy: e[1], xz: e[2], yz: e[5] };
+}
+
+/**
+ * Principal-axis decomposition of a symmetric tensor (cyclic Jacobi rotations).
+ * @param {CANNON.Mat3} tensor - The inertia tensor.
+ * @returns {{moments: number[], axes: CANNON.Vec3[]}} Principal moments (ascending)
+ *   and the matching unit axes expressed in the body frame.
+ */
+export function principalAxes(tensor) {
+  const a = [
+    tensor.elements.slice(0, 3),
+    tensor.elements.slice(3, 6),
+    tensor.elements.slice(6, 9)
+  ];
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    if (offDiagonal < 1e-15 * (Math.abs(a[0][0]) + Math.abs(a[1][1]) + Math.abs(a[2][2]) + 1e-300)) break;
+
+    for (let p = 0; p < 2; p++) {
+      for (let q = p + 1; q < 3; q++) {
+        if (a[p][q] === 0) continue;
+
+        // Rotation angle that zeroes a[p][q]
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < 3; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = [0, 1, 2].sort((i, j) => a[i][i] - a[j][j]);
+  return {
+    moments: order.map(i => a[i][i]),
+    axes: order.map(i => new CANNON.Vec3(v[0][i], v[1][i], v[2][i]))
+  };
+}
+
+/**
+ * Checks that principal moments describe a real rigid body: all positive and
+ * satisfying the triangle inequality (each moment <= the sum of the other two).
+ * @param {number[]} moments - Principal moments of inertia.
+ * @returns {boolean} True if the tensor is physically possible.
+ */
+export function isPhysicalInertia(moments) {
+  const [i1, i2, i3] = moments;
+  const tolerance = 1e-9 * (i1 + i2 + i3);
+  return i1 > 0 && i2 > 0 && i3 > 0 &&
+    i1 <= i2 + i3 + tolerance &&
+    i2 <= i1 + i3 + tolerance &&
+    i3 <= i1 + i2 + tolerance;
+}
+
+/**
+ * Inertia tensor that a point mass at r adds about the origin (parallel axis
+ * theorem): m·(|r|²·E − r·rᵀ).
+ * @param {number} mass - The mass in kg.
+ * @param {CANNON.Vec3} r - Position of the mass relative to the reference point.
+ * @returns {CANNON.Mat3} The tensor contribution.
+ */
+export function parallelAxisTensor(mass, r) {
+  const r2 = r.lengthSquared();
+  return new CANNON.Mat3([
+    mass * (r2 - r.x * r.x), -mass * r.x * r.y, -mass * r.x * r.z,
+    -mass * r.y * r.x, mass * (r2 - r.y * r.y), -mass * r.y * r.z,
+    -mass * r.z * r.x, -mass * r.z * r.y, mass * (r2 - r.z * r.z)
+  ]);
+}
+
+/**
+ * Adds scale·tensor to target in place.
+ * @param {CANNON.Mat3} target - The tensor to accumulate into.
+ * @param {CANNON.Mat3} tensor - The tensor to add.
+ * @param {number} [scale=1] - Factor applied to tensor (-1 subtracts it).
+ * @returns {CANNON.Mat3} The target.
+ */
+export function addScaledTensor(target, tensor, scale = 1) {
+  for (let i = 0; i < 9; i++) {
+    target.elements[i] += scale * tensor.elements[i];
+  }
+  return target;
+}
+
+/**
+ * Inertia of the propellant in a tank about the tank's own center, in body axes.
+ * The propellant is treated as filling the tank uniformly (the density drops as
+ * it drains), which keeps its centroid at the tank center.
+ * Supported shapes: "sphere" (radius), "cylinder" (radius, length, axis).
+ * Anything else, or a zero radius, is a point mass.
+ * @param {object} tank - The tank definition.
+ * @param {number} mass - Propellant mass currently in the tank.
+ * @returns {CANNON.Mat3} The tensor about the tank center.
+ */
+export function tankInertiaTensor(tank, mass) {
+  const radius = parseFloat(tank.radius) || 0;
+
+  if (tank.shape === 'sphere' && radius > 0) {
+    const i = 0.4 * mass * radius * radius;
+    return new CANNON.Mat3([i, 0, 0, 0, i, 0, 0, 0, i]);
+  }
+
+  if (tank.shape === 'cylinder' && radius > 0) {
+    const length = parseFloat(tank.length) || 0;
+    const axial = 0.5 * mass * radius * radius;
+    const transverse = mass * (3 * radius * radius + length * length) / 12;
+
+    // I = It·E + (Ia − It)·a·aᵀ for a unit axis a
+    const a = tank.axis
+      ? new CANNON.Vec3(parseFloat(tank.axis.x) || 0, parseFloat(tank.axis.y) || 0, parseFloat(tank.axis.z) || 0)
+      : new CANNON.Vec3(0, 0, 1);
+    if (a.length() < 1e-9) a.set(0, 0, 1);
+    a.normalize();
+
+    const k = axial - transverse;
+    return new CANNON.Mat3([
+      transverse + k * a.x * a.x, k * a.x * a.y, k * a.x * a.z,
+      k * a.y * a.x, transverse + k * a.y * a.y, k * a.y * a.z,
+      k * a.z * a.x, k * a.z * a.y, transverse + k * a.z * a.z
+    ]);
+  }
+
+  return new CANNON.Mat3([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+}
+
+/**
+ * Sets a full inertia tensor on a Cannon body.
+ * Cannon only supports a diagonal body-frame inertia, so the body's
+ * updateInertiaWorld() is replaced with one that rotates the full inverse
+ * tensor into world space (R * I⁻¹ * Rᵀ). Shapes added later do not override it.
+ * @param {CANNON.Body} body - The physics body.
+ * @param {CANNON.Mat3} tensor - The inertia tensor about the center of mass, in body axes.
+ * @returns {boolean} False if the tensor was rejected (only its diagonal is used then).
+ */
+export function setBodyInertiaTensor(body, tensor) {
+  const principal = principalAxes(tensor);
+  let accepted = true;
+
+  if (!isPhysicalInertia(principal.moments)) {
+    console.warn('Inertia tensor is not physically possible (principal moments:', principal.moments, '). Ignoring products of inertia.');
+    const e = tensor.elements;
+    tensor = new CANNON.Mat3([e[0], 0, 0, 0, e[4], 0, 0, 0, e[8]]);
+    accepted = false;
+  }
+
+  const e = tensor.elements;
+  body.inertiaTensor = new CANNON.Mat3(e.slice());
+  body.invInertiaTensor = tensor.reverse();
+  body.principalInertia = accepted ? principal : principalAxes(tensor);
+
+  // Keep the diagonal on the standard fields for anything that reads them
+  body.inertia.set(e[0], e[4], e[8]);
+  body.invInertia.set(
+    e[0] > 0 ? 1 / e[0] : 0,
+    e[4] > 0 ? 1 / e[4] : 0,
+    e[8] > 0 ? 1 / e[8] : 0
+  );
+
+  body.updateInertiaWorld = updateInertiaWorldFromTensor;
+  body.updateInertiaWorld(true);
+
+  return accepted;
+}
+
+// Replacement for CANNON.Body.prototype.updateInertiaWorld, called with the body as `this`
+function updateInertiaWorldFromTensor() {
+  _rotation.setRotationFromQuaternion(this.quaternion);
+  _rotation.transpose(_rotationT);
+  _rotation.mmult(this.invInertiaTensor, _product);
+  _product.mmult(_rotationT, this.invInertiaWorld);
+}
+
+/**
+ * Computes the body's angular momentum I·ω in world coordinates.
+ * @param {CANNON.Body} body - The physics body.
+ * @param {CANNON.Vec3} [target] - Optional vector to store the result in.
+ * @returns {CANNON.Vec3} The angular momentum.
+ */
+export function getAngularMomentum(body, target = new CANNON.Vec3()) {
+  return momentumForAngularVelocity(body, body.angularVelocity, target);
+}
+
+// I·ω in world coordinates for an arbitrary world-frame angular velocity
+function momentumForAngularVelocity(body, omega, target) {
+  body.vectorToLocalFrame(omega, _localOmega);
+  if (body.inertiaTensor) {
+    body.inertiaTensor.vmult(_localOmega, _localMomentum);
+  } else {
+    _localMomentum.set(
+      body.inertia.x * _localOmega.x,
+      body.inertia.y * _localOmega.y,
+      body.inertia.z * _localOmega.z
+    );
+  }
+  return body.vectorToWorldFrame(_localMomentum, target);
+}
+
+/**
+ * Applies the gyroscopic torque -ω × (I·ω) that Cannon leaves out of its
+ * rotational integration. Without it a body spinning off a principal axis keeps
+ * a constant angular velocity instead of precessing and nutating.
+ * The torque is evaluated at the half step (explicit midpoint) so angular
+ * momentum and rotational energy do not creep up over long coasts.
+ * Momentum held inside the body (spinning reaction wheels and CMGs) turns with
+ * it and adds -ω × h, so the body and what it holds keep their total momentum.
+ * Must be called once per physics step, before world.step().
+ * @param {CANNON.Body} body - The physics body.
+ * @param {number} dt - The physics time step in seconds.
+ * @param {CANNON.Vec3} [storedMomentum] - Momentum held inside the body, world frame.
+ */
+export function applyGyroscopicTorque(body, dt, storedMomentum = null) {
+  if (!body) return;
+
+  // Predict ω at the half step from the gyroscopic term alone
+  getAngularMomentum(body, _worldMomentum);
+  if (storedMomentum) _worldMomentum.vadd(storedMomentum, _worldMomentum);
+  _worldMomentum.cross(body.angularVelocity, _gyroTorque);
+  body.invInertiaWorld.vmult(_gyroTorque, _halfStepOmega);
+  _halfStepOmega.scale(0.5 * dt, _halfStepOmega);
+  _halfStepOmega.vadd(body.angularVelocity, _halfStepOmega);
+
+  // Torque from the half-step angular velocity
+  momentumForAngularVelocity(body, _halfStepOmega, _worldMomentum);
+  if (storedMomentum) _worldMomentum.vadd(storedMomentum, _worldMomentum);
+  _worldMomentum.cross(_halfStepOmega, _gyroTorque);
+  body.applyTorque(_gyroTorque);
+}
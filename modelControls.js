@@ -1,114 +1,114 @@
-import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { STLLoader } from 'three/addons/loaders/STLLoader.js';
-import { loadSpacecraft } from './spacecraftManager.js';
-import { CameraSystem } from './CameraSystem.js'; // <-- FIX: Added the missing import
-
-const loadModelButton = document.getElementById('load-model');
-const loadPropertiesButton = document.getElementById('load-properties');
-const modelFileInput = document.getElementById('model-file');
-const propertiesFileInput = document.getElementById('properties-file');
-const rotXSlider = document.getElementById('rot-x');
-const rotYSlider = document.getElementById('rot-y');
-const rotZSlider = document.getElementById('rot-z');
-const centroidCheckbox = document.getElementById('centroid-model');
-
-// Store spacecraft properties
-let spacecraftProperties = {
-  dryMass: 5,
-  fuelMass: 5,
-  maxFuelMass: 5,
-  inertia: null
-};
-
-// Add snapping behavior to sliders
-[rotXSlider, rotYSlider, rotZSlider].forEach(slider => {
-  slider.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    const snappedValue = Math.round(value / 90) * 90;
-    e.target.value = snappedValue;
-    document.getElementById(`${e.target.id}-value`).textContent = `${snappedValue}°`;
-  });
-});
-
-loadModelButton.addEventListener('click', () => {
-  modelFileInput.click();
-});
-
-loadPropertiesButton.addEventListener('click', () => {
-  propertiesFileInput.click();
-});
-
-propertiesFileInput.addEventListener('change', (event) => {
-  const file = event.target.files[0];
-  if (!file) return;
-  
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    try {
-      const properties = JSON.parse(e.target.result);
-      
-      // Update local properties object for future model loads
-      spacecraftProperties.dryMass = properties.dryMass || 5;
-      spacecraftProperties.fuelMass = properties.fuelMass || 5;
-      spacecraftProperties.maxFuelMass = properties.maxFuelMass || 5;
-      spacecraftProperties.inertia = properties.inertia || null;
-      
-      document.getElementById('hull-status').textContent = 'Properties loaded successfully';
-      console.log('Properties loaded:', spacecraftProperties);
-      
-      // Apply properties to the spacecraft
-      import('./spacecraftManager.js').then(({ setFuelProperties }) => {
-        setFuelProperties(properties);
-      });
-      
-    } catch (error) {
-      console.error('Error parsing properties file:', error);
-      document.getElementById('hull-status').textContent = 'Error loading properties file';
-    }
-  };
-  reader.readAsText(file);
-});
-
-modelFileInput.addEventListener('change', (event) => {
-  const file = event.target.files[0];
-  if (!file) return;
-  
-  // Get rotation values from sliders
-  const rotation = {
-    x: parseInt(rotXSlider.value, 10),
-    y: parseInt(rotYSlider.value, 10),
-    z: parseInt(rotZSlider.value, 10)
-  };
-  
-  // Get centroid option
-  const centroidModel = centroidCheckbox.checked;
-  
-  // Remove old spacecraft
-  if (window.satMesh) window.scene.remove(window.satMesh);
-  if (window.satBody) window.world.removeBody(window.satBody);
-  
-  // Load new spacecraft by passing the file object, rotation, and centroid option
-  loadSpacecraft(file, window.scene, window.world, rotation, centroidModel, spacecraftProperties, (body, mesh) => {
-    window.satBody = body;
-    window.satMesh = mesh;
-    window.camSys = new CameraSystem(window.renderer, window.satMesh);
-    
-    // Reinitialize thrusters
-    import('./thrusterSetup.js').then(initializeThrusters => {
-      initializeThrusters.default(
-        'thrusters.json',
-        CANNON,
-        window.satMesh,
-        window.keyToThrusterIndices,
-        window.createThrusterVisual
-      ).then(newThrusters => {
-        window.thrusters = newThrusters;
-      });
-    });
-  });
-});
-
-// Export the spacecraft properties so it can be accessed by other scripts
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { loadSpacecraft, setSpacecraftBody } from './spacecraftManager.js';
+import { Simulator, normalizeConfiguration } from './simulator.js';
+import { addThrusterVisuals } from './thrusterSetup.js';
+import { CameraSystem } from './CameraSystem.js'; // <-- FIX: Added the missing import
+
+const loadModelButton = document.getElementById('load-model');
+const loadPropertiesButton = document.getElementById('load-properties');
+const modelFileInput = document.getElementById('model-file');
+const propertiesFileInput = document.getElementById('properties-file');
+const rotXSlider = document.getElementById('rot-x');
+const rotYSlider = document.getElementById('rot-y');
+const rotZSlider = document.getElementById('rot-z');
+const centroidCheckbox = document.getElementById('centroid-model');
+
+// Store spacecraft properties
+let spacecraftProperties = {
+  dryMass: 5,
+  fuelMass: 5,
+  maxFuelMass: 5,
+  inertia: null
+};
+
+// Add snapping behavior to sliders
+[rotXSlider, rotYSlider, rotZSlider].forEach(slider => {
+  slider.addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    const snappedValue = Math.round(value / 90) * 90;
+    e.target.value = snappedValue;
+    document.getElementById(`${e.target.id}-value`).textContent = `${snappedValue}°`;
+  });
+});
+
+loadModelButton.addEventListener('click', () => {
+  modelFileInput.click();
+});
+
+loadPropertiesButton.addEventListener('click', () => {
+  propertiesFileInput.click();
+});
+
+propertiesFileInput.addEventListener('change', (event) => {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const properties = JSON.parse(e.target.result);
+      
+      // Update local properties object for future model loads
+      spacecraftProperties.dryMass = properties.dryMass || 5;
+      spacecraftProperties.fuelMass = properties.fuelMass || 5;
+      spacecraftProperties.maxFuelMass = properties.maxFuelMass || 5;
+      spacecraftProperties.inertia = properties.inertia || null;
+      
+      document.getElementById('hull-status').textContent = 'Properties loaded successfully';
+      console.log('Properties loaded:', spacecraftProperties);
+      
+      // Apply properties to the spacecraft
+      if (window.simulator) {
+        window.simulator.fuel.setProperties(properties);
+      }
+      
+    } catch (error) {
+      console.error('Error parsing properties file:', error);
+      document.getElementById('hull-status').textContent = 'Error loading properties file';
+    }
+  };
+  reader.readAsText(file);
+});
+
+modelFileInput.addEventListener('change', (event) => {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  // Get rotation values from sliders
+  const rotation = {
+    x: parseInt(rotXSlider.value, 10),
+    y: parseInt(rotYSlider.value, 10),
+    z: parseInt(rotZSlider.value, 10)
+  };
+  
+  // Get centroid option
+  const centroidModel = centroidCheckbox.checked;
+  
+  // Remove old spacecraft
+  if (window.satMesh) window.scene.remove(window.satMesh);
+  if (window.satBody) window.world.removeBody(window.satBody);
+  
+  // Load new spacecraft by passing the file object, rotation, and centroid option
+  // Rebuild the simulator around the new collision shape, keeping the current config
+  const config = window.simulator
+    ? window.simulator.config
+    : normalizeConfiguration({ spacecraftProperties });
+  loadSpacecraft(file, window.scene, rotation, centroidModel, (mesh, collisionBox) => {
+    const simulator = new Simulator(config, { world: window.world, collisionBox });
+    window.simulator = simulator;
+    window.satBody = simulator.body;
+    window.satMesh = mesh;
+    setSpacecraftBody(simulator.body);
+    window.camSys = new CameraSystem(window.renderer, window.satMesh);
+    
+    // Reinitialize thruster visuals
+    addThrusterVisuals(simulator.thrusters, window.satMesh, window.createThrusterVisual);
+    window.thrusters = simulator.thrusters;
+    window.keyToThrusterIndices = simulator.keyToThrusterIndices;
+  }, config.spacecraftProperties?.collisionShape);
+});
+
+// Export the spacecraft properties so it can be accessed by other scripts
 export { spacecraftProperties };
\ No newline at end of file
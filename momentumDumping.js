@@ -0,0 +1,336 @@
+// File: momentumDumping.js
+
+import * as CANNON from 'cannon-es';
+import { parseNumber, vec3ToObject } from './configValues.js';
+
+// Lawson-Hanson gives up after this many passes per thruster, which it never needs
+const PASSES_PER_THRUSTER = 3;
+
+// No more pulses while the wheels or CMGs are more than this many seconds of dumping behind
+// taking up the torque, and the dump gives up if they stay behind this long
+const CATCH_UP_TIME = 0.1; // s
+const STALL_TIME = 5; // s
+
+/**
+ * Momentum dumping: unloading the momentum the reaction wheels or CMGs have built up
+ * with the thrusters, so they have room to turn the spacecraft again.
+ *
+ * Each step it asks the thrusters for a torque against the stored momentum, of `rate`
+ * N·m (less once there is hardly any left), and the wheels or CMGs take up the torque
+ * the thrusters actually gave, so the spacecraft holds its attitude while the stored
+ * momentum runs down. They take up each pulse's torque as it fires, as far as they can,
+ * and what they can't take in one step is carried over, with the pulses waiting for them
+ * to catch up. The thrusters are picked so their pushes cancel, and each is
+ * pulsed, a whole step at a time, to give its share on average. What push is left over
+ * (from the pulsing, valve timings, or thrusters that don't pair up) is measured and
+ * taken out again by later pulses, so the dump leaves the velocity as it found it. The
+ * thrusters burn propellant as they always do, and the dump keeps count of it.
+ *
+ * Desaturation config (from the scenario file or the spacecraft config), all optional:
+ * {
+ *   "rate": 0.5,                // N·m;   thruster torque asked for, so momentum unloaded per second
+ *   "stopBelow": 0.1,           // N·m·s; done once the stored momentum is less than this
+ *   "velocityTolerance": 0.001, // m/s;   and the push left over from the pulses is less than this
+ *   "correctionTime": 2         // s;     how quickly the leftover push is taken out
+ * }
+ */
+export class MomentumDumping {
+  constructor(config = {}) {
+    this.rate = Math.max(0, parseNumber(config.rate, 0.5));
+    this.stopBelow = Math.max(0, parseNumber(config.stopBelow, 0.1));
+    this.velocityTolerance = Math.max(0, parseNumber(config.velocityTolerance, 0.001));
+    this.correctionTime = Math.max(0.01, parseNumber(config.correctionTime, 2));
+    this.reset();
+  }
+
+  // Nothing going on and nothing counted
+  reset() {
+    this.active = false;
+    this.result = null;               // How the last dump ended: 'done', 'stopped' or 'unable'
+    this.startMomentum = 0;           // N·m·s
+    this.momentum = 0;                // Stored momentum left, N·m·s
+    this.fuelUsed = 0;                // kg
+    this.velocityChange = 0;          // The push left over, m/s
+    this.correcting = 0;              // Time spent taking out the push once the momentum is gone, s
+    this.waiting = 0;                 // Time spent waiting for the wheels or CMGs to catch up, s
+    this.pulseImpulse = new CANNON.Vec3(0, 0, 0);   // Push the pulses have given, body axes, N·s
+    this.torqueImpulse = new CANNON.Vec3(0, 0, 0);  // Torque impulse the wheels or CMGs haven't taken up, body axes, N·m·s
+    this.expectedImpulse = new CANNON.Vec3(0, 0, 0); // Torque impulse of this step's pulses, counted in advance
+    this.owed = new Map();            // Thruster index -> steps of firing owed
+    this.fired = new Set();           // Thrusters the dump has fired
+  }
+
+  /**
+   * Starts a dump.
+   * @param {CANNON.Vec3} storedMomentum - What the wheels or CMGs hold, body axes.
+   */
+  start(storedMomentum) {
+    this.reset();
+    this.active = true;
+    this.startMomentum = this.momentum = storedMomentum.length();
+  }
+
+  /**
+   * Stops firing. What has been unloaded and burned stays on show.
+   * @param {string} [result] - Why: 'done', 'stopped' (by the pilot) or 'unable' (the thrusters can't give
+   *   the torque, or the wheels or CMGs can't take it up).
+   */
+  stop(result = 'stopped') {
+    this.active = false;
+    this.result = result;
+    this.owed.clear();
+  }
+
+  // Whether a thruster's impulse is the dump's
+  owns(index) {
+    return this.active && this.fired.has(index);
+  }
+
+  /**
+   * Counts a pulse of one of the dump's thrusters.
+   * @param {CANNON.Vec3} impulse - The impulse it gave over the step, body axes, N·s.
+   * @param {CANNON.Vec3} leverArm - Where it pushed from, relative to the CG, body axes.
+   * @param {number} fuel - Propellant it burned, kg.
+   */
+  recordPulse(impulse, leverArm, fuel) {
+    this.pulseImpulse.vadd(impulse, this.pulseImpulse);
+    this.torqueImpulse.vadd(leverArm.cross(impulse), this.torqueImpulse);
+    this.fuelUsed += fuel;
+  }
+
+  /**
+   * The torque the pulses have given that the wheels or CMGs haven't taken up yet, spread
+   * over a step, for them to take up.
+   * @param {number} dt - The step size.
+   * @returns {CANNON.Vec3} Body axes, N·m.
+   */
+  getUnabsorbedTorque(dt) {
+    return this.torqueImpulse.scale(1 / dt);
+  }
+
+  /**
+   * Counts the torque the wheels or CMGs took up over a step.
+   * @param {CANNON.Vec3} torque - Body axes, N·m.
+   * @param {number} dt - The step size.
+   */
+  recordAbsorbed(torque, dt) {
+    this.torqueImpulse.vsub(torque.scale(dt), this.torqueImpulse);
+  }
+
+  /**
+   * The thrusters to fire this step, or none once the dump is over.
+   * @param {CANNON.Vec3} storedMomentum - What the wheels or CMGs hold now, body axes.
+   * @param {Array<object>} thrusters - { index, leverArm, force } for each thruster that can fire:
+   *   its lever arm from the CG and its full force, body axes.
+   * @param {number} mass - The spacecraft's mass, kg.
+   * @param {number} dt - The step size.
+   * @returns {Array<number>} Indices of the thrusters to fire.
+   */
+  plan(storedMomentum, thrusters, mass, dt) {
+    // Last step's pulses were counted in advance, and now as they were
+    this.torqueImpulse.vsub(this.expectedImpulse, this.torqueImpulse);
+    this.expectedImpulse.set(0, 0, 0);
+
+    this.momentum = storedMomentum.length();
+    this.velocityChange = this.pulseImpulse.length() / mass;
+    const unloading = this.momentum >= this.stopBelow;
+
+    // Wait for the wheels or CMGs to catch up with the pulses, and all of them at the end
+    const behind = this.torqueImpulse.length();
+    if (behind > this.rate * CATCH_UP_TIME || (!unloading && behind > 0.01 * this.stopBelow)) {
+      this.waiting += dt;
+      if (this.waiting > STALL_TIME) this.stop('unable');
+      return [];
+    }
+    this.waiting = 0;
+    if (!unloading) this.correcting += dt;
+
+    // A push the thrusters can't take out is given up on before long
+    const settled = this.velocityChange < this.velocityTolerance || this.correcting > 5 * this.correctionTime;
+    if (!unloading && settled) {
+      this.stop('done');
+      return [];
+    }
+
+    // A torque against the stored momentum, and a push against what the pulses have given
+    const torque = unloading
+      ? storedMomentum.scale(-Math.min(this.rate, this.momentum / dt) / this.momentum)
+      : new CANNON.Vec3(0, 0, 0);
+    const force = this.pulseImpulse.scale(-1 / this.correctionTime);
+    const duties = allocateThrusters(thrusters, torque, force);
+    if (duties.every(duty => duty === 0)) {
+      this.stop(unloading ? 'unable' : 'done');
+      return [];
+    }
+
+    // Each thruster fires whenever it is owed half a step or more, and its torque is taken up this step
+    const firing = [];
+    thrusters.forEach((t, k) => {
+      const owed = (this.owed.get(t.index) || 0) + duties[k];
+      if (owed >= 0.5) {
+        firing.push(t.index);
+        this.fired.add(t.index);
+        this.owed.set(t.index, owed - 1);
+        this.expectedImpulse.vadd(t.leverArm.cross(t.force).scale(dt), this.expectedImpulse);
+      } else {
+        this.owed.set(t.index, owed);
+      }
+    });
+    this.torqueImpulse.vadd(this.expectedImpulse, this.torqueImpulse);
+    return firing;
+  }
+
+  getStatus() {
+    const progress = this.startMomentum > 0 ? Math.max(0, 1 - this.momentum / this.startMomentum) : 1;
+    return {
+      active: this.active,
+      result: this.result,
+      progress,
+      momentum: this.momentum,
+      startMomentum: this.startMomentum,
+      fuelUsed: this.fuelUsed,
+      velocityChange: this.velocityChange
+    };
+  }
+
+  saveState() {
+    return {
+      active: this.active,
+      result: this.result,
+      startMomentum: this.startMomentum,
+      momentum: this.momentum,
+      fuelUsed: this.fuelUsed,
+      velocityChange: this.velocityChange,
+      correcting: this.correcting,
+      waiting: this.waiting,
+      pulseImpulse: vec3ToObject(this.pulseImpulse),
+      torqueImpulse: vec3ToObject(this.torqueImpulse),
+      expectedImpulse: vec3ToObject(this.expectedImpulse),
+      owed: [...this.owed],
+      fired: [...this.fired]
+    };
+  }
+
+  loadState(state) {
+    this.active = state.active;
+    this.result = state.result;
+    this.startMomentum = state.startMomentum;
+    this.momentum = state.momentum;
+    this.fuelUsed = state.fuelUsed;
+    this.velocityChange = state.velocityChange;
+    this.correcting = state.correcting;
+    this.waiting = state.waiting;
+    this.pulseImpulse.copy(state.pulseImpulse);
+    this.torqueImpulse.copy(state.torqueImpulse);
+    this.expectedImpulse.copy(state.expectedImpulse);
+    this.owed = new Map(state.owed);
+    this.fired = new Set(state.fired);
+  }
+}
+
+/**
+ * Duty cycles for the thrusters that come closest to a torque and a force together.
+ * Thrusters only push, so this is a non-negative least squares problem; if any thruster
+ * would have to fire more than full time, they are all turned down together, which keeps
+ * the direction of the torque and force.
+ * @param {Array<object>} thrusters - { leverArm, force }, body axes.
+ * @param {CANNON.Vec3} torque - Torque wanted, N·m.
+ * @param {CANNON.Vec3} force - Force wanted, N.
+ * @returns {Array<number>} Each thruster's share of the time, 0 to 1.
+ */
+export function allocateThrusters(thrusters, torque, force) {
+  const columns = thrusters.map(({ leverArm, force: f }) => {
+    const moment = leverArm.cross(f);
+    return [moment.x, moment.y, moment.z, f.x, f.y, f.z];
+  });
+  const duties = nonNegativeLeastSquares(columns, [torque.x, torque.y, torque.z, force.x, force.y, force.z]);
+  const most = Math.max(1, ...duties);
+  return duties.map(duty => duty / most);
+}
+
+// Lawson-Hanson: x ≥ 0 that minimizes |A·x - b|, with the columns of A given
+function nonNegativeLeastSquares(columns, b) {
+  const n = columns.length;
+  const x = new Array(n).fill(0);
+  if (n === 0) return x;
+  const scale = Math.max(...columns.map(column => dot(column, column)), 1e-12);
+  const tolerance = 1e-10 * scale * Math.max(1, Math.sqrt(dot(b, b)));
+  const passive = new Set();
+
+  const gradient = () => {
+    const residual = b.slice();
+    columns.forEach((column, j) => column.forEach((a, i) => residual[i] -= a * x[j]));
+    return columns.map(column => dot(column, residual));
+  };
+
+  for (let pass = 0; pass < PASSES_PER_THRUSTER * n; pass++) {
+    const w = gradient();
+    let best = -1;
+    w.forEach((value, j) => {
+      if (!passive.has(j) && value > tolerance && (best < 0 || value > w[best])) best = j;
+    });
+    if (best < 0) break;
+    passive.add(best);
+
+    // Least squares on the passive set, stepping back wherever it would go negative
+    for (let inner = 0; inner < n; inner++) {
+      const indices = [...passive];
+      const z = solveLeastSquares(indices.map(j => columns[j]), b);
+      if (z.every(value => value > 0)) {
+        indices.forEach((j, k) => x[j] = z[k]);
+        break;
+      }
+      let alpha = 1;
+      indices.forEach((j, k) => {
+        if (z[k] <= 0) alpha = Math.min(alpha, x[j] / (x[j] - z[k]));
+      });
+      indices.forEach((j, k) => {
+        x[j] += alpha * (z[k] - x[j]);
+        if (x[j] <= 1e-12) {
+          x[j] = 0;
+          passive.delete(j);
+        }
+      });
+      if (passive.size === 0) break;
+    }
+  }
+  return x;
+}
+
+// Least squares through the normal equations, a little regularized so that thrusters
+// pushing the same way (which leave them singular) share the work
+function solveLeastSquares(columns, b) {
+  const m = columns.length;
+  const normal = columns.map(ci => columns.map(cj => dot(ci, cj)));
+  const trace = normal.reduce((sum, row, i) => sum + row[i], 0);
+  normal.forEach((row, i) => row[i] += 1e-12 * trace);
+  const rhs = columns.map(column => dot(column, b));
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < m; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < m; row++) {
+      if (Math.abs(normal[row][col]) > Math.abs(normal[pivot][col])) pivot = row;
+    }
+    [normal[col], normal[pivot]] = [normal[pivot], normal[col]];
+    [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+    if (normal[col][col] === 0) continue;
+    for (let row = col + 1; row < m; row++) {
+      const factor = normal[row][col] / normal[col][col];
+      for (let k = col; k < m; k++) normal[row][k] -= factor * normal[col][k];
+      rhs[row] -= factor * rhs[col];
+    }
+  }
+  const solution = new Array(m).fill(0);
+  for (let row = m - 1; row >= 0; row--) {
+    if (normal[row][row] === 0) continue;
+    let sum = rhs[row];
+    for (let k = row + 1; k < m; k++) sum -= normal[row][k] * solution[k];
+    solution[row] = sum / normal[row][row];
+  }
+  return solution;
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
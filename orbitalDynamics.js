@@ -0,0 +1,138 @@
+// File: orbitalDynamics.js
+
+import * as CANNON from 'cannon-es';
+import { toVec3 } from './configValues.js';
+
+// Earth constants used when the orbit is given as an altitude
+const EARTH_MU = 3.986004418e14; // m^3/s^2
+const EARTH_RADIUS = 6378137; // m
+
+/**
+ * Clohessy-Wiltshire (Hill) relative motion about a target in a circular orbit.
+ *
+ * The Hill frame is centered on the station: x is radial (away from Earth, R-bar),
+ * y is along-track (direction of flight, V-bar) and z = x × y is the orbit normal.
+ * The world axes that correspond to R-bar and V-bar can be set in the orbit config.
+ *
+ * Orbit config (from the scenario file or the spacecraft config):
+ * {
+ *   "enabled": true,
+ *   "meanMotion": 0.00113,              // rad/s, or
+ *   "period": 5560,                     // orbital period in s, or
+ *   "altitude": 420000,                 // circular orbit altitude above Earth in m
+ *   "radialAxis": { "x": 0, "y": 1, "z": 0 },
+ *   "alongTrackAxis": { "x": 0, "y": 0, "z": 1 },
+ *   "origin": { "x": 0, "y": 0, "z": 0 }
+ * }
+ */
+export class OrbitalDynamics {
+  constructor(orbitConfig) {
+    this.enabled = false;
+    this.meanMotion = 0;
+    this.origin = new CANNON.Vec3(0, 0, 0);
+    this.radialAxis = new CANNON.Vec3(0, 1, 0);
+    this.alongTrackAxis = new CANNON.Vec3(0, 0, 1);
+    this.normalAxis = new CANNON.Vec3(1, 0, 0);
+
+    // Temporary vectors reused every physics step
+    this._relPos = new CANNON.Vec3();
+    this._force = new CANNON.Vec3();
+    this._tmp = new CANNON.Vec3();
+
+    if (orbitConfig) {
+      this.configure(orbitConfig);
+    }
+  }
+
+  configure(orbitConfig) {
+    this.meanMotion = OrbitalDynamics.meanMotionFromConfig(orbitConfig);
+    this.enabled = orbitConfig.enabled !== false && this.meanMotion > 0;
+
+    if (orbitConfig.origin) {
+      this.origin.set(
+        parseFloat(orbitConfig.origin.x) || 0,
+        parseFloat(orbitConfig.origin.y) || 0,
+        parseFloat(orbitConfig.origin.z) || 0
+      );
+    }
+
+    const radial = toVec3(orbitConfig.radialAxis, this.radialAxis.clone());
+    const alongTrack = toVec3(orbitConfig.alongTrackAxis, this.alongTrackAxis.clone());
+
+    // Build an orthonormal frame, keeping R-bar as given and squaring up V-bar against it
+    radial.normalize();
+    alongTrack.vsub(radial.scale(radial.dot(alongTrack)), alongTrack);
+    if (alongTrack.length() < 1e-6) {
+      console.warn('Orbit along-track axis is parallel to the radial axis, using defaults');
+      radial.set(0, 1, 0);
+      alongTrack.set(0, 0, 1);
+    }
+    alongTrack.normalize();
+
+    this.radialAxis.copy(radial);
+    this.alongTrackAxis.copy(alongTrack);
+    radial.cross(alongTrack, this.normalAxis);
+
+    if (this.enabled) {
+      console.log(`Orbital dynamics enabled: n = ${this.meanMotion.toExponential(4)} rad/s, period = ${(2 * Math.PI / this.meanMotion).toFixed(0)} s`);
+    }
+  }
+
+  // Resolve the orbit rate from meanMotion, period or altitude (in that order)
+  static meanMotionFromConfig(orbitConfig) {
+    const meanMotion = parseFloat(orbitConfig.meanMotion);
+    if (meanMotion > 0) return meanMotion;
+
+    const period = parseFloat(orbitConfig.period);
+    if (period > 0) return 2 * Math.PI / period;
+
+    const altitude = parseFloat(orbitConfig.altitude);
+    if (altitude > 0) {
+      const radius = EARTH_RADIUS + altitude;
+      return Math.sqrt(EARTH_MU / (radius * radius * radius));
+    }
+
+    console.warn('Orbit config has no meanMotion, period or altitude; orbital dynamics disabled');
+    return 0;
+  }
+
+  /**
+   * Applies the CW differential gravity and Coriolis accelerations to a body.
+   * Must be called once per physics step, before world.step(), since forces are cleared after each step.
+   * @param {CANNON.Body} body - The chaser body. Its velocity is taken relative to the (non-moving) station.
+   */
+  applyTo(body) {
+    if (!this.enabled || !body) return;
+
+    const n = this.meanMotion;
+    body.position.vsub(this.origin, this._relPos);
+
+    const x = this._relPos.dot(this.radialAxis);
+    const z = this._relPos.dot(this.normalAxis);
+    const vx = body.velocity.dot(this.radialAxis);
+    const vy = body.velocity.dot(this.alongTrackAxis);
+
+    // Hill equations: ax = 3n²x + 2n·vy, ay = -2n·vx, az = -n²z
+    const ax = 3 * n * n * x + 2 * n * vy;
+    const ay = -2 * n * vx;
+    const az = -n * n * z;
+
+    this._force.set(0, 0, 0);
+    this.radialAxis.scale(ax * body.mass, this._tmp);
+    this._force.vadd(this._tmp, this._force);
+    this.alongTrackAxis.scale(ay * body.mass, this._tmp);
+    this._force.vadd(this._tmp, this._force);
+    this.normalAxis.scale(az * body.mass, this._tmp);
+    this._force.vadd(this._tmp, this._force);
+
+    body.applyForce(this._force);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      meanMotion: this.meanMotion,
+      period: this.meanMotion > 0 ? 2 * Math.PI / this.meanMotion : Infinity
+    };
+  }
+}
@@ -1,1051 +1,1306 @@
-import * as THREE from 'three';
-import { STLLoader } from 'three/addons/loaders/STLLoader.js';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import * as CANNON from 'cannon-es';
-import { CameraSystem } from './CameraSystem.js';
-import initializeThrusters, { initializeThrustersWithConfig } from './thrusterSetup.js';
-import { 
-  initializeUI,
-  updateUI,
-  toggleUIVisibility,
-  updateUIText
-} from './hudUpdater.js';
-import { loadConvexHulls, toggleHullVisibility } from './hullManager.js';
-import { 
-  loadSpacecraft, 
-  toggleSpacecraftBoundingBoxVisibility, 
-  getSpacecraftBody, 
-  getSpacecraftMesh, 
-  updateSpacecraft,
-  updateSatelliteMass,
-  consumeFuel,
-  getFuelStatus,
-  resetFuel,
-  setFuelProperties
-} from './spacecraftManager.js';
-import { AttitudeControlSystem } from './attitudeControl.js';
-import { LampManager } from './lampManager.js';
-
-// Wait for the startSimulation event before initializing
-window.addEventListener('startSimulation', () => {
-  initSimulation();
-});
-
-function initSimulation() {
-  const DEFAULT_MODEL_PATH = 'navion.stl';
-  const CONVEX_HULLS_PATH = 'convex-hulls.json';
-
-  const scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x000011);
-  const skyboxLoader = new THREE.CubeTextureLoader();
-  const skybox = skyboxLoader.load([
-    'right.png', 'left.png', 'top.png', 'bottom.png', 'front.png', 'back.png'
-  ]);
-  scene.background = skybox;
-
-  const renderer = new THREE.WebGLRenderer({ antialias: true });
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  document.getElementById('simulation-container').appendChild(renderer.domElement);
-
-  const world = new CANNON.World();
-  world.gravity.set(0, 0, 0);
-  world.broadphase = new CANNON.NaiveBroadphase();
-  world.solver.iterations = 10;
-
-  let satBody;
-  let satMesh;
-  let camSys;
-  let attitudeControl;
-  let lampManager;
-  let station;
-  let defaultProperties = null;
-  
-  // Timer for debug output
-  let lastInertiaDebugTime = 0;
-  const INERTIA_DEBUG_INTERVAL = 10000; // 10 seconds in milliseconds
-  
-  let showDistanceInfo = false;
-  let raycaster = new THREE.Raycaster();
-  let maxDistance = 100;
-  
-  let fineControlMode = false;
-  let fineControlKeys = {};
-  let fineControlProcessedKeys = {};
-  let fineControlKeyStartTimes = {};
-  let timedFiringEnabled = false;
-  let firingDuration = 5.0;
-  let torquePercentage = 50; // Percentage of max torque to use (1-100)
-  
-  let initialPosition = new CANNON.Vec3(0, -3, 5.5);
-  let initialOrientation = new CANNON.Quaternion();
-  initialOrientation.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI/2);
-  let initialOrientationThree = new THREE.Quaternion();
-  initialOrientationThree.setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI/2);
-  let isDocked = true; // Start docked
-  let canDock = false;
-  let hasLeftDockingBoxOnce = false;
-  
-  // Clock variables for tracking time since undock
-  let undockTime = null; // Timestamp when undocked
-  let clockDisplay = null; // Reference to clock display element
-  let pausedStartTime = null; // Timestamp when pause started
-  let accumulatedPausedTime = 0; // Total time spent paused since undock
-  let lastDockedTime = 0; // Time elapsed when last docked
-  let DOCKING_BOX_SIZE = 0.1;
-  let DOCKING_ANGLE_THRESHOLD = 3;
-  const MAX_ANGULAR_SPEED = 1.0;
-  const MAX_XZ_SPEED = 0.1;
-  const MAX_Z_SPEED = 1.0;
-
-  window.scene = scene;
-  window.world = world;
-  window.renderer = renderer;
-
-  // Helper function to normalize configuration to unified format
-  function normalizeConfiguration(config) {
-    const normalized = {
-      spacecraftProperties: config.spacecraftProperties || { dryMass: 5, fuelMass: 5, maxFuelMass: 5, inertia: { x: 3, y: 3, z: 3 } },
-      cameras: Array.isArray(config.cameras) ? config.cameras : (config.cameras?.cameras || []),
-      cmg: { cmgs: Array.isArray(config.cmg) ? config.cmg : (config.cmg?.cmgs || []) },
-      lamps: { lamps: Array.isArray(config.lamps) ? config.lamps : (config.lamps?.lamps || []) },
-      reactionwheels: { wheels: Array.isArray(config.reactionwheels) ? config.reactionwheels : (config.reactionwheels?.wheels || []) },
-      thrusters: { thrusters: Array.isArray(config.thrusters) ? config.thrusters : (config.thrusters?.thrusters || []) }
-    };
-    
-    // Handle CMG format: if config.cmg has a 'cmg' property (single CMG object), convert to cmgs array
-    if (config.cmg && config.cmg.cmg) {
-      normalized.cmg = { cmgs: [config.cmg.cmg] };
-    }
-    
-    // Preserve model data if present (for editor compatibility)
-    if (config.model) {
-      normalized.model = config.model;
-    }
-    
-    return normalized;
-  }
-
-  // Helper function to get configuration from uploaded files or defaults
-  async function getConfiguration() {
-    if (window.uploadedFiles && window.uploadedFiles.config) {
-      console.log('Using uploaded configuration');
-      return normalizeConfiguration(window.uploadedFiles.config);
-    }
-    
-    // Load default configuration if no uploaded config
-    try {
-      const response = await fetch('config.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load default config: ${response.statusText}`);
-      }
-      const data = await response.json();
-      console.log('Using default configuration');
-      return normalizeConfiguration(data);
-    } catch (error) {
-      console.error('Error loading default configuration:', error);
-      // Return minimal default configuration
-      return {
-        cameras: [],
-        cmg: { cmgs: [] },
-        spacecraftProperties: { dryMass: 5, fuelMass: 5, maxFuelMass: 5, inertia: { x: 3, y: 3, z: 3 } },
-        lamps: { lamps: [] },
-        reactionwheels: { wheels: [] },
-        thrusters: { thrusters: [] }
-      };
-    }
-  }
-
-  // Helper function to get spacecraft model
-  async function getSpacecraftModel() {
-    if (window.uploadedFiles && window.uploadedFiles.spacecraftModel) {
-      console.log('Using uploaded spacecraft model');
-      // Create a File object from the uploaded model data
-      const blob = new Blob([window.uploadedFiles.spacecraftModel], { type: 'model/stl' });
-      return new File([blob], 'custom.stl', { type: 'model/stl' });
-    }
-    
-    // Load default model
-    try {
-      const response = await fetch(DEFAULT_MODEL_PATH);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch default model: ${response.statusText}`);
-      }
-      const blob = await response.blob();
-      return new File([blob], DEFAULT_MODEL_PATH, { type: 'model/stl' });
-    } catch (error) {
-      console.error('Error loading default model:', error);
-      throw error;
-    }
-  }
-
-  async function initializeDefaultSpacecraft() {
-    const config = await getConfiguration();
-    const modelFile = await getSpacecraftModel();
-    
-    // DEBUG: Log the loaded configuration
-    console.log("DEBUG: Configuration loaded:", config);
-
-    // Load initial position/orientation from uploaded file if available
-    if (window.uploadedFiles && window.uploadedFiles.initialPosition) {
-      const posData = window.uploadedFiles.initialPosition;
-      initialPosition = new CANNON.Vec3(posData.position.x, posData.position.y, posData.position.z);
-      initialOrientation = new CANNON.Quaternion(posData.orientation.x, posData.orientation.y, posData.orientation.z, posData.orientation.w);
-      initialOrientationThree = new THREE.Quaternion(posData.orientation.x, posData.orientation.y, posData.orientation.z, posData.orientation.w);
-      
-      // Load docking parameters if available in the file
-      if (posData.dockingBoxSize !== undefined) {
-        DOCKING_BOX_SIZE = posData.dockingBoxSize;
-        console.log("Using imported docking box size:", DOCKING_BOX_SIZE);
-      }
-      if (posData.dockingAngleThreshold !== undefined) {
-        DOCKING_ANGLE_THRESHOLD = posData.dockingAngleThreshold;
-        console.log("Using imported docking angle threshold:", DOCKING_ANGLE_THRESHOLD);
-      }
-      
-      console.log("Using imported initial position/orientation:", posData);
-    } else {
-      console.log("Using default initial position/orientation");
-    }
-
-    const rotation = { x: 0, y: 0, z: 0 };
-    const centroidModel = true;
-
-    loadSpacecraft(modelFile, scene, world, rotation, centroidModel, config.spacecraftProperties, (body, mesh) => {
-      satBody = body;
-      satMesh = mesh;
-      
-      // DEBUG: Log the inertia of the body immediately after it's returned
-      console.log("DEBUG: Inertia on returned satBody:", {
-        x: satBody.inertia.x,
-        y: satBody.inertia.y,
-        z: satBody.inertia.z
-      });
-      
-      // Get centerOfMass offset from the body
-      const centerOfMassOffset = satBody.centerOfMassOffset || {x: 0, y: 0, z: 0};
-      console.log("DEBUG: Center of mass offset:", centerOfMassOffset);
-      
-      window.satBody = satBody;
-      window.satMesh = satMesh;
-      
-      satBody.position.copy(initialPosition);
-      satBody.quaternion.copy(initialOrientation);
-      satMesh.position.copy(initialPosition);
-      satMesh.quaternion.copy(initialOrientation);
-      
-      // Store centerOfMass in spacecraft mesh for cameras to access
-      satMesh.userData.centerOfMassOffset = centerOfMassOffset;
-      
-      // Ensure velocity and angular velocity are zero at start
-      satBody.velocity.set(0, 0, 0);
-      satBody.angularVelocity.set(0, 0, 0);
-
-      camSys = new CameraSystem(renderer, satMesh);
-      window.camSys = camSys;
-      
-      attitudeControl = new AttitudeControlSystem(satBody, scene);
-      attitudeControl.setSatelliteMesh(satMesh);
-      attitudeControl.setCenterOfMassOffset(centerOfMassOffset);
-      
-      lampManager = new LampManager(scene, satMesh);
-      lampManager.setCenterOfMassOffset(centerOfMassOffset);
-
-      // Load docking port
-      loadDockingPort();
-
-      main(config);
-    });
-  }
-
-  // Function to load docking port
-  function loadDockingPort() {
-    // Check if user uploaded a docking port model
-    if (window.uploadedFiles && window.uploadedFiles.dockingPort) {
-      // Use uploaded file
-      const blob = new Blob([window.uploadedFiles.dockingPort], { type: 'model/stl' });
-      const file = new File([blob], 'dockingport.stl', { type: 'model/stl' });
-      const reader = new FileReader();
-      reader.onload = function(e) {
-        const geometry = new STLLoader().parse(e.target.result);
-        createDockingPort(geometry);
-      };
-      reader.readAsArrayBuffer(file);
-    } else {
-      // Create default docking port if no file is provided
-      const geometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
-      createDockingPort(geometry);
-    }
-  }
-
-  // Function to create docking port
-  // Function to create docking port
-function createDockingPort(geometry) {
-  // Create the visual mesh (the solid model you see)
-  const material = new THREE.MeshStandardMaterial({ 
-    color: 0x00ff00,
-    metalness: 0.7,
-    roughness: 0.3
-  });
-  const dockingPortMesh = new THREE.Mesh(geometry, material);
-  dockingPortMesh.position.set(0, -2, 5.5);
-  scene.add(dockingPortMesh);
-
-  // --- Create a simple bounding box for collision ---
-
-  // 1. Calculate the bounding box of the loaded geometry
-  geometry.computeBoundingBox();
-  const box = new THREE.Box3().setFromBufferAttribute(geometry.attributes.position);
-  
-  // 2. Get the size of the box
-  const size = new THREE.Vector3();
-  box.getSize(size);
-
-  // 3. Get the center of the geometry to calculate the offset
-  const center = new THREE.Vector3();
-  box.getCenter(center);
-  
-  // 4. Calculate the offset position: desired world position + geometry center offset
-  const offsetX = 0 + center.x;  // 0 is the desired world X position
-  const offsetY = -2 + center.y; // -2 is the desired world Y position
-  const offsetZ = 5.5 + center.z; // 5.5 is the desired world Z position
-
-  // 5. Create the CANNON.Box shape using the box's half-extents
-  const halfExtents = new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2);
-  const boxShape = new CANNON.Box(halfExtents);
-
-  // 6. Create the physics body at the offset position
-  const dockingPortBody = new CANNON.Body({
-    mass: 0, // static
-    position: new CANNON.Vec3(offsetX, offsetY, offsetZ)
-  });
-  dockingPortBody.addShape(boxShape);
-  world.addBody(dockingPortBody);
-
-  // 7. Create the visual representation of the collision box (the red wireframe)
-  const collisionGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
-  const collisionMaterial = new THREE.MeshBasicMaterial({
-    color: 0xff0000,
-    transparent: true,
-    opacity: 0.3,
-    wireframe: true
-  });
-  const dockingPortCollisionMesh = new THREE.Mesh(collisionGeometry, collisionMaterial);
-  dockingPortCollisionMesh.position.set(offsetX, offsetY, offsetZ);
-  dockingPortCollisionMesh.visible = false; // Initially hidden
-  scene.add(dockingPortCollisionMesh);
-
-  // Store references globally
-  window.dockingPortMesh = dockingPortMesh; // The green model
-  window.dockingPortBody = dockingPortBody; // The physics body
-  window.dockingPortCollisionMesh = dockingPortCollisionMesh; // The red wireframe box
-}
-  //const MODEL_PATH = 'gatewaycore.glb'; //testing
-  const MODEL_PATH = 'https://raw.githubusercontent.com/nasa/NASA-3D-Resources/11ebb4ee043715aefbba6aeec8a61746fad67fa7/3D%20Models/Gateway/Gateway%20Core.glb'; //deployed
-  const loader = new GLTFLoader();
-  loader.load(MODEL_PATH, gltf => {
-    station = gltf.scene;
-    station.scale.set(1,1,1);
-    let rot1 = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI/180*-25);
-    station.quaternion.multiply(rot1);
-    let rot2 = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI/180*-10);
-    station.quaternion.multiply(rot2);  
-    station.position.set(0, 0, 0);
-    scene.add(station);
-  }, undefined, err => console.error('GLTF load error:', err));
-
-  scene.add(new THREE.AmbientLight(0x404040));
-  const dirLight = new THREE.DirectionalLight(0xffffff, 1);
-  dirLight.position.set(-10,-2,-1);
-  scene.add(dirLight);
-  scene.add(new THREE.AxesHelper(5));
-
-  let thrusters = [];
-  const keyToThrusterIndices = { w:[],s:[],a:[],d:[],q:[],e:[],i:[],k:[],j:[],l:[],u:[],o:[] };
-
-  window.thrusters = thrusters;
-  window.keyToThrusterIndices = keyToThrusterIndices;
-
-  function createThrusterVisual(pos, dir){
-    const group = new THREE.Group();
-    const cone = new THREE.ConeGeometry(0.15/5,0.4/5,8);
-    const mat = new THREE.MeshStandardMaterial({
-      color:0xff5500, emissive:0x000000, metalness:0.1, roughness:0.8
-    });
-    const mesh = new THREE.Mesh(cone, mat);
-    mesh.position.copy(pos);
-    const q = new THREE.Quaternion();
-    q.setFromUnitVectors(new THREE.Vector3(0,1,0), new THREE.Vector3(dir.x,dir.y,dir.z));
-    mesh.quaternion.copy(q);
-    mesh.rotateX(Math.PI);
-    group.add(mesh);
-    return {group, material:mat};
-  }
-  window.createThrusterVisual = createThrusterVisual;
-
-  const keys = {};               
-  let backtickPressed = false;
-
-  document.addEventListener('keydown', e => {
-    if (e.key === 'CapsLock') {
-      fineControlMode = !fineControlMode;
-      fineControlKeys = {};
-      fineControlProcessedKeys = {};
-      return;
-    }
-    
-    const k = e.key.toLowerCase();
-    if (k === '`') backtickPressed = true;
-    
-    if (fineControlMode && ['w','s','a','d','q','e','i','k','j','l','u','o'].includes(k)) {
-      e.preventDefault();
-      if (!fineControlProcessedKeys[k]) {
-        fineControlKeys[k] = true;
-        fineControlProcessedKeys[k] = true;
-        // Record the start time for timed firing
-        if (timedFiringEnabled && !fineControlKeyStartTimes[k]) {
-          fineControlKeyStartTimes[k] = performance.now();
-        }
-      }
-    } else {
-      keys[k] = true;
-    }
-
-    if (backtickPressed && k === 'r') resetSimulation();
-    if (backtickPressed && k === 'p') {
-      if (isDocked && paused) {
-        // Undocking: record the time when we start
-        isDocked = false;
-        hasLeftDockingBoxOnce = true;
-        canDock = false;
-        updateUIText('docking-status', 'NOT DOCKED');
-        // Record undock time when unpausing from docked state
-        undockTime = performance.now();
-        accumulatedPausedTime = 0; // Reset paused time when undocking
-      }
-      
-      if (paused) {
-        // Unpausing: accumulate the time we were paused
-        if (pausedStartTime !== null) {
-          accumulatedPausedTime += (performance.now() - pausedStartTime);
-          pausedStartTime = null;
-        }
-      } else {
-        // Pausing: record when we paused
-        pausedStartTime = performance.now();
-      }
-      
-      paused = !paused;
-    }
-    if (backtickPressed && k === 'f') {
-      if (isDocked && paused) {
-        // Undocking: record the time when we start
-        isDocked = false;
-        hasLeftDockingBoxOnce = true;
-        canDock = false;
-        updateUIText('docking-status', 'NOT DOCKED');
-        // Record undock time when unpausing from docked state
-        undockTime = performance.now();
-        accumulatedPausedTime = 0; // Reset paused time when undocking
-      }
-      
-      if (paused) {
-        // Unpausing: accumulate the time we were paused
-        if (pausedStartTime !== null) {
-          accumulatedPausedTime += (performance.now() - pausedStartTime);
-          pausedStartTime = null;
-        }
-      } else {
-        // Pausing: record when we paused
-        pausedStartTime = performance.now();
-      }
-      
-      paused = !paused;
-    }
-    if (backtickPressed && k === 'h') {
-      toggleHullVisibility();
-      
-      // Check the status text to see if hulls are now visible
-      const hullStatus = document.getElementById('hull-status').textContent;
-      const showHulls = hullStatus === 'Hulls Visible';
-      
-      // Manually toggle the docking port collision box to match the hulls
-      if (window.dockingPortCollisionMesh) {
-        window.dockingPortCollisionMesh.visible = showHulls;
-      }
-      
-      toggleSpacecraftBoundingBoxVisibility(showHulls);
-    }
-    if (backtickPressed && k === 'x') {
-      showDistanceInfo = !showDistanceInfo;
-      toggleUIVisibility('distance-info', showDistanceInfo);
-    }
-    if (k === 'c') camSys.switchCameraMode();
-    if (k === ' ') stopEverything();
-    if (k === 't' && attitudeControl && attitudeControl.loaded) {
-      const newMode = attitudeControl.toggleMode();
-      updateUIText('control-mode', 
-        newMode === 'thrusters' ? 'Thrusters' : 
-        newMode === 'reactionwheels' ? 'Reaction Wheels' : 'CMGs');
-      toggleUIVisibility('reaction-wheel-status', newMode === 'reactionwheels');
-      toggleUIVisibility('cmg-status', newMode === 'cmgs');
-    }
-    if (k === 'v' && lampManager) {
-      if (backtickPressed) {
-        lampManager.toggleHelpers();
-      } else {
-        const lampsVisible = lampManager.toggleLamps();
-        updateUIText('lamp-status-text', lampsVisible ? 'ON' : 'OFF');
-      }
-    }
-    if (k === 'g' && attitudeControl && attitudeControl.loaded) {
-      attitudeControl.desaturateWithThrusters(thrusters, keyToThrusterIndices);
-    }
-  });
-
-  document.addEventListener('keyup', e => {
-    const k = e.key.toLowerCase();
-    if (k === '`') backtickPressed = false;
-    if (fineControlMode) {
-      delete fineControlProcessedKeys[k];
-    } else {
-      delete keys[k];
-    }
-  });
-
-  function stopEverything() {
-    if (!satBody) return;
-    satBody.velocity.set(0,0,0);
-    satBody.angularVelocity.set(0,0,0);
-    thrusters.forEach(t => {
-      if (t.active) {
-        t.active = false;
-        t.material.emissive.setHex(0x000000);
-      }
-    });
-  }
-  let paused = true; // Start paused so spacecraft stays docked
-
-  function resetSimulation(){
-    if (!satBody || !satMesh) return;
-    
-    satBody.position.copy(initialPosition);
-    satBody.velocity.set(0,0,0);
-    satBody.angularVelocity.set(0,0,0);
-    
-    satBody.quaternion.copy(initialOrientation);
-    satMesh.quaternion.copy(initialOrientation);
-    
-    resetFuel();
-    
-    if (attitudeControl) {
-      attitudeControl.mode = 'thrusters';
-      updateUIText('control-mode', 'Thrusters');
-      toggleUIVisibility('reaction-wheel-status', false);
-      toggleUIVisibility('cmg-status', false);
-      attitudeControl.reactionWheels.forEach(wheel => wheel.currentAngularMomentum = 0);
-      attitudeControl.cmgs.forEach(cmg => cmg.currentAngularMomentum.set(0, 0, 0));
-    }
-    
-    if (lampManager) {
-      lampManager.toggleLamps();
-      updateUIText('lamp-status-text', 'ON');
-      lampManager.helpersVisible = false;
-      lampManager.lampHelpers.forEach(helper => helper.visible = false);
-    }
-    
-    camSys.reset();
-    thrusters.forEach(t => {
-      t.active = false;
-      t.material.emissive.setHex(0x000000);
-    });
-    
-    // Reset clock when simulation is reset - reset to docked state
-    isDocked = true;
-    paused = true;
-    canDock = false;
-    hasLeftDockingBoxOnce = false;
-    undockTime = null;
-    pausedStartTime = null;
-    accumulatedPausedTime = 0;
-    updateUIText('docking-status', 'DOCKED');
-    if (clockDisplay) {
-      clockDisplay.textContent = '0:00:00.000';
-    }
-  }
-
-  // Original docking logic - unchanged
-  function isInDockingZone() {
-    if (!satBody) return { inBox: false };
-    
-    const positionDiff = {
-      x: satBody.position.x - initialPosition.x,
-      y: satBody.position.y - initialPosition.y,
-      z: satBody.position.z - initialPosition.z
-    };
-    
-    const distance = Math.sqrt(positionDiff.x**2 + positionDiff.y**2 + positionDiff.z**2);
-    const inBox = Math.abs(positionDiff.x) <= DOCKING_BOX_SIZE &&
-                  Math.abs(positionDiff.y) <= DOCKING_BOX_SIZE &&
-                  Math.abs(positionDiff.z) <= DOCKING_BOX_SIZE;
-    
-    const currentOrientationThree = new THREE.Quaternion(satBody.quaternion.x, satBody.quaternion.y, satBody.quaternion.z, satBody.quaternion.w);
-    const angleDiff = currentOrientationThree.angleTo(initialOrientationThree) * (180 / Math.PI);
-    const inAngle = angleDiff <= DOCKING_ANGLE_THRESHOLD;
-    
-    const speed = satBody.velocity.length();
-    const xzSpeed = Math.sqrt(satBody.velocity.x**2 + satBody.velocity.z**2);
-    const zSpeed = satBody.velocity.z;
-    const withinSpeedLimits = xzSpeed <= MAX_XZ_SPEED && zSpeed <= MAX_Z_SPEED;
-    
-    const angularSpeed = satBody.angularVelocity.length() * (180 / Math.PI);
-    const withinAngularSpeedLimit = angularSpeed <= MAX_ANGULAR_SPEED;
-    
-    return { inBox, inAngle, withinSpeedLimits, withinAngularSpeedLimit, angleDiff, distance, speed, angularSpeed };
-  }
-
-  // Function to update the clock display
-  function updateClock() {
-    if (!clockDisplay) {
-      clockDisplay = document.getElementById('clock-display');
-      if (!clockDisplay) return;
-    }
-    
-    // If never undocked, show 0:00:00.000
-    if (undockTime === null) {
-      clockDisplay.textContent = '0:00:00.000';
-      return;
-    }
-    
-    // If docked, show the time at which we docked (paused)
-    if (isDocked) {
-      const elapsedSeconds = lastDockedTime / 1000;
-      const hours = Math.floor(elapsedSeconds / 3600);
-      const minutes = Math.floor((elapsedSeconds % 3600) / 60);
-      const seconds = Math.floor(elapsedSeconds % 60);
-      const milliseconds = Math.floor(lastDockedTime % 1000);
-      const hoursStr = hours.toString();
-      const minutesStr = minutes.toString().padStart(2, '0');
-      const secondsStr = seconds.toString().padStart(2, '0');
-      const millisecondsStr = milliseconds.toString().padStart(3, '0');
-      clockDisplay.textContent = `${hoursStr}:${minutesStr}:${secondsStr}.${millisecondsStr}`;
-      return;
-    }
-    
-    // Calculate elapsed time since undock, accounting for paused time
-    let currentTime = performance.now();
-    
-    // If currently paused, subtract the current pause duration from the calculation
-    if (paused && pausedStartTime !== null) {
-      currentTime = pausedStartTime;
-    }
-    
-    const elapsedMilliseconds = currentTime - undockTime - accumulatedPausedTime;
-    const elapsedSeconds = elapsedMilliseconds / 1000;
-    
-    // Calculate hours, minutes, seconds, and milliseconds
-    const hours = Math.floor(elapsedSeconds / 3600);
-    const minutes = Math.floor((elapsedSeconds % 3600) / 60);
-    const seconds = Math.floor(elapsedSeconds % 60);
-    const milliseconds = Math.floor(elapsedMilliseconds % 1000);
-    
-    // Format as H:MM:SS.mmm
-    const hoursStr = hours.toString();
-    const minutesStr = minutes.toString().padStart(2, '0');
-    const secondsStr = seconds.toString().padStart(2, '0');
-    const millisecondsStr = milliseconds.toString().padStart(3, '0');
-    
-    clockDisplay.textContent = `${hoursStr}:${minutesStr}:${secondsStr}.${millisecondsStr}`;
-  }
-
-  async function main(config) {
-    initializeUI();
-    
-    // Set up event listeners for timed firing controls and torque slider
-    const timedFiringToggle = document.getElementById('timed-firing-toggle');
-    const firingDurationSlider = document.getElementById('firing-duration-slider');
-    const firingDurationValue = document.getElementById('firing-duration-value');
-    const torqueSlider = document.getElementById('torque-slider');
-    const torqueValue = document.getElementById('torque-value');
-    
-    if (timedFiringToggle) {
-      timedFiringToggle.addEventListener('change', (e) => {
-        timedFiringEnabled = e.target.checked;
-        // Clear key start times when toggling
-        fineControlKeyStartTimes = {};
-      });
-    }
-    
-    if (firingDurationSlider && firingDurationValue) {
-      // Function to convert slider value (0-100) to actual duration (0-15 seconds)
-      // 80% of slider (0-80) maps to 0-2 seconds
-      // 20% of slider (80-100) maps to 2-15 seconds
-      function sliderToDuration(sliderValue) {
-        const value = parseFloat(sliderValue);
-        if (value <= 80) {
-          // 0-2 seconds range with fine control
-          return (value / 80) * 2;
-        } else {
-          // 2-15 seconds range
-          return 2 + ((value - 80) / 20) * 13;
-        }
-      }
-      
-      // Function to convert duration (0-15 seconds) back to slider value (0-100)
-      function durationToSlider(duration) {
-        if (duration <= 2) {
-          // Map 0-2 seconds back to 0-80
-          return (duration / 2) * 80;
-        } else {
-          // Map 2-15 seconds back to 80-100
-          return 80 + ((duration - 2) / 13) * 20;
-        }
-      }
-      
-      // Function to snap duration to appropriate increment based on range
-      function snapDuration(duration) {
-        if (duration <= 2) {
-          // Snap to 0.01 increments for small scale
-          return Math.round(duration * 100) / 100;
-        } else {
-          // Snap to 0.1 increments for large scale
-          return Math.round(duration * 10) / 10;
-        }
-      }
-      
-      // Set initial slider value to correspond to 1 second
-      const initialSliderValue = durationToSlider(1.0);
-      firingDurationSlider.value = initialSliderValue;
-      firingDuration = 1.0;
-      firingDurationValue.textContent = firingDuration.toFixed(2);
-      
-      firingDurationSlider.addEventListener('input', (e) => {
-        let duration = sliderToDuration(e.target.value);
-        // Snap to appropriate increment
-        duration = snapDuration(duration);
-        // Update slider position to reflect snapped value
-        firingDurationSlider.value = durationToSlider(duration);
-        firingDuration = duration;
-        firingDurationValue.textContent = duration.toFixed(2);
-      });
-    }
-    
-    // Torque slider event listener
-    if (torqueSlider && torqueValue) {
-      torqueSlider.addEventListener('input', (e) => {
-        torquePercentage = parseInt(e.target.value);
-        torqueValue.textContent = torquePercentage;
-      });
-    }
-    
-      try {
-      // Get centerOfMass offset from spacecraft body
-      const centerOfMassOffset = satBody.centerOfMassOffset || {x: 0, y: 0, z: 0};
-      
-      // Initialize all systems with the combined configuration
-      thrusters = await initializeThrustersWithConfig(config.thrusters, CANNON, satMesh, keyToThrusterIndices, createThrusterVisual, centerOfMassOffset);
-      
-      // Load hulls from the JSON file
-      loadConvexHulls(CONVEX_HULLS_PATH, scene, world);
-      
-      // Load attitude control configuration
-      await attitudeControl.initializeWithConfigs(config.reactionwheels, config.cmg);
-      
-      // Load lamps configuration
-      await lampManager.loadLampsWithConfig(config.lamps);
-      
-      // Load camera configuration
-      camSys.loadCamerasWithConfig(config.cameras);
-      
-      // NEW: Add the docking port collision mesh to the hull system
-      if (window.dockingPortBody && window.dockingPortCollisionMesh) {
-        addExternalHull(window.dockingPortBody, window.dockingPortCollisionMesh);
-      }
-      
-      if (attitudeControl.loaded) console.log('Attitude control system loaded');
-      else console.log('No attitude control systems loaded, using thrusters only');
-      
-      console.log('Simulation initialized successfully');
-      document.getElementById('hull-status').textContent = 'Spacecraft Loaded';
-    } catch (error) {
-      console.error('Error during initialization:', error);
-      document.getElementById('hull-status').textContent = `Error: ${error.message}`;
-    }
-    
-    animate();
-  }
-
-  const clock = new THREE.Clock();
-  
-  // FPS limiting variables
-  const TARGET_FPS = 60;
-  const FRAME_DURATION = 1000 / TARGET_FPS;
-  let lastFrameTime = performance.now();
-  
-  function animate(){
-    requestAnimationFrame(animate);
-    
-    // FPS limiting - only update at target FPS
-    const currentTime = performance.now();
-    const elapsed = currentTime - lastFrameTime;
-    
-    if (elapsed < FRAME_DURATION) {
-      return; // Skip this frame if not enough time has passed
-    }
-    
-    // Update last frame time, accounting for any excess to maintain steady frame rate
-    lastFrameTime = currentTime - (elapsed % FRAME_DURATION);
-    
-    const dt = clock.getDelta();
-    
-    // Handle timed firing: check if any keys have exceeded their firing duration
-    if (fineControlMode && timedFiringEnabled) {
-      Object.entries(fineControlKeyStartTimes).forEach(([key, startTime]) => {
-        const elapsed = (currentTime - startTime) / 1000; // Convert to seconds
-        if (elapsed >= firingDuration) {
-          // Remove from fineControlKeys to stop firing
-          delete fineControlKeys[key];
-          delete fineControlKeyStartTimes[key];
-        }
-      });
-    }
-    
-    // DEBUG: Print inertia matrix every 10 seconds
-    if (satBody && currentTime - lastInertiaDebugTime > INERTIA_DEBUG_INTERVAL) {
-      console.log("DEBUG: Inertia Matrix (10s interval):", {
-        x: satBody.inertia.x,
-        y: satBody.inertia.y,
-        z: satBody.inertia.z,
-        mass: satBody.mass
-      });
-      lastInertiaDebugTime = currentTime;
-    }
-    
-    if (!paused && satBody){
-      if (attitudeControl && attitudeControl.loaded && attitudeControl.mode !== 'thrusters') {
-        const torque = new CANNON.Vec3(0, 0, 0);
-        const isCMGMode = attitudeControl.mode === 'cmgs';
-        
-        // Get max torque from the active attitude control system
-        let maxTorque = 0.5; // Default fallback
-        if (isCMGMode && attitudeControl.cmgs.length > 0) {
-          // Use average max torque from all CMGs
-          maxTorque = attitudeControl.cmgs.reduce((sum, cmg) => sum + cmg.maxTorque, 0) / attitudeControl.cmgs.length;
-        } else if (!isCMGMode && attitudeControl.reactionWheels.length > 0) {
-          // Use average max torque from all reaction wheels
-          maxTorque = attitudeControl.reactionWheels.reduce((sum, wheel) => sum + wheel.maxTorque, 0) / attitudeControl.reactionWheels.length;
-        }
-        
-        // Calculate torque per axis based on percentage
-        const torquePerAxis = maxTorque * (torquePercentage / 100);
-        
-        if (fineControlMode) {
-          // Swap I and K for CMGs
-          if (isCMGMode ? fineControlKeys['k'] : fineControlKeys['i']) torque.x += torquePerAxis;
-          if (isCMGMode ? fineControlKeys['i'] : fineControlKeys['k']) torque.x -= torquePerAxis;
-          // Swap J and L for CMGs
-          if (isCMGMode ? fineControlKeys['j'] : fineControlKeys['l']) torque.y += torquePerAxis;
-          if (isCMGMode ? fineControlKeys['l'] : fineControlKeys['j']) torque.y -= torquePerAxis;
-          // Swap U and O for CMGs
-          if (isCMGMode ? fineControlKeys['o'] : fineControlKeys['u']) torque.z += torquePerAxis;
-          if (isCMGMode ? fineControlKeys['u'] : fineControlKeys['o']) torque.z -= torquePerAxis;
-        } else {
-          // Swap I and K for CMGs
-          if (isCMGMode ? keys['k'] : keys['i']) torque.x += torquePerAxis;
-          if (isCMGMode ? keys['i'] : keys['k']) torque.x -= torquePerAxis;
-          // Swap J and L for CMGs
-          if (isCMGMode ? keys['j'] : keys['l']) torque.y += torquePerAxis;
-          if (isCMGMode ? keys['l'] : keys['j']) torque.y -= torquePerAxis;
-          // Swap U and O for CMGs
-          if (isCMGMode ? keys['o'] : keys['u']) torque.z += torquePerAxis;
-          if (isCMGMode ? keys['u'] : keys['o']) torque.z -= torquePerAxis;
-        }
-        if (torque.length() > 0) attitudeControl.applyControlTorque(torque);
-        if (attitudeControl.desaturationActive) attitudeControl.desaturateWithThrusters(thrusters, keyToThrusterIndices);
-      } else {
-        Object.entries(keyToThrusterIndices).forEach(([key, indices]) => {
-          const keyIsPressed = fineControlMode ? fineControlKeys[key] : keys[key];
-          if (keyIsPressed && indices.length && !['w','s','a','d','q','e'].includes(key)) {
-            indices.forEach(i => {
-              const t = thrusters[i]; if (!t) return;
-              const fuelStatus = getFuelStatus();
-              if (fuelStatus.fuelMass <= 0) { if (t.active) { t.active = false; t.material.emissive.setHex(0x000000); } return; }
-              if (!t.thrust || !t.isp || t.isp <= 0 || isNaN(t.thrust) || isNaN(t.isp)) { console.error("Thruster has invalid properties, skipping.", t); if (t.active) { t.active = false; t.material.emissive.setHex(0x000000); } return; }
-              const forceLocal = t.dir.scale(t.thrust);
-              satBody.applyLocalForce(forceLocal, t.pos);
-              const fuelConsumptionRate = t.thrust / (t.isp * 9.81);
-              const fuelConsumed = fuelConsumptionRate * dt;
-              const remainingFuel = consumeFuel(fuelConsumed);
-              if (remainingFuel <= 0) { if (t.active) { t.active = false; t.material.emissive.setHex(0x000000); } return; }
-
-              // FIX: Visually activate the thruster
-              if (!t.active) {
-                t.active = true;
-                t.material.emissive.setHex(0xff5500);
-              }
-            });
-          }
-        });
-      }
-      
-      Object.entries(keyToThrusterIndices).forEach(([key, indices]) => {
-        const keyIsPressed = fineControlMode ? fineControlKeys[key] : keys[key];
-        if (keyIsPressed && indices.length && ['w','s','a','d','q','e'].includes(key)) {
-          indices.forEach(i => {
-            const t = thrusters[i]; if (!t) return;
-            const fuelStatus = getFuelStatus();
-            if (fuelStatus.fuelMass <= 0) { if (t.active) { t.active = false; t.material.emissive.setHex(0x000000); } return; }
-            if (!t.thrust || !t.isp || t.isp <= 0 || isNaN(t.thrust) || isNaN(t.isp)) { console.error("Thruster has invalid properties, skipping.", t); if (t.active) { t.active = false; t.material.emissive.setHex(0x000000); } return; }
-            const forceLocal = t.dir.scale(t.thrust);
-            satBody.applyLocalForce(forceLocal, t.pos);
-            const fuelConsumptionRate = t.thrust / (t.isp * 9.81);
-            const fuelConsumed = fuelConsumptionRate * dt;
-            const remainingFuel = consumeFuel(fuelConsumed);
-            if (remainingFuel <= 0) { if (t.active) { t.active = false; t.material.emissive.setHex(0x000000); } return; }
-
-            // FIX: Visually activate the thruster
-            if (!t.active) {
-              t.active = true;
-              t.material.emissive.setHex(0xff5500);
-            }
-          });
-        }
-      });
-      
-      world.step(1/60);
-    }
-
-    if (getSpacecraftBody()) {
-      updateSpacecraft();
-    }
-
-    camSys.update();
-
-    if (lampManager) {
-      lampManager.updateLamps();
-    }
-
-    thrusters.forEach(t => {
-      const stillPressed = Object.entries(keyToThrusterIndices).some(([k,ids])=> {
-        const keyIsPressed = fineControlMode ? fineControlKeys[k] : keys[k];
-        return keyIsPressed && ids.includes(t.index);
-      });
-      if (t.active && !stillPressed){
-        t.active = false;
-        t.material.emissive.setHex(0x000000);
-      }
-    });
-
-    // Only clear fineControlKeys if timed firing is NOT enabled
-    // When timed firing is enabled, keys are cleared by the duration check logic
-    if (!timedFiringEnabled) {
-      fineControlKeys = {};
-    }
-
-    // Original docking logic - unchanged
-    const dockingStatus = isInDockingZone();
-    if (!dockingStatus.inBox) hasLeftDockingBoxOnce = true;
-    
-    updateUIText('dock-distance', dockingStatus.distance.toFixed(3));
-    updateUIText('angular-diff', dockingStatus.angleDiff.toFixed(2));
-    updateUIText('docking-speed', dockingStatus.speed.toFixed(3));
-    updateUIText('docking-angular-speed', dockingStatus.angularSpeed.toFixed(3));
-    
-    if (!isDocked && canDock && hasLeftDockingBoxOnce && dockingStatus.inBox && dockingStatus.inAngle && dockingStatus.withinSpeedLimits && dockingStatus.withinAngularSpeedLimit) {
-      isDocked = true; paused = true;
-      updateUIText('docking-status', 'DOCKED');
-      satBody.velocity.set(0, 0, 0);
-      satBody.angularVelocity.set(0, 0, 0);
-      // Record the time elapsed when we dock
-      let currentTime = performance.now();
-      if (pausedStartTime !== null) {
-        currentTime = pausedStartTime;
-      }
-      lastDockedTime = currentTime - undockTime - accumulatedPausedTime;
-    }
-    if (!canDock && !dockingStatus.inBox && hasLeftDockingBoxOnce) {
-      canDock = true;
-    }
-
-    const fuelStatus = getFuelStatus();
-    updateUI({
-      satBody,
-      hudElement: document.getElementById('status-panel'),
-      isPaused: paused,
-      fuelMass: fuelStatus.fuelMass,
-      maxFuelMass: fuelStatus.maxFuelMass,
-      dryMass: fuelStatus.dryMass,
-      attitudeControl,
-      lampManager,
-      station,
-      satMesh,
-      raycaster,
-      maxDistance,
-      showDistanceInfo,
-      cameraSystem: camSys,
-      fineControlMode,
-      isDocked,
-      dockingStatus
-    });
-    
-    // Update clock display
-    updateClock();
-    
-    renderer.render(scene, camSys.getCamera());
-  }
-
-  window.addEventListener('resize', ()=>{
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    camSys.handleResize();
-  });
-
-  // Export current position and orientation to JSON file
-  window.addEventListener('exportPosition', () => {
-    if (!satBody) {
-      console.error('Spacecraft body not available for export');
-      alert('Spacecraft not loaded yet');
-      return;
-    }
-
-    const positionData = {
-      "position": {
-        "x": satBody.position.x,
-        "y": satBody.position.y,
-        "z": satBody.position.z
-      },
-      "velocity": {
-        "x": satBody.velocity.x,
-        "y": satBody.velocity.y,
-        "z": satBody.velocity.z
-      },
-      "Angular Velocity": {
-        "x": satBody.angularVelocity.x,
-        "y": satBody.angularVelocity.y,
-        "z": satBody.angularVelocity.z
-      },
-      "quaternion": {
-        "x": satBody.quaternion.x,
-        "y": satBody.quaternion.y,
-        "z": satBody.quaternion.z,
-        "w": satBody.quaternion.w
-      },
-    };
-
-    // Create a blob and download the file
-    const dataStr = JSON.stringify(positionData, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'currentposdata.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    console.log('Exported position/orientation:', positionData);
-  });
-
-  initializeDefaultSpacecraft();
-}
-
+import * as THREE from 'three';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import * as CANNON from 'cannon-es';
+import { CameraSystem } from './CameraSystem.js';
+import { addThrusterVisuals } from './thrusterSetup.js';
+import { 
+  initializeUI,
+  updateUI,
+  toggleUIVisibility,
+  updateUIText
+} from './hudUpdater.js';
+import { loadConvexHulls, toggleHullVisibility } from './hullManager.js';
+import { 
+  loadSpacecraft, 
+  loadAdditionalSpacecraft,
+  toggleSpacecraftBoundingBoxVisibility, 
+  getSpacecraftBody, 
+  setSpacecraftBody,
+  updateSpacecraft,
+  storePreviousState,
+  setCenterOfMassShift
+} from './spacecraftManager.js';
+import { LampManager } from './lampManager.js';
+import { Simulator, normalizeConfiguration } from './simulator.js';
+import { Fleet, vehicleScenario } from './fleet.js';
+import { FAULT_TYPES } from './faultManager.js';
+import { FlightRecorder, FlightPlayer } from './flightRecorder.js';
+
+// Wait for the startSimulation event before initializing
+window.addEventListener('startSimulation', () => {
+  initSimulation();
+});
+
+function initSimulation() {
+  const DEFAULT_MODEL_PATH = 'navion.stl';
+  const CONVEX_HULLS_PATH = 'convex-hulls.json';
+
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x000011);
+  const skyboxLoader = new THREE.CubeTextureLoader();
+  const skybox = skyboxLoader.load([
+    'right.png', 'left.png', 'top.png', 'bottom.png', 'front.png', 'back.png'
+  ]);
+  scene.background = skybox;
+
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  document.getElementById('simulation-container').appendChild(renderer.domElement);
+
+  const world = new CANNON.World();
+  world.gravity.set(0, 0, 0);
+  world.broadphase = new CANNON.NaiveBroadphase();
+  world.solver.iterations = 10;
+
+  let simulator = null; // The physics core of the vehicle being flown; everything else here is input and display
+  let fleet = null; // Every vehicle in the world; the pilot's inputs go through it to simulator
+  const vehicleMeshes = []; // Each fleet vehicle's group, by index
+  let satBody;
+  let satMesh;
+  let camSys;
+  let attitudeControl;
+  let lampManager;
+  let station;
+  // The station model, its hulls and its docking ports, turned as the simulator's station turns
+  const stationGroup = new THREE.Group();
+  scene.add(stationGroup);
+  let orbitalDynamics = null;
+  let defaultProperties = null;
+  
+  // Timer for debug output
+  let lastInertiaDebugTime = 0;
+  const INERTIA_DEBUG_INTERVAL = 10000; // 10 seconds in milliseconds
+  
+  let showDistanceInfo = false;
+  let showFaultPanel = false;
+  let raycaster = new THREE.Raycaster();
+  let maxDistance = 100;
+  
+  let fineControlMode = false;
+  let fineControlKeys = {};
+  let fineControlProcessedKeys = {};
+  let fineControlKeyStartTimes = {};
+  let timedFiringEnabled = false;
+  let firingDuration = 5.0;
+  let torquePercentage = 50; // Percentage of max torque to use (1-100)
+  
+  let clockDisplay = null; // Reference to clock display element
+  
+  // Time warp: sim seconds per real second. It changes how many fixed physics steps
+  // run per frame, never the step size, so the dynamics are the same at any warp.
+  const TIME_WARP_LEVELS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 50];
+  const PROXIMITY_WARNING_DISTANCE = 2; // Distance from the docking target that ends time warp (m)
+  let timeWarp = 1;
+  let wasInProximity = true; // Start docked, so leaving and coming back is what triggers the warning
+  const IMPACT_FLASH_TIME = 3000; // How long an impact stays on the HUD (ms)
+  let impactFlashTimer = null;
+  
+  // Flight recording and replay
+  let recorder = null; // FlightRecorder while recording
+  let replayPlayer = null; // FlightPlayer while watching a replay
+  let liveState = null; // The flight to go back to when the replay ends
+
+  window.scene = scene;
+  window.world = world;
+  window.renderer = renderer;
+
+  // Helper function to get configuration from uploaded files or defaults
+  async function getConfiguration() {
+    if (window.uploadedFiles && window.uploadedFiles.config) {
+      console.log('Using uploaded configuration');
+      return normalizeConfiguration(window.uploadedFiles.config);
+    }
+    
+    // Load default configuration if no uploaded config
+    try {
+      const response = await fetch('config.json');
+      if (!response.ok) {
+        throw new Error(`Failed to load default config: ${response.statusText}`);
+      }
+      const data = await response.json();
+      console.log('Using default configuration');
+      return normalizeConfiguration(data);
+    } catch (error) {
+      console.error('Error loading default configuration:', error);
+      // Return minimal default configuration
+      return {
+        cameras: [],
+        cmg: { cmgs: [] },
+        spacecraftProperties: { dryMass: 5, fuelMass: 5, maxFuelMass: 5, inertia: { x: 3, y: 3, z: 3 } },
+        lamps: { lamps: [] },
+        reactionwheels: { wheels: [] },
+        thrusters: { thrusters: [] }
+      };
+    }
+  }
+
+  // Helper function to get spacecraft model
+  async function getSpacecraftModel() {
+    if (window.uploadedFiles && window.uploadedFiles.spacecraftModel) {
+      console.log('Using uploaded spacecraft model');
+      // Create a File object from the uploaded model data
+      const blob = new Blob([window.uploadedFiles.spacecraftModel], { type: 'model/stl' });
+      return new File([blob], 'custom.stl', { type: 'model/stl' });
+    }
+    
+    // Load default model
+    try {
+      const response = await fetch(DEFAULT_MODEL_PATH);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch default model: ${response.statusText}`);
+      }
+      const blob = await response.blob();
+      return new File([blob], DEFAULT_MODEL_PATH, { type: 'model/stl' });
+    } catch (error) {
+      console.error('Error loading default model:', error);
+      throw error;
+    }
+  }
+
+  async function initializeDefaultSpacecraft() {
+    const config = await getConfiguration();
+    const modelFile = await getSpacecraftModel();
+    
+    // DEBUG: Log the loaded configuration
+    console.log("DEBUG: Configuration loaded:", config);
+
+    const rotation = { x: 0, y: 0, z: 0 };
+    const centroidModel = true;
+
+    loadSpacecraft(modelFile, scene, rotation, centroidModel, (mesh, collisionBox) => {
+      // The simulator builds the body and its systems; the start pose and docking
+      // limits come from the initial position file if one was uploaded
+      simulator = new Simulator(config, {
+        world,
+        scenario: window.uploadedFiles?.initialPosition,
+        collisionBox,
+        timestep: PHYSICS_TIMESTEP
+      });
+      fleet = new Fleet(simulator, { name: config.spacecraftProperties?.name });
+      vehicleMeshes[0] = mesh;
+      window.fleet = fleet;
+      satBody = simulator.body;
+      satMesh = mesh;
+      setSpacecraftBody(satBody, satMesh);
+      attitudeControl = simulator.attitudeControl;
+      orbitalDynamics = simulator.orbitalDynamics;
+      
+      // DEBUG: Log the inertia of the body immediately after it's created
+      console.log("DEBUG: Inertia on satBody:", {
+        x: satBody.inertia.x,
+        y: satBody.inertia.y,
+        z: satBody.inertia.z
+      });
+      
+      // Get centerOfMass offset from the body
+      const centerOfMassOffset = satBody.centerOfMassOffset || {x: 0, y: 0, z: 0};
+      console.log("DEBUG: Center of mass offset:", centerOfMassOffset);
+      
+      window.simulator = simulator;
+      window.satBody = satBody;
+      window.satMesh = satMesh;
+      
+      satMesh.position.copy(satBody.position);
+      satMesh.quaternion.copy(satBody.quaternion);
+      storePreviousState();
+      
+      // Store centerOfMass in spacecraft mesh for cameras to access
+      satMesh.userData.centerOfMassOffset = centerOfMassOffset;
+
+      camSys = new CameraSystem(renderer, satMesh);
+      window.camSys = camSys;
+      
+      attitudeControl.setSatelliteMesh(satMesh);
+      
+      lampManager = new LampManager(scene, satMesh);
+      lampManager.setCenterOfMassOffset(centerOfMassOffset);
+
+      // Load docking ports
+      loadDockingPorts();
+
+      main(config);
+    }, config.spacecraftProperties?.collisionShape);
+  }
+
+  // Load every docking port in the simulator: the STL its entry in the initial position
+  // file names, or else the uploaded docking port model, or else a plain box
+  function loadDockingPorts() {
+    simulator.dockingPorts.forEach((port, index) => {
+      if (port.model) {
+        new STLLoader().load(port.model, geometry => createDockingPort(geometry, index), undefined, error => {
+          console.error(`Could not load ${port.model} for ${port.name}, using a box:`, error);
+          createDockingPort(new THREE.BoxGeometry(0.2, 0.2, 0.2), index);
+        });
+      } else if (window.uploadedFiles && window.uploadedFiles.dockingPort) {
+        // Use uploaded file
+        const blob = new Blob([window.uploadedFiles.dockingPort], { type: 'model/stl' });
+        const file = new File([blob], 'dockingport.stl', { type: 'model/stl' });
+        const reader = new FileReader();
+        reader.onload = function(e) {
+          const geometry = new STLLoader().parse(e.target.result);
+          createDockingPort(geometry, index);
+        };
+        reader.readAsArrayBuffer(file);
+      } else {
+        // Create default docking port if no file is provided
+        const geometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
+        createDockingPort(geometry, index);
+      }
+    });
+  }
+
+  // Function to create docking port number index of the simulator's dockingPorts
+function createDockingPort(geometry, index) {
+  // Create the visual mesh (the solid model you see)
+  const material = new THREE.MeshStandardMaterial({ 
+    color: 0x00ff00,
+    metalness: 0.7,
+    roughness: 0.3
+  });
+  // Where the port is comes from the initial position file, through the simulator
+  const port = simulator.dockingPorts[index];
+  const pose = port.pose;
+  const dockingPortMesh = new THREE.Mesh(geometry, material);
+  dockingPortMesh.position.copy(pose.position);
+  dockingPortMesh.quaternion.copy(pose.quaternion);
+  stationGroup.add(dockingPortMesh);
+
+  // --- Create a simple bounding box for collision ---
+
+  // 1. Calculate the bounding box of the loaded geometry
+  geometry.computeBoundingBox();
+  const box = new THREE.Box3().setFromBufferAttribute(geometry.attributes.position);
+  
+  // 2. Get the size of the box
+  const size = new THREE.Vector3();
+  box.getSize(size);
+
+  // 3. Get the center of the geometry to calculate the offset
+  const center = new THREE.Vector3();
+  box.getCenter(center);
+  
+  // 4. Calculate the offset position: port position + geometry center offset, turned with the port
+  center.applyQuaternion(dockingPortMesh.quaternion);
+  const offsetX = pose.position.x + center.x;
+  const offsetY = pose.position.y + center.y;
+  const offsetZ = pose.position.z + center.z;
+
+  // 5. Create the CANNON.Box shape using the box's half-extents
+  const halfExtents = new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2);
+  const boxShape = new CANNON.Box(halfExtents);
+
+  // 6. Create the physics body at the offset position
+  const dockingPortBody = new CANNON.Body({
+    mass: 0, // static
+    position: new CANNON.Vec3(offsetX, offsetY, offsetZ),
+    quaternion: pose.quaternion.clone()
+  });
+  dockingPortBody.addShape(boxShape);
+  dockingPortBody.name = port.name; // For the collision report
+  world.addBody(dockingPortBody);
+  // The docking mechanism of every vehicle latches onto it
+  fleet.setDockingPort(dockingPortBody, index);
+
+  // 7. Create the visual representation of the collision box (the red wireframe)
+  const collisionGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+  const collisionMaterial = new THREE.MeshBasicMaterial({
+    color: 0xff0000,
+    transparent: true,
+    opacity: 0.3,
+    wireframe: true
+  });
+  const dockingPortCollisionMesh = new THREE.Mesh(collisionGeometry, collisionMaterial);
+  dockingPortCollisionMesh.position.set(offsetX, offsetY, offsetZ);
+  dockingPortCollisionMesh.quaternion.copy(dockingPortMesh.quaternion);
+  dockingPortCollisionMesh.visible = false; // Initially hidden
+  stationGroup.add(dockingPortCollisionMesh);
+
+  // Store references globally
+  window.dockingPorts = window.dockingPorts || [];
+  window.dockingPorts[index] = {
+    mesh: dockingPortMesh, // The model, green while it is the target
+    body: dockingPortBody, // The physics body
+    collisionMesh: dockingPortCollisionMesh // The red wireframe box
+  };
+  if (index === 0) {
+    window.dockingPortMesh = dockingPortMesh;
+    window.dockingPortBody = dockingPortBody;
+    window.dockingPortCollisionMesh = dockingPortCollisionMesh;
+  }
+}
+  //const MODEL_PATH = 'gatewaycore.glb'; //testing
+  const MODEL_PATH = 'https://raw.githubusercontent.com/nasa/NASA-3D-Resources/11ebb4ee043715aefbba6aeec8a61746fad67fa7/3D%20Models/Gateway/Gateway%20Core.glb'; //deployed
+  const loader = new GLTFLoader();
+  loader.load(MODEL_PATH, gltf => {
+    station = gltf.scene;
+    station.scale.set(1,1,1);
+    let rot1 = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI/180*-25);
+    station.quaternion.multiply(rot1);
+    let rot2 = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI/180*-10);
+    station.quaternion.multiply(rot2);  
+    station.position.set(0, 0, 0);
+    stationGroup.add(station);
+  }, undefined, err => console.error('GLTF load error:', err));
+
+  scene.add(new THREE.AmbientLight(0x404040));
+  const dirLight = new THREE.DirectionalLight(0xffffff, 1);
+  dirLight.position.set(-10,-2,-1);
+  scene.add(dirLight);
+  scene.add(new THREE.AxesHelper(5));
+
+  // Filled in from the simulator once the spacecraft has loaded
+  let thrusters = [];
+  let keyToThrusterIndices = {};
+
+  function createThrusterVisual(pos, dir){
+    const group = new THREE.Group();
+    const cone = new THREE.ConeGeometry(0.15/5,0.4/5,8);
+    const mat = new THREE.MeshStandardMaterial({
+      color:0xff5500, emissive:0x000000, metalness:0.1, roughness:0.8
+    });
+    const mesh = new THREE.Mesh(cone, mat);
+    mesh.position.copy(pos);
+    const q = new THREE.Quaternion();
+    q.setFromUnitVectors(new THREE.Vector3(0,1,0), new THREE.Vector3(dir.x,dir.y,dir.z));
+    mesh.quaternion.copy(q);
+    mesh.rotateX(Math.PI);
+    group.add(mesh);
+    return {group, material:mat};
+  }
+  window.createThrusterVisual = createThrusterVisual;
+
+  const keys = {};               
+  let backtickPressed = false;
+
+  document.addEventListener('keydown', e => {
+    if (e.key === 'CapsLock') {
+      fineControlMode = !fineControlMode;
+      fineControlKeys = {};
+      fineControlProcessedKeys = {};
+      return;
+    }
+    
+    const k = e.key.toLowerCase();
+    if (k === '`') backtickPressed = true;
+    
+    if (fineControlMode && ['w','s','a','d','q','e','i','k','j','l','u','o'].includes(k)) {
+      e.preventDefault();
+      if (!fineControlProcessedKeys[k]) {
+        fineControlKeys[k] = true;
+        fineControlProcessedKeys[k] = true;
+        // Record the start time for timed firing
+        if (timedFiringEnabled && !fineControlKeyStartTimes[k]) {
+          fineControlKeyStartTimes[k] = simulator ? simulator.time : 0;
+        }
+      }
+    } else {
+      keys[k] = true;
+    }
+
+    if (backtickPressed && k === 'r') resetSimulation();
+    if (backtickPressed && k === 'p') togglePauseOrUndock();
+    if (backtickPressed && k === 'f') togglePauseOrUndock();
+    if (backtickPressed && k === 'h') {
+      toggleHullVisibility();
+      
+      // Check the status text to see if hulls are now visible
+      const hullStatus = document.getElementById('hull-status').textContent;
+      const showHulls = hullStatus === 'Hulls Visible';
+      
+      // Manually toggle the docking port collision boxes to match the hulls
+      (window.dockingPorts || []).forEach(port => {
+        if (port) port.collisionMesh.visible = showHulls;
+      });
+      
+      toggleSpacecraftBoundingBoxVisibility(showHulls);
+    }
+    if (backtickPressed && k === 'x') {
+      showDistanceInfo = !showDistanceInfo;
+      toggleUIVisibility('distance-info', showDistanceInfo);
+    }
+    if (backtickPressed && k === 'b') {
+      showFaultPanel = !showFaultPanel;
+      if (showFaultPanel) updateFaultPanelOptions();
+      toggleUIVisibility('fault-panel', showFaultPanel);
+    }
+    if (k === 'c') camSys.switchCameraMode();
+    if (k === ' ') stopEverything();
+    if (k === 't' && backtickPressed) performAction('cycleSteeringLaw');
+    if (k === 't' && !backtickPressed && attitudeControl && attitudeControl.loaded) {
+      const newMode = performAction('toggleAttitudeMode');
+      if (newMode) updateControlModeUI(newMode);
+    }
+    if (k === 'v' && lampManager) {
+      if (backtickPressed) {
+        lampManager.toggleHelpers();
+      } else {
+        const lampsVisible = lampManager.toggleLamps();
+        updateUIText('lamp-status-text', lampsVisible ? 'ON' : 'OFF');
+      }
+    }
+    if (k === ']') changeTimeWarp(1);
+    if (k === '[') changeTimeWarp(-1);
+    if (k === '\\') setTimeWarp(1);
+    if (k === 'g') performAction('desaturate');
+    if (k === 'n' && !backtickPressed) performAction('cycleDockingPort');
+    if (k === 'm' && !backtickPressed && fleet && fleet.vehicles.length > 1) {
+      performAction('switchVehicle');
+      showActiveVehicle();
+    }
+  });
+
+  document.addEventListener('keyup', e => {
+    const k = e.key.toLowerCase();
+    if (k === '`') backtickPressed = false;
+    if (fineControlMode) {
+      delete fineControlProcessedKeys[k];
+    } else {
+      delete keys[k];
+    }
+  });
+
+  // Set the time warp multiplier. reason is shown on the HUD when warp was dropped automatically.
+  function setTimeWarp(multiplier, reason = null) {
+    timeWarp = multiplier;
+    updateUIText('time-warp', reason ? `${timeWarp}x (${reason})` : `${timeWarp}x`);
+  }
+
+  // Step the time warp one level up (+1) or down (-1)
+  function changeTimeWarp(direction) {
+    const index = TIME_WARP_LEVELS.indexOf(timeWarp);
+    const next = Math.max(0, Math.min(TIME_WARP_LEVELS.length - 1, (index === -1 ? TIME_WARP_LEVELS.indexOf(1) : index) + direction));
+    setTimeWarp(TIME_WARP_LEVELS[next]);
+  }
+
+  function updateControlModeUI(mode) {
+    updateUIText('control-mode', 
+      mode === 'thrusters' ? 'Thrusters' : 
+      mode === 'reactionwheels' ? 'Reaction Wheels' : 'CMGs');
+    toggleUIVisibility('reaction-wheel-status', mode === 'reactionwheels');
+    toggleUIVisibility('cmg-status', mode === 'cmgs');
+  }
+
+  // Run a simulator action for the pilot, recording it if a recording is running.
+  // A replay brings its own actions, so the pilot's are ignored while one plays.
+  // An action that throws isn't recorded.
+  function performAction(action, ...args) {
+    if (!fleet || replayPlayer) return null;
+    const result = fleet.perform(action, ...args);
+    if (recorder) recorder.recordAction(action, args);
+    return result;
+  }
+
+  // `+P and `+F: pause and unpause, undocking first if docked. While flying a stack
+  // they undock without pausing, and the two part in flight.
+  function togglePauseOrUndock() {
+    if (simulator && simulator.stack && !paused && !replayPlayer) {
+      performAction('undock');
+      updateUIText('docking-status', 'NOT DOCKED');
+      return;
+    }
+    if (simulator && simulator.docked && paused && !replayPlayer) {
+      // Undocking starts the mission clock
+      performAction('undock');
+      updateUIText('docking-status', 'NOT DOCKED');
+    }
+    paused = !paused;
+  }
+
+  // Fill the fault panel's unit and fault lists for the chosen kind of hardware
+  function updateFaultPanelOptions() {
+    if (!simulator) return;
+    const target = document.getElementById('fault-target').value;
+    const units = target === 'thruster' ? simulator.thrusters
+      : target === 'reactionWheel' ? simulator.attitudeControl.reactionWheels
+      : simulator.attitudeControl.cmgs;
+
+    const indexSelect = document.getElementById('fault-index');
+    indexSelect.innerHTML = '';
+    units.forEach((unit, i) => indexSelect.add(new Option(unit.name || `${i}`, i)));
+
+    const typeSelect = document.getElementById('fault-type');
+    typeSelect.innerHTML = '';
+    FAULT_TYPES[target].forEach(type => typeSelect.add(new Option(type, type)));
+    updateFaultPanelFields();
+  }
+
+  // Only show the fields the chosen fault uses
+  function updateFaultPanelFields() {
+    const type = document.getElementById('fault-type').value;
+    toggleUIVisibility('fault-factor-row', type === 'degraded');
+    toggleUIVisibility('fault-angle-row', type === 'misaligned');
+  }
+
+  // One button per cross-feed valve in the fuel panel; the HUD keeps their labels current
+  function createCrossFeedButtons() {
+    const container = document.getElementById('cross-feed-controls');
+    if (!container || !simulator) return;
+    container.innerHTML = '';
+    simulator.fuel.crossFeeds.forEach((valve, i) => {
+      const button = document.createElement('button');
+      button.className = 'menu-button';
+      button.style.cssText = 'width: 100%; padding: 3px; font-size: 10px; margin-top: 3px;';
+      button.textContent = valve.name;
+      button.addEventListener('click', () => {
+        performAction('toggleCrossFeed', i);
+        button.blur(); // Keep Space from clicking it again
+      });
+      container.appendChild(button);
+    });
+  }
+
+  function stopEverything() {
+    if (!simulator || replayPlayer) return;
+    performAction('stop');
+    thrusters.forEach(t => t.material.emissive.setHex(0x000000));
+  }
+  let paused = true; // Start paused so spacecraft stays docked
+
+  function resetSimulation(){
+    if (!simulator || !satMesh) return;
+    
+    // In a replay, reset goes back to the start of the recording
+    if (replayPlayer) {
+      seekReplay(0);
+      paused = true;
+      return;
+    }
+    
+    // Refuelled, docked and at rest in the start pose, with the sim clock back at 0,
+    // and the pilot back in the first vehicle
+    performAction('reset');
+    showActiveVehicle();
+    fineControlKeyStartTimes = {};
+    hideImpactFlash();
+    syncCenterOfMassShift();
+    satMesh.quaternion.copy(satBody.quaternion);
+    storePreviousState();
+    setTimeWarp(1);
+    wasInProximity = true;
+    
+    updateControlModeUI('thrusters');
+    
+    if (lampManager) {
+      lampManager.toggleLamps();
+      updateUIText('lamp-status-text', 'ON');
+      lampManager.helpersVisible = false;
+      lampManager.lampHelpers.forEach(helper => helper.visible = false);
+    }
+    
+    camSys.reset();
+    fleet.vehicles.forEach(({ simulator: vehicle }) => vehicle.thrusters.forEach(t => t.material.emissive.setHex(0x000000)));
+    
+    // Reset clock when simulation is reset - reset to docked state
+    paused = true;
+    updateUIText('docking-status', 'DOCKED');
+    if (clockDisplay) {
+      clockDisplay.textContent = '0:00:00.000';
+    }
+  }
+
+  // Follow the CG as propellant drains: each simulator has moved its body and
+  // thruster lever arms, so move the models, camera and lamp mounts to match
+  const appliedCenterOfMassShifts = []; // By vehicle index
+  function syncCenterOfMassShift() {
+    if (!fleet) return;
+    fleet.vehicles.forEach(({ simulator: vehicle }, i) => {
+      const mesh = vehicleMeshes[i];
+      if (!mesh) return;
+      const shift = vehicle.fuel.getCenterOfMassShift();
+      if (!appliedCenterOfMassShifts[i]) appliedCenterOfMassShifts[i] = new CANNON.Vec3(0, 0, 0);
+      if (shift.almostEquals(appliedCenterOfMassShifts[i], 1e-9)) return;
+      appliedCenterOfMassShifts[i].copy(shift);
+
+      setCenterOfMassShift(shift, mesh);
+      const centerOfMassOffset = vehicle.getCenterOfMassOffset();
+      mesh.userData.centerOfMassOffset = centerOfMassOffset;
+      // The lamps are mounted on the first vehicle
+      if (i === 0 && lampManager) lampManager.setCenterOfMassOffset(centerOfMassOffset);
+    });
+  }
+
+  // Point the controls, HUD and camera at the vehicle the pilot is flying now
+  function showActiveVehicle() {
+    if (!fleet || simulator === fleet.simulator) return;
+    simulator = fleet.simulator;
+    satBody = simulator.body;
+    satMesh = vehicleMeshes[fleet.activeIndex];
+    attitudeControl = simulator.attitudeControl;
+    orbitalDynamics = simulator.orbitalDynamics;
+    thrusters = simulator.thrusters;
+    keyToThrusterIndices = simulator.keyToThrusterIndices;
+    window.simulator = simulator;
+    window.satBody = satBody;
+    window.satMesh = satMesh;
+    window.thrusters = thrusters;
+    window.keyToThrusterIndices = keyToThrusterIndices;
+
+    camSys.setTarget(satMesh, simulator.config.cameras);
+    createCrossFeedButtons();
+    if (showFaultPanel) updateFaultPanelOptions();
+    updateControlModeUI(attitudeControl.mode);
+    updateUIText('docking-status', simulator.docked ? 'DOCKED' : 'NOT DOCKED');
+    // Timed firings belong to the vehicle they were started on
+    fineControlKeys = {};
+    fineControlKeyStartTimes = {};
+  }
+
+  // Load the scenario's other vehicles into the world, each with its own config (the first
+  // vehicle's if it doesn't give one) and model, in the order listed so replays line up
+  async function loadAdditionalVehicles(scenario, leadConfig) {
+    const specs = Array.isArray(scenario?.vehicles) ? scenario.vehicles : [];
+    for (const spec of specs) {
+      try {
+        let vehicleConfig = leadConfig;
+        if (typeof spec.config === 'string') {
+          const response = await fetch(spec.config);
+          if (!response.ok) throw new Error(`Failed to load ${spec.config}: ${response.statusText}`);
+          vehicleConfig = normalizeConfiguration(await response.json());
+        } else if (spec.config) {
+          vehicleConfig = normalizeConfiguration(spec.config);
+        }
+
+        const modelPath = spec.model || DEFAULT_MODEL_PATH;
+        const response = await fetch(modelPath);
+        if (!response.ok) throw new Error(`Failed to fetch ${modelPath}: ${response.statusText}`);
+        const modelFile = new File([await response.blob()], modelPath, { type: 'model/stl' });
+
+        await new Promise(resolve => loadAdditionalSpacecraft(modelFile, scene, (mesh, collisionBox) => {
+          const vehicle = new Simulator(vehicleConfig, {
+            world,
+            station: fleet.station,
+            scenario: vehicleScenario(scenario, spec),
+            collisionBox,
+            timestep: PHYSICS_TIMESTEP
+          });
+          const index = fleet.addVehicle(vehicle, spec);
+          vehicleMeshes[index] = mesh;
+          mesh.userData.centerOfMassOffset = vehicle.getCenterOfMassOffset();
+          setSpacecraftBody(vehicle.body, mesh);
+          vehicle.attitudeControl.setSatelliteMesh(mesh);
+          addThrusterVisuals(vehicle.thrusters, mesh, createThrusterVisual);
+          console.log(`Loaded vehicle ${fleet.vehicles[index].name}`);
+          resolve();
+        }, vehicleConfig.spacecraftProperties?.collisionShape));
+      } catch (error) {
+        console.error(`Could not load vehicle ${spec.name || ''}:`, error);
+      }
+    }
+  }
+
+  // Function to update the clock display
+  function updateClock() {
+    if (!clockDisplay) {
+      clockDisplay = document.getElementById('clock-display');
+      if (!clockDisplay) return;
+    }
+    
+    // If never undocked, show 0:00:00.000
+    if (!simulator || simulator.undockTime === null) {
+      clockDisplay.textContent = '0:00:00.000';
+      return;
+    }
+    
+    // Sim time stands still while paused or docked, so this also holds the time at docking
+    const elapsedMilliseconds = Math.round(simulator.getMissionTime() * 1000);
+    const elapsedSeconds = elapsedMilliseconds / 1000;
+    
+    // Calculate hours, minutes, seconds, and milliseconds
+    const hours = Math.floor(elapsedSeconds / 3600);
+    const minutes = Math.floor((elapsedSeconds % 3600) / 60);
+    const seconds = Math.floor(elapsedSeconds % 60);
+    const milliseconds = Math.floor(elapsedMilliseconds % 1000);
+    
+    // Format as H:MM:SS.mmm
+    const hoursStr = hours.toString();
+    const minutesStr = minutes.toString().padStart(2, '0');
+    const secondsStr = seconds.toString().padStart(2, '0');
+    const millisecondsStr = milliseconds.toString().padStart(3, '0');
+    
+    clockDisplay.textContent = `${hoursStr}:${minutesStr}:${secondsStr}.${millisecondsStr}`;
+  }
+
+  async function main(config) {
+    initializeUI();
+    
+    // Set up event listeners for timed firing controls and torque slider
+    const timedFiringToggle = document.getElementById('timed-firing-toggle');
+    const firingDurationSlider = document.getElementById('firing-duration-slider');
+    const firingDurationValue = document.getElementById('firing-duration-value');
+    const torqueSlider = document.getElementById('torque-slider');
+    const torqueValue = document.getElementById('torque-value');
+    
+    if (timedFiringToggle) {
+      timedFiringToggle.addEventListener('change', (e) => {
+        timedFiringEnabled = e.target.checked;
+        // Clear key start times when toggling
+        fineControlKeyStartTimes = {};
+      });
+    }
+    
+    if (firingDurationSlider && firingDurationValue) {
+      // Function to convert slider value (0-100) to actual duration (0-15 seconds)
+      // 80% of slider (0-80) maps to 0-2 seconds
+      // 20% of slider (80-100) maps to 2-15 seconds
+      function sliderToDuration(sliderValue) {
+        const value = parseFloat(sliderValue);
+        if (value <= 80) {
+          // 0-2 seconds range with fine control
+          return (value / 80) * 2;
+        } else {
+          // 2-15 seconds range
+          return 2 + ((value - 80) / 20) * 13;
+        }
+      }
+      
+      // Function to convert duration (0-15 seconds) back to slider value (0-100)
+      function durationToSlider(duration) {
+        if (duration <= 2) {
+          // Map 0-2 seconds back to 0-80
+          return (duration / 2) * 80;
+        } else {
+          // Map 2-15 seconds back to 80-100
+          return 80 + ((duration - 2) / 13) * 20;
+        }
+      }
+      
+      // Function to snap duration to appropriate increment based on range
+      function snapDuration(duration) {
+        if (duration <= 2) {
+          // Snap to 0.01 increments for small scale
+          return Math.round(duration * 100) / 100;
+        } else {
+          // Snap to 0.1 increments for large scale
+          return Math.round(duration * 10) / 10;
+        }
+      }
+      
+      // Set initial slider value to correspond to 1 second
+      const initialSliderValue = durationToSlider(1.0);
+      firingDurationSlider.value = initialSliderValue;
+      firingDuration = 1.0;
+      firingDurationValue.textContent = firingDuration.toFixed(2);
+      
+      firingDurationSlider.addEventListener('input', (e) => {
+        let duration = sliderToDuration(e.target.value);
+        // Snap to appropriate increment
+        duration = snapDuration(duration);
+        // Update slider position to reflect snapped value
+        firingDurationSlider.value = durationToSlider(duration);
+        firingDuration = duration;
+        firingDurationValue.textContent = duration.toFixed(2);
+      });
+    }
+    
+    // Torque slider event listener
+    if (torqueSlider && torqueValue) {
+      torqueSlider.addEventListener('input', (e) => {
+        torquePercentage = parseInt(e.target.value);
+        torqueValue.textContent = torquePercentage;
+      });
+    }
+    
+    // Flight recorder controls
+    const recordButton = document.getElementById('record-button');
+    const loadReplayButton = document.getElementById('load-replay-button');
+    const replayFileInput = document.getElementById('replay-file');
+    const replayScrub = document.getElementById('replay-scrub');
+    const exitReplayButton = document.getElementById('exit-replay-button');
+    
+    if (recordButton) {
+      recordButton.addEventListener('click', () => {
+        if (recorder) {
+          stopRecording();
+        } else {
+          startRecording();
+        }
+        recordButton.blur(); // Keep Space from clicking it again
+      });
+    }
+    
+    if (loadReplayButton && replayFileInput) {
+      loadReplayButton.addEventListener('click', () => replayFileInput.click());
+      replayFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+          try {
+            startReplay(JSON.parse(event.target.result));
+          } catch (error) {
+            console.error('Error loading replay:', error);
+            alert(`Could not play the replay: ${error.message}`);
+          }
+        };
+        reader.readAsText(file);
+        replayFileInput.value = '';
+      });
+    }
+    
+    if (replayScrub) {
+      replayScrub.addEventListener('input', (e) => {
+        if (replayPlayer) seekReplay(parseInt(e.target.value));
+      });
+    }
+    
+    if (exitReplayButton) {
+      exitReplayButton.addEventListener('click', () => {
+        exitReplay();
+        exitReplayButton.blur();
+      });
+    }
+    
+    // Collision report
+    const collisionReportButton = document.getElementById('collision-report-button');
+    if (collisionReportButton) {
+      collisionReportButton.addEventListener('click', () => {
+        if (simulator) downloadJSON(simulator.getCollisionReport(), 'collision-report.json');
+        collisionReportButton.blur();
+      });
+    }
+    
+    // Fault injection panel
+    const faultTarget = document.getElementById('fault-target');
+    const faultType = document.getElementById('fault-type');
+    const injectFaultButton = document.getElementById('inject-fault-button');
+    const clearFaultsButton = document.getElementById('clear-faults-button');
+    
+    if (faultTarget && faultType) {
+      faultTarget.addEventListener('change', updateFaultPanelOptions);
+      faultType.addEventListener('change', updateFaultPanelFields);
+    }
+    
+    if (injectFaultButton) {
+      injectFaultButton.addEventListener('click', () => {
+        const fault = {
+          target: faultTarget.value,
+          index: parseInt(document.getElementById('fault-index').value),
+          type: faultType.value
+        };
+        if (fault.type === 'degraded') fault.factor = parseFloat(document.getElementById('fault-factor').value) / 100;
+        if (fault.type === 'misaligned') fault.angle = parseFloat(document.getElementById('fault-angle').value);
+        try {
+          performAction('injectFault', fault);
+        } catch (error) {
+          alert(`Could not inject the fault: ${error.message}`);
+        }
+        injectFaultButton.blur();
+      });
+    }
+    
+    if (clearFaultsButton) {
+      clearFaultsButton.addEventListener('click', () => {
+        performAction('clearFaults');
+        clearFaultsButton.blur();
+      });
+    }
+    
+      try {
+      // The simulator has set up the thrusters; give them their cones
+      thrusters = simulator.thrusters;
+      keyToThrusterIndices = simulator.keyToThrusterIndices;
+      window.thrusters = thrusters;
+      window.keyToThrusterIndices = keyToThrusterIndices;
+      addThrusterVisuals(thrusters, satMesh, createThrusterVisual);
+      createCrossFeedButtons();
+      
+      // Load hulls from the JSON file; they turn with the station
+      loadConvexHulls(CONVEX_HULLS_PATH, stationGroup, world, bodies => {
+        bodies.forEach(body => fleet.attachToStation(body));
+      });
+      
+      // The scenario's other vehicles load in the background
+      loadAdditionalVehicles(window.uploadedFiles?.initialPosition, config);
+      
+      // Load lamps configuration
+      await lampManager.loadLampsWithConfig(config.lamps);
+      
+      // Load camera configuration
+      camSys.loadCamerasWithConfig(config.cameras);
+      
+      // NEW: Add the docking port collision mesh to the hull system
+      if (window.dockingPortBody && window.dockingPortCollisionMesh) {
+        addExternalHull(window.dockingPortBody, window.dockingPortCollisionMesh);
+      }
+      
+      if (attitudeControl.loaded) console.log('Attitude control system loaded');
+      else console.log('No attitude control systems loaded, using thrusters only');
+      
+      console.log('Simulation initialized successfully');
+      document.getElementById('hull-status').textContent = 'Spacecraft Loaded';
+    } catch (error) {
+      console.error('Error during initialization:', error);
+      document.getElementById('hull-status').textContent = `Error: ${error.message}`;
+    }
+    
+    animate();
+  }
+
+  const clock = new THREE.Clock();
+  
+  // Fixed-step physics: real frame time is banked in an accumulator and spent in
+  // whole PHYSICS_TIMESTEP steps, and rendering interpolates between the last two steps
+  const PHYSICS_TIMESTEP = 1 / 60;
+  const MAX_FRAME_TIME = 0.25; // Longest frame we try to catch up on, so a stall can't snowball
+  const MAX_STEPS_PER_FRAME = 250; // At high warp a slow machine runs slower than the warp instead of freezing
+  let physicsAccumulator = 0;
+  
+  // Advance the simulation by one fixed step of dt seconds
+  function physicsStep(dt) {
+    if (replayPlayer) {
+      replayStep();
+      return;
+    }
+    
+    // Handle timed firing: check if any keys have exceeded their firing duration
+    if (fineControlMode && timedFiringEnabled) {
+      Object.entries(fineControlKeyStartTimes).forEach(([key, startTime]) => {
+        if (simulator.time - startTime >= firingDuration) {
+          // Remove from fineControlKeys to stop firing
+          delete fineControlKeys[key];
+          delete fineControlKeyStartTimes[key];
+        }
+      });
+    }
+    
+    storePreviousState();
+    fleet.setCommand({
+      keys: fineControlMode ? fineControlKeys : keys,
+      torqueFraction: torquePercentage / 100
+    });
+    if (recorder) recorder.recordStep(fleet.command);
+    const state = fleet.step(dt);
+    syncCenterOfMassShift();
+    
+    // Fine control taps fire for a single physics step
+    // When timed firing is enabled, keys are cleared by the duration check logic
+    if (!timedFiringEnabled) {
+      fineControlKeys = {};
+    }
+    
+    if (state.events.docked) {
+      // Docked to a free-flying station, the pilot flies on with the two as one stack
+      if (!state.stack) paused = true;
+      updateUIText('docking-status', 'DOCKED');
+    }
+    
+    showImpacts(state);
+    
+    // Drop out of time warp when something needs the pilot's attention
+    const inProximity = state.docking.distance < PROXIMITY_WARNING_DISTANCE;
+    const faultStarted = state.events.faults.length > 0;
+    if (timeWarp > 1 && (state.events.collision || faultStarted || (inProximity && !wasInProximity))) {
+      setTimeWarp(1, state.events.collision ? 'collision' : faultStarted ? 'fault' : 'proximity');
+      // Forget the time banked at the old warp
+      physicsAccumulator = 0;
+    }
+    wasInProximity = inProximity;
+  }
+  
+  // Start recording the flight from where it is now
+  function startRecording() {
+    if (!fleet || replayPlayer) return;
+    recorder = new FlightRecorder(fleet);
+    recorder.start();
+    updateUIText('record-button', 'Stop Recording & Export');
+    updateUIText('recorder-status', 'RECORDING');
+  }
+  
+  // Stop recording and download the replay file
+  function stopRecording() {
+    if (!recorder) return;
+    const recording = recorder.stop();
+    recorder = null;
+    updateUIText('record-button', 'Start Recording');
+    updateUIText('recorder-status', 'OFF');
+    
+    downloadJSON(recording, 'flight-replay.json');
+    console.log(`Exported replay: ${recording.steps} steps, ${recording.inputs.length} inputs`);
+  }
+  
+  // Watch a recorded flight. The live flight is put aside and comes back when the replay ends.
+  function startReplay(recording) {
+    if (!simulator) return;
+    if (recorder) {
+      alert('Stop the recording before loading a replay');
+      return;
+    }
+    
+    const savedState = fleet.saveState();
+    try {
+      replayPlayer = new FlightPlayer(recording, fleet);
+    } catch (error) {
+      fleet.loadState(savedState);
+      throw error;
+    }
+    if (!liveState) liveState = savedState;
+    
+    const replayScrub = document.getElementById('replay-scrub');
+    if (replayScrub) replayScrub.max = replayPlayer.length;
+    toggleUIVisibility('replay-controls', true);
+    updateUIText('recorder-status', 'REPLAY');
+    
+    paused = true;
+    hideImpactFlash();
+    showReplayState();
+  }
+  
+  // Advance the replay by one recorded step
+  function replayStep() {
+    storePreviousState();
+    const state = replayPlayer.step();
+    showActiveVehicle();
+    syncCenterOfMassShift();
+    if ((state.events.docked && !state.stack) || replayPlayer.finished) paused = true;
+    showImpacts(state);
+    showReplayState();
+  }
+  
+  // Flash new impacts on the HUD, and stop for good once one has ended the run
+  function showImpacts(state) {
+    const flash = document.getElementById('impact-flash');
+    if (!flash) return;
+    
+    if (state.failed) {
+      paused = true;
+      clearTimeout(impactFlashTimer);
+      flash.textContent = 'MISSION FAILED: SPACECRAFT DESTROYED';
+      flash.style.display = 'block';
+      return;
+    }
+    
+    state.events.impacts.forEach(impact => {
+      flash.textContent = `IMPACT: ${impact.body} at ${impact.impactSpeed.toFixed(2)} m/s`;
+      flash.style.display = 'block';
+      clearTimeout(impactFlashTimer);
+      impactFlashTimer = setTimeout(() => flash.style.display = 'none', IMPACT_FLASH_TIME);
+    });
+  }
+  
+  function hideImpactFlash() {
+    clearTimeout(impactFlashTimer);
+    toggleUIVisibility('impact-flash', false);
+  }
+  
+  // Jump to a step of the replay
+  function seekReplay(step) {
+    replayPlayer.seek(step);
+    showActiveVehicle();
+    syncCenterOfMassShift();
+    storePreviousState();
+    hideImpactFlash();
+    showImpacts(fleet.getState());
+    showReplayState();
+  }
+  
+  // Bring the HUD up to date with wherever the replay is
+  function showReplayState() {
+    updateUIText('replay-time', `${replayPlayer.getTime().toFixed(1)} / ${replayPlayer.getDuration().toFixed(1)}`);
+    const replayScrub = document.getElementById('replay-scrub');
+    if (replayScrub) replayScrub.value = replayPlayer.position;
+    updateUIText('docking-status', simulator.docked ? 'DOCKED' : 'NOT DOCKED');
+    updateControlModeUI(simulator.attitudeControl.mode);
+  }
+  
+  // Leave the replay and go back to the live flight
+  function exitReplay() {
+    if (!replayPlayer) return;
+    replayPlayer = null;
+    fleet.loadState(liveState);
+    fleet.setCommand({});
+    liveState = null;
+    showActiveVehicle();
+    syncCenterOfMassShift();
+    storePreviousState();
+    hideImpactFlash();
+    showImpacts(fleet.getState());
+    
+    toggleUIVisibility('replay-controls', false);
+    updateUIText('recorder-status', 'OFF');
+    updateUIText('docking-status', simulator.docked ? 'DOCKED' : 'NOT DOCKED');
+    updateControlModeUI(simulator.attitudeControl.mode);
+    paused = true;
+  }
+  
+  function animate(){
+    requestAnimationFrame(animate);
+    
+    const currentTime = performance.now();
+    const frameTime = Math.min(clock.getDelta(), MAX_FRAME_TIME);
+    
+    // DEBUG: Print inertia matrix every 10 seconds
+    if (satBody && currentTime - lastInertiaDebugTime > INERTIA_DEBUG_INTERVAL) {
+      console.log("DEBUG: Inertia Matrix (10s interval):", {
+        x: satBody.inertia.x,
+        y: satBody.inertia.y,
+        z: satBody.inertia.z,
+        tensor: satBody.inertiaTensor ? satBody.inertiaTensor.elements : null,
+        mass: satBody.mass
+      });
+      lastInertiaDebugTime = currentTime;
+    }
+    
+    if (!paused && simulator){
+      physicsAccumulator += frameTime * timeWarp;
+      let steps = 0;
+      while (physicsAccumulator >= PHYSICS_TIMESTEP && !paused) {
+        physicsAccumulator -= PHYSICS_TIMESTEP;
+        physicsStep(PHYSICS_TIMESTEP);
+        if (++steps >= MAX_STEPS_PER_FRAME) {
+          physicsAccumulator = Math.min(physicsAccumulator, PHYSICS_TIMESTEP);
+          break;
+        }
+      }
+    }
+    if (paused) {
+      // Don't carry banked time or fine control taps across a pause
+      physicsAccumulator = 0;
+      if (!timedFiringEnabled) fineControlKeys = {};
+    }
+
+    if (getSpacecraftBody()) {
+      // Draw the spacecraft part way between the last two physics steps
+      updateSpacecraft(paused ? 1 : physicsAccumulator / PHYSICS_TIMESTEP);
+    }
+    if (simulator) {
+      updateStationGroup(paused ? 1 : physicsAccumulator / PHYSICS_TIMESTEP);
+    }
+
+    camSys.update();
+
+    if (lampManager) {
+      lampManager.updateLamps();
+    }
+
+    // Light up the thrusters that fired in the last physics step, on every vehicle
+    fleet.vehicles.forEach(({ simulator: vehicle }) => vehicle.thrusters.forEach(t => {
+      t.material.emissive.setHex(t.active && !paused ? 0xff5500 : 0x000000);
+    }));
+
+    // The target port is green, the others grey
+    (window.dockingPorts || []).forEach((port, i) => {
+      if (port) port.mesh.material.color.setHex(i === simulator.targetPortIndex ? 0x00ff00 : 0x888888);
+    });
+
+    const dockingStatus = simulator.getDockingStatus();
+    updateUIText('dock-distance', dockingStatus.distance.toFixed(3));
+    updateUIText('angular-diff', dockingStatus.angleDiff.toFixed(2));
+    updateUIText('docking-speed', dockingStatus.speed.toFixed(3));
+    updateUIText('docking-angular-speed', dockingStatus.angularSpeed.toFixed(3));
+
+    const fuelStatus = simulator.fuel.getStatus();
+    updateUI({
+      satBody,
+      hudElement: document.getElementById('status-panel'),
+      isPaused: paused,
+      fuelMass: fuelStatus.fuelMass,
+      maxFuelMass: fuelStatus.maxFuelMass,
+      dryMass: fuelStatus.dryMass,
+      payloadMass: fuelStatus.payloadMass,
+      centerOfMassShift: fuelStatus.centerOfMassShift,
+      tanks: fuelStatus.tanks,
+      crossFeeds: fuelStatus.crossFeeds,
+      attitudeControl,
+      faults: simulator.faults.getStatus(),
+      collisions: {
+        damaged: simulator.collisions.damaged,
+        failed: simulator.collisions.failed,
+        impactCount: simulator.collisions.log.length
+      },
+      orbitalDynamics,
+      disturbances: simulator.disturbances ? simulator.disturbances.getStatus() : null,
+      desaturation: simulator.dumping.getStatus(),
+      lampManager,
+      station,
+      satMesh,
+      raycaster,
+      maxDistance,
+      showDistanceInfo,
+      cameraSystem: camSys,
+      fineControlMode,
+      isDocked: simulator.docked,
+      dockingStatus,
+      fleetStatus: fleet.getStatus()
+    });
+    
+    // Update clock display
+    updateClock();
+    
+    renderer.render(scene, camSys.getCamera());
+  }
+
+  // Move and turn the station group about the station's center of mass, part way between the last two physics steps
+  function updateStationGroup(alpha) {
+    const motion = simulator.station;
+    const t = Math.min(alpha, 1);
+    const turn = motion.previousQuaternion.slerp(motion.quaternion, t);
+    const center = motion.centerOfMass;
+    const moved = new THREE.Vector3(motion.previousPosition.x, motion.previousPosition.y, motion.previousPosition.z)
+      .lerp(new THREE.Vector3(motion.position.x, motion.position.y, motion.position.z), t);
+    stationGroup.quaternion.set(turn.x, turn.y, turn.z, turn.w);
+    stationGroup.position.set(center.x, center.y, center.z).add(moved).sub(
+      new THREE.Vector3(center.x, center.y, center.z).applyQuaternion(stationGroup.quaternion)
+    );
+  }
+
+  window.addEventListener('resize', ()=>{
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    camSys.handleResize();
+  });
+
+  // Export current position and orientation to JSON file
+  window.addEventListener('exportPosition', () => {
+    if (!satBody) {
+      console.error('Spacecraft body not available for export');
+      alert('Spacecraft not loaded yet');
+      return;
+    }
+
+    const positionData = {
+      "position": {
+        "x": satBody.position.x,
+        "y": satBody.position.y,
+        "z": satBody.position.z
+      },
+      "velocity": {
+        "x": satBody.velocity.x,
+        "y": satBody.velocity.y,
+        "z": satBody.velocity.z
+      },
+      "Angular Velocity": {
+        "x": satBody.angularVelocity.x,
+        "y": satBody.angularVelocity.y,
+        "z": satBody.angularVelocity.z
+      },
+      "quaternion": {
+        "x": satBody.quaternion.x,
+        "y": satBody.quaternion.y,
+        "z": satBody.quaternion.z,
+        "w": satBody.quaternion.w
+      },
+    };
+
+    downloadJSON(positionData, 'currentposdata.json');
+    
+    console.log('Exported position/orientation:', positionData);
+  });
+
+  // Save data as a JSON file through the browser's downloads
+  function downloadJSON(data, fileName) {
+    const dataStr = JSON.stringify(data, null, 2);
+    const blob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  initializeDefaultSpacecraft();
+}
+
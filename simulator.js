@@ -0,0 +1,1138 @@
+// File: simulator.js
+
+import * as CANNON from 'cannon-es';
+import { createThrusters, updateThrusterLeverArms } from './thrusterSetup.js';
+import { updateThrusterOutput, resetThrusterState } from './thrusterDynamics.js';
+import { AttitudeControlSystem } from './attitudeControl.js';
+import { OrbitalDynamics } from './orbitalDynamics.js';
+import { DisturbanceTorques } from './disturbances.js';
+import { MomentumDumping } from './momentumDumping.js';
+import { FuelSystem } from './fuelSystem.js';
+import { FaultManager } from './faultManager.js';
+import { CollisionMonitor } from './collisionMonitor.js';
+import { StationMotion } from './stationMotion.js';
+import { DockingMechanism, parseDockingPort, parseDockingInterface, interfaceForPose, dockedPose } from './dockingMechanism.js';
+import { getAngularMomentum } from './massProperties.js';
+import { vec3ToObject } from './configValues.js';
+
+// Docking limits
+const MAX_ANGULAR_SPEED = 1.0; // deg/s
+const MAX_XZ_SPEED = 0.1; // m/s
+const MAX_Z_SPEED = 1.0; // m/s
+
+// Where a spacecraft starts with no scenario file: docked to the default docking port
+const DEFAULT_POSITION = new CANNON.Vec3(0, -3, 5.5);
+const DEFAULT_ORIENTATION = new CANNON.Quaternion().setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+
+// Control keys, named after the keyboard keys that drive them in the browser
+export const CONTROL_KEYS = ['w', 's', 'a', 'd', 'q', 'e', 'i', 'k', 'j', 'l', 'u', 'o'];
+const TRANSLATION_KEYS = ['w', 's', 'a', 'd', 'q', 'e'];
+
+// One-off inputs given between steps, by method name (see perform())
+export const SIMULATOR_ACTIONS = ['undock', 'toggleAttitudeMode', 'desaturate', 'stop', 'reset', 'injectFault', 'clearFaults', 'toggleCrossFeed', 'cycleDockingPort', 'cycleSteeringLaw'];
+
+/**
+ * Normalizes a config (uploaded file, config.json or editor export) to the unified format.
+ * @param {object} config - The raw configuration.
+ * @returns {object} The configuration with every section present.
+ */
+export function normalizeConfiguration(config) {
+  const normalized = {
+    spacecraftProperties: config.spacecraftProperties || { dryMass: 5, fuelMass: 5, maxFuelMass: 5, inertia: { x: 3, y: 3, z: 3 } },
+    cameras: Array.isArray(config.cameras) ? config.cameras : (config.cameras?.cameras || []),
+    cmg: Array.isArray(config.cmg)
+      ? { cmgs: config.cmg }
+      : { ...config.cmg, cmgs: config.cmg?.cmgs || [] }, // Keeps cluster settings such as steeringLaw
+    lamps: { lamps: Array.isArray(config.lamps) ? config.lamps : (config.lamps?.lamps || []) },
+    reactionwheels: Array.isArray(config.reactionwheels)
+      ? { wheels: config.reactionwheels }
+      : { ...config.reactionwheels, wheels: config.reactionwheels?.wheels || [] }, // Keeps array settings such as nullSpaceGain
+    thrusters: { thrusters: Array.isArray(config.thrusters) ? config.thrusters : (config.thrusters?.thrusters || []) }
+  };
+
+  // Handle CMG format: if config.cmg has a 'cmg' property (single CMG object), convert to cmgs array
+  if (config.cmg && config.cmg.cmg) {
+    const { cmg, ...settings } = config.cmg;
+    normalized.cmg = { ...settings, cmgs: [cmg] };
+  }
+
+  // Preserve model data if present (for editor compatibility)
+  if (config.model) {
+    normalized.model = config.model;
+  }
+
+  // Preserve orbit settings if present (enables CW relative motion)
+  if (config.orbit) {
+    normalized.orbit = config.orbit;
+  }
+
+  // Preserve disturbance torque settings if present
+  if (config.disturbances) {
+    normalized.disturbances = config.disturbances;
+  }
+
+  // Preserve momentum dumping settings if present
+  if (config.desaturation) {
+    normalized.desaturation = config.desaturation;
+  }
+
+  // Preserve collision damage limits if present
+  if (config.collisionLimits) {
+    normalized.collisionLimits = config.collisionLimits;
+  }
+
+  // Preserve docking mechanism settings if present
+  if (config.dockingMechanism) {
+    normalized.dockingMechanism = config.dockingMechanism;
+  }
+
+  return normalized;
+}
+
+/**
+ * The simulation core: the spacecraft body, thrusters, attitude control, fuel and
+ * docking logic, with no renderer, DOM or keyboard. The browser app drives one of
+ * these, and so can a Node script:
+ *
+ *   const sim = new Simulator(normalizeConfiguration(config));
+ *   sim.undock();
+ *   sim.setCommand({ keys: { s: true } });
+ *   for (let i = 0; i < 600; i++) sim.step();
+ *   console.log(sim.getState());
+ *
+ * Options:
+ * {
+ *   "scenario": { position, orientation, startDocked, dockingPorts (or dockingPort), dockingBoxSize, dockingAngleThreshold, dockingMechanism, station, orbit, disturbances, desaturation, faults, collisionLimits },
+ *   "collisionBox": { halfExtents: {x, y, z}, center: {x, y, z}, hulls }, // from the model; hulls are its convex pieces, if it was decomposed
+ *   "world": CANNON.World, // share a world with other bodies (station, docking port)
+ *   "station": StationMotion, // share the station with other spacecraft in the same world
+ *   "timestep": 1/60
+ * }
+ */
+export class Simulator {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.timestep = options.timestep || 1 / 60;
+    this.time = 0; // Simulated seconds; only step() advances it
+
+    if (options.world) {
+      this.world = options.world;
+    } else {
+      this.world = new CANNON.World();
+      this.world.gravity.set(0, 0, 0);
+      this.world.broadphase = new CANNON.NaiveBroadphase();
+      this.world.solver.iterations = 10;
+    }
+
+    // Start pose and docking limits, from the scenario (initial position) file if there is one
+    const scenario = options.scenario || {};
+    this.scenario = options.scenario || null;
+    this.collisionBox = options.collisionBox || null;
+    this.initialPosition = scenario.position
+      ? new CANNON.Vec3(scenario.position.x, scenario.position.y, scenario.position.z)
+      : DEFAULT_POSITION.clone();
+    this.initialOrientation = new CANNON.Quaternion();
+    if (scenario.orientation) {
+      this.initialOrientation.set(scenario.orientation.x, scenario.orientation.y, scenario.orientation.z, scenario.orientation.w);
+    } else {
+      this.initialOrientation.copy(DEFAULT_ORIENTATION);
+    }
+    this.dockingBoxSize = scenario.dockingBoxSize !== undefined ? scenario.dockingBoxSize : 0.1;
+    this.dockingAngleThreshold = scenario.dockingAngleThreshold !== undefined ? scenario.dockingAngleThreshold : 3;
+
+    // Orbit settings: the scenario file takes precedence over the spacecraft config
+    const orbitConfig = scenario.orbit || config.orbit;
+    this.orbitalDynamics = orbitConfig ? new OrbitalDynamics(orbitConfig) : null;
+
+    // Disturbance torques, likewise
+    const disturbanceConfig = scenario.disturbances || config.disturbances;
+    this.disturbances = disturbanceConfig ? new DisturbanceTorques(disturbanceConfig, this.orbitalDynamics) : null;
+
+    // Unloading the wheels or CMGs with the thrusters, likewise
+    this.dumping = new MomentumDumping(scenario.desaturation || config.desaturation);
+
+    const properties = config.spacecraftProperties || {};
+    this.body = createSpacecraftBody(properties, options.collisionBox);
+    this.world.addBody(this.body);
+
+    // The station's spin, if the scenario gives it one. Its hulls and ports are attached to it
+    // (see attachToStation()), and the docking ports' poses are where they are at the start.
+    this.station = options.station || new StationMotion(scenario.station);
+    // Spacecraft start docked to the first port unless the scenario has them start free
+    this.startDocked = scenario.startDocked !== false;
+
+    // The station's docking ports: a list, or the one port of older scenario files. Each
+    // has its own limits and mechanism, defaulting to the scenario's. The first is home.
+    const portConfigs = Array.isArray(scenario.dockingPorts) && scenario.dockingPorts.length > 0
+      ? scenario.dockingPorts
+      : [{ name: 'Docking Port', ...scenario.dockingPort }];
+    const mechanismConfig = scenario.dockingMechanism || config.dockingMechanism || {};
+    this.dockingPorts = portConfigs.map((portConfig, i) => {
+      const pose = parseDockingPort(portConfig);
+      const boxSize = portConfig.dockingBoxSize !== undefined ? portConfig.dockingBoxSize : this.dockingBoxSize;
+      const angleThreshold = portConfig.dockingAngleThreshold !== undefined ? portConfig.dockingAngleThreshold : this.dockingAngleThreshold;
+      return {
+        name: portConfig.name || `Port ${i + 1}`,
+        model: portConfig.model || null, // STL for the browser to load
+        pose,
+        dockingBoxSize: boxSize,
+        dockingAngleThreshold: angleThreshold,
+        // Capture, soft docking and latching along the port's axis; the capture envelope defaults to the docking limits
+        mechanism: new DockingMechanism(portConfig.dockingMechanism || mechanismConfig, {
+          captureDistance: boxSize,
+          captureRadius: boxSize,
+          captureAngle: angleThreshold
+        }, pose.frame.vmult(new CANNON.Vec3(0, 0, -1))),
+        dockedOrientation: null,
+        body: null // Set by setDockingPort()
+      };
+    });
+    this.targetPortIndex = 0;
+    this.hardCaptureJoint = null;
+
+    // The spacecraft docks where its docking interface meets a port. A spacecraft with an
+    // interface starts docked to the first port unless the scenario says otherwise; one
+    // without is given the interface that docks it there in its start pose. A spacecraft
+    // starting free isn't docked in its start pose, so it gets the interface that docks it
+    // to the default port in the default start pose.
+    this.dockingInterface = parseDockingInterface(properties.dockingInterface, this.body.centerOfMassOffset);
+    if (!this.dockingInterface) {
+      this.dockingInterface = this.startDocked
+        ? interfaceForPose(this.dockingPorts[0].pose, this.initialPosition, this.initialOrientation)
+        : interfaceForPose(parseDockingPort(), DEFAULT_POSITION, DEFAULT_ORIENTATION);
+    }
+    this.dockingPorts.forEach(port => port.dockedOrientation = dockedPose(port.pose, this.dockingInterface).orientation);
+    const docked = dockedPose(this.dockingPorts[0].pose, this.dockingInterface);
+    if (properties.dockingInterface) {
+      if (!scenario.orientation) this.initialOrientation.copy(docked.orientation);
+      if (!scenario.position) this.initialPosition.copy(docked.position);
+    }
+    this.fuel = new FuelSystem(this.body, properties, this.body.centerOfMassOffset);
+    this.appliedCenterOfMassShift = new CANNON.Vec3(0, 0, 0);
+    // Docked to a free-flying station, the spacecraft flies the two as one stack. This is
+    // the station's pose in the body frame then, its CG measured from the configured CG.
+    this.stack = null;
+
+    this.keyToThrusterIndices = Object.fromEntries(CONTROL_KEYS.map(k => [k, []]));
+    this.thrusters = createThrusters(config.thrusters || { thrusters: [] }, CANNON, this.keyToThrusterIndices, this.body.centerOfMassOffset);
+    this.commandedThrusters = new Set(); // Indices of the thrusters commanded on this step
+
+    // Connect each thruster to its feed tank
+    this.thrusters.forEach(t => {
+      t.tankIndex = t.tank ? this.fuel.getTankIndex(t.tank) : null;
+      if (t.tank && t.tankIndex === null && this.fuel.tanks.length > 0) {
+        console.warn(`${t.name} is fed from "${t.tank}", which isn't one of the tanks; it will draw from all of them`);
+      }
+    });
+
+    this.attitudeControl = new AttitudeControlSystem(this.body, null);
+    this.attitudeControl.setCenterOfMassOffset(this.body.centerOfMassOffset);
+    this.attitudeControl.initializeWithConfigs(config.reactionwheels, config.cmg);
+
+    // Hardware faults, some maybe scheduled by the scenario
+    this.faults = new FaultManager(this.thrusters, this.attitudeControl, scenario.faults || []);
+
+    this.command = { keys: {}, torqueFraction: 0.5, thrusters: [] };
+
+    // Impacts are logged and rated against the scenario's damage limits
+    this.collisions = new CollisionMonitor(this.body, this.world, scenario.collisionLimits || config.collisionLimits || {});
+
+    this.reset();
+  }
+
+  /**
+   * Sets the controls held from now on.
+   * @param {object} command - { keys: { w: true, ... }, torqueFraction: 0..1, thrusters: [indices] }.
+   *   keys are the CONTROL_KEYS (translation WASDQE, rotation IJKLUO); torqueFraction is the share
+   *   of reaction wheel or CMG torque used for rotation; thrusters are fired directly by index.
+   */
+  setCommand(command) {
+    this.command = {
+      keys: command.keys || {},
+      torqueFraction: command.torqueFraction !== undefined ? command.torqueFraction : 0.5,
+      thrusters: command.thrusters || []
+    };
+  }
+
+  // Whether the spacecraft flies under its own power: undocked, or docked to a free-flying station and flying the stack
+  get flying() {
+    return !this.docked || this.stack !== null;
+  }
+
+  /**
+   * Advances the simulation by one physics step. While docked (hard captured) only the
+   * station turns, carrying the spacecraft with it, unless the spacecraft is flying the
+   * two as a stack; once an impact has ended the run nothing moves.
+   * @param {number} [dt] - Step size in seconds, defaults to the fixed timestep.
+   * @returns {object} The state after the step (see getState()).
+   */
+  step(dt = this.timestep) {
+    if (this.collisions.failed) return this.getState();
+    if (!this.flying) {
+      this.station.step(dt);
+      return this.getState();
+    }
+
+    const faultsStarted = this.beginStep(dt);
+    this.world.step(dt);
+    this.station.step(dt);
+    return this.endStep(dt, faultsStarted);
+  }
+
+  /**
+   * The part of a step before the world is stepped: the spacecraft's own forces and torques.
+   * step() runs it; a Fleet runs it for each of its flying vehicles, then steps their shared world once.
+   * @param {number} dt - The step size.
+   * @returns {Array<object>} The faults that started, for endStep().
+   */
+  beginStep(dt) {
+    const faultsStarted = this.faults.update(this.time);
+    this.commandedThrusters.clear();
+    this.applyCommand(dt);
+    this.attitudeControl.applyWheelFriction(dt);
+    this.updateThrusters(dt);
+    this.syncCenterOfMassShift();
+
+    // Differential gravity and Coriolis accelerations relative to the station
+    if (this.orbitalDynamics) {
+      this.orbitalDynamics.applyTo(this.body);
+    }
+
+    // Gravity gradient, solar pressure and drag
+    if (this.disturbances) {
+      this.disturbances.applyTo(this.body, dt);
+    }
+
+    // Torque-free coupling between axes (Euler's equations), missing from Cannon's integrator,
+    // with the momentum held in the wheels and CMGs
+    this.attitudeControl.applyGyroscopicCoupling(dt);
+
+    // Soft-capture springs and dampers, once the capture ring has caught the spacecraft. They
+    // push a free-flying station back as hard as they pull the spacecraft, or the spacecraft
+    // flying it if it is part of a stack.
+    const error = this.getDockingError();
+    const load = this.targetPort.mechanism.applyTo(this.body, error);
+    if (load && this.station.freeFlying) {
+      const point = this.body.position.vadd(error.point);
+      const carrier = this.station.carrier;
+      if (carrier) {
+        carrier.applyForce(load.force.negate(), point.vsub(carrier.position));
+        carrier.applyTorque(load.torque.negate());
+      } else {
+        this.station.applyImpulse(load.force.scale(-dt), point);
+        this.station.applyAngularImpulse(load.torque.scale(-dt));
+      }
+    }
+
+    this.collisions.beginStep();
+    return faultsStarted;
+  }
+
+  /**
+   * The part of a step after the world (and the station) have been stepped: impacts and docking.
+   * @param {number} dt - The step size.
+   * @param {Array<object>} faultsStarted - From beginStep().
+   * @returns {object} The state after the step (see getState()).
+   */
+  endStep(dt, faultsStarted) {
+    this.time += dt;
+    if (this.stack) this.carryStation();
+    const impacts = this.collisions.endStep(dt, this.time);
+    if (this.station.freeFlying) this.pushStation(dt);
+
+    const dockingEvent = this.updateDocking(dt);
+    return this.getState({
+      docked: dockingEvent === 'latched',
+      captured: dockingEvent === 'captured',
+      released: dockingEvent === 'released',
+      collision: impacts.length > 0,
+      impacts,
+      faults: faultsStarted
+    });
+  }
+
+  // Apply the held command for one physics step
+  applyCommand(dt) {
+    const { keys, torqueFraction } = this.command;
+    const attitudeControl = this.attitudeControl;
+
+    if (attitudeControl.loaded && attitudeControl.mode !== 'thrusters') {
+      const torque = new CANNON.Vec3(0, 0, 0);
+      const isCMGMode = attitudeControl.mode === 'cmgs';
+
+      // Get max torque from the active attitude control system
+      let maxTorque = 0.5; // Default fallback
+      if (isCMGMode && attitudeControl.cmgs.length > 0) {
+        // Use average max torque from all CMGs
+        maxTorque = attitudeControl.cmgs.reduce((sum, cmg) => sum + cmg.maxTorque, 0) / attitudeControl.cmgs.length;
+      } else if (!isCMGMode && attitudeControl.reactionWheels.length > 0) {
+        // Use average max torque from all reaction wheels
+        maxTorque = attitudeControl.reactionWheels.reduce((sum, wheel) => sum + wheel.maxTorque, 0) / attitudeControl.reactionWheels.length;
+      }
+
+      const torquePerAxis = maxTorque * torqueFraction;
+
+      // Swap I and K for CMGs
+      if (isCMGMode ? keys['k'] : keys['i']) torque.x += torquePerAxis;
+      if (isCMGMode ? keys['i'] : keys['k']) torque.x -= torquePerAxis;
+      // Swap J and L for CMGs
+      if (isCMGMode ? keys['j'] : keys['l']) torque.y += torquePerAxis;
+      if (isCMGMode ? keys['l'] : keys['j']) torque.y -= torquePerAxis;
+      // Swap U and O for CMGs
+      if (isCMGMode ? keys['o'] : keys['u']) torque.z += torquePerAxis;
+      if (isCMGMode ? keys['u'] : keys['o']) torque.z -= torquePerAxis;
+
+      // While dumping momentum, the thrusters fire against the stored momentum and the wheels or
+      // CMGs also take up the torque they give, so the spacecraft holds its attitude as it runs down
+      const dumping = this.dumping.active;
+      const pilotTorque = torque.clone();
+      const storedBefore = dumping ? this.getDumpedMomentum() : null;
+      if (dumping) {
+        this.planMomentumDump(dt);
+        const unabsorbed = this.dumping.getUnabsorbedTorque(dt);
+        if (isCMGMode) torque.vsub(unabsorbed, torque);
+        else torque.vadd(unabsorbed, torque);
+      }
+
+      // With nothing commanded, redundant wheels keep evening out their momentum and CMG gimbals stop
+      attitudeControl.applyControlTorque(torque, dt);
+
+      if (dumping) {
+        // What they took up beyond the pilot's torque, which can be less than all of it
+        const momentumRate = this.getDumpedMomentum().vsub(storedBefore).scale(1 / dt);
+        this.dumping.recordAbsorbed(isCMGMode ? momentumRate.vadd(pilotTorque) : momentumRate.vsub(pilotTorque), dt);
+      }
+    } else {
+      // Nothing to hold the attitude with
+      if (this.dumping.active) this.dumping.stop();
+      Object.entries(this.keyToThrusterIndices).forEach(([key, indices]) => {
+        if (keys[key] && !TRANSLATION_KEYS.includes(key)) {
+          indices.forEach(i => this.commandThruster(this.thrusters[i]));
+        }
+      });
+    }
+
+    Object.entries(this.keyToThrusterIndices).forEach(([key, indices]) => {
+      if (keys[key] && TRANSLATION_KEYS.includes(key)) {
+        indices.forEach(i => this.commandThruster(this.thrusters[i]));
+      }
+    });
+
+    this.command.thrusters.forEach(i => this.commandThruster(this.thrusters[i]));
+  }
+
+  // Fire the thrusters the momentum dump wants this step
+  planMomentumDump(dt) {
+    const usable = t => !t.failedOff && t.thrust > 0 && t.isp > 0 && this.fuel.getAvailableFuel(t.tankIndex) > 0;
+    const thrusters = this.thrusters.filter(usable).map(t => ({
+      index: t.index,
+      leverArm: t.pos,
+      force: t.dir.scale(this.getThrusterPerformance(t).thrust)
+    }));
+    this.dumping.plan(this.getDumpedMomentum(), thrusters, this.body.mass, dt)
+      .forEach(i => this.commandThruster(this.thrusters[i]));
+  }
+
+  // The momentum a dump unloads: the reaction wheels', or the CMGs' in CMG mode
+  getDumpedMomentum() {
+    const attitudeControl = this.attitudeControl;
+    return attitudeControl.mode === 'cmgs' ? attitudeControl.getCMGMomentum() : attitudeControl.getWheelMomentum();
+  }
+
+  // Command one thruster on for this step
+  commandThruster(t) {
+    if (!t) return;
+    if (!t.thrust || !t.isp || t.isp <= 0 || isNaN(t.thrust) || isNaN(t.isp)) {
+      console.error("Thruster has invalid properties, skipping.", t);
+      return;
+    }
+    this.commandedThrusters.add(t.index);
+  }
+
+  // Run every thruster's valve and thrust profile for dt seconds, applying the
+  // impulse it gives and burning the matching propellant. A thruster can still be
+  // pushing after its command ends, while its valve closes and the thrust tails off.
+  updateThrusters(dt) {
+    this.thrusters.forEach(t => {
+      const commanded = (this.commandedThrusters.has(t.index) || t.stuckOn) && !t.failedOff;
+      const onTime = updateThrusterOutput(t, commanded, this.time, dt);
+      if (onTime <= 0) return;
+      if (this.fuel.getAvailableFuel(t.tankIndex) <= 0) {
+        t.active = false;
+        return;
+      }
+
+      const { thrust, isp } = this.getThrusterPerformance(t);
+
+      // Average force over the step, so the impulse matches the thrust profile
+      const forceLocal = t.dir.scale(thrust * onTime / dt);
+      this.body.applyLocalForce(forceLocal, t.pos);
+      const fuelConsumptionRate = thrust / (isp * 9.81);
+      this.fuel.consume(fuelConsumptionRate * onTime, t.tankIndex);
+      if (this.dumping.owns(t.index)) this.dumping.recordPulse(forceLocal.scale(dt), t.pos, fuelConsumptionRate * onTime);
+    });
+  }
+
+  /**
+   * A thruster's thrust and Isp right now. They are the configured ones unless it is
+   * fed from a cold-gas tank, where thrust follows the feed pressure and Isp the gas temperature.
+   * @param {object} t - The thruster.
+   * @returns {object} { thrust, isp }.
+   */
+  getThrusterPerformance(t) {
+    const feed = this.fuel.getFeedConditions(t.tankIndex);
+    if (!feed) return { thrust: t.thrust, isp: t.isp };
+    return {
+      thrust: t.thrust * feed.feedPressure / (t.nominalPressure || feed.nominalFeedPressure),
+      isp: t.isp * Math.sqrt(feed.temperature / feed.nominalTemperature)
+    };
+  }
+
+  // Follow the CG as propellant drains: thruster lever arms are measured from it.
+  // The fuel system has already moved the body origin.
+  syncCenterOfMassShift() {
+    const shift = this.fuel.centerOfMassShift;
+    if (shift.almostEquals(this.appliedCenterOfMassShift, 1e-9)) return;
+    this.appliedCenterOfMassShift.copy(shift);
+    updateThrusterLeverArms(this.thrusters, this.getCenterOfMassOffset());
+  }
+
+  // The current center of mass in config coordinates: the configured one plus the propellant shift
+  getCenterOfMassOffset() {
+    const base = this.body.centerOfMassOffset;
+    const shift = this.fuel.centerOfMassShift;
+    return {
+      x: (base.x || 0) + shift.x,
+      y: (base.y || 0) + shift.y,
+      z: (base.z || 0) + shift.z
+    };
+  }
+
+  // Runs the target port's docking mechanism. Returns what it did this step:
+  // 'captured', 'released' or 'latched' (docked), or null.
+  updateDocking(dt) {
+    const status = this.getDockingStatus();
+    if (!status.inBox) this.hasLeftDockingBoxOnce = true;
+
+    const canCapture = this.canDock && this.hasLeftDockingBoxOnce;
+    const event = this.targetPort.mechanism.update(this.getDockingError(), dt, canCapture);
+    if (event === 'latched') {
+      this.docked = true;
+      this.joinStation();
+    }
+    if (event) this.syncDockingMechanism();
+
+    if (!this.canDock && !status.inBox && this.hasLeftDockingBoxOnce) {
+      this.canDock = true;
+    }
+    return event;
+  }
+
+  // Rigidly joined to the port. A free-flying station nobody is flying yet joins the spacecraft
+  // as one stack; otherwise the spacecraft is carried along with the station from now on.
+  joinStation() {
+    if (this.station.freeFlying && !this.station.carrier) {
+      this.joinStack();
+    } else {
+      this.station.hold(this.body);
+    }
+  }
+
+  // Takes the station on as part of the spacecraft. The stack moves off with the momentum
+  // the two had between them, about their common CG.
+  joinStack() {
+    const body = this.body;
+    const station = this.station;
+    const stationCenter = station.getCenterOfMass();
+    const mass = body.mass + station.mass;
+    const center = body.position.scale(body.mass).vadd(stationCenter.scale(station.mass)).scale(1 / mass);
+    const velocity = body.velocity.scale(body.mass).vadd(station.velocity.scale(station.mass)).scale(1 / mass);
+    const angularMomentum = getAngularMomentum(body).vadd(station.getAngularMomentum());
+    [[body.mass, body.position, body.velocity], [station.mass, stationCenter, station.velocity]].forEach(([m, position, v]) => {
+      angularMomentum.vadd(position.vsub(center).cross(v.vsub(velocity)).scale(m), angularMomentum);
+    });
+
+    const toBody = body.quaternion.conjugate();
+    this.setStack({
+      position: toBody.vmult(stationCenter.vsub(body.position)).vadd(this.fuel.centerOfMassShift),
+      quaternion: toBody.mult(station.quaternion)
+    });
+
+    // The body origin is on the stack's CG now
+    body.velocity.copy(velocity);
+    body.invInertiaWorld.vmult(angularMomentum, body.angularVelocity);
+    this.carryStation();
+  }
+
+  // Lets the station go from the stack, moving as it was as part of it
+  leaveStack() {
+    this.carryStation();
+    this.setStack(null);
+  }
+
+  // Starts or stops flying the station as part of the spacecraft: while it is, its mass,
+  // CG and inertia count as the spacecraft's, and the thrusters push on the stack's CG
+  setStack(pose) {
+    this.fuel.detachPayload();
+    this.stack = pose;
+    if (pose) {
+      const rotation = new CANNON.Mat3();
+      rotation.setRotationFromQuaternion(pose.quaternion);
+      const inertia = rotation.mmult(this.station.inertia).mmult(rotation.transpose());
+      this.fuel.attachPayload({ mass: this.station.mass, position: pose.position, inertia });
+      this.station.setCarrier(this.body);
+    } else if (this.station.carrier === this.body) {
+      this.station.setCarrier(null);
+    }
+    this.syncCenterOfMassShift();
+  }
+
+  // Moves the station to where the stack has taken it
+  carryStation() {
+    const body = this.body;
+    const point = body.quaternion.vmult(this.stack.position.vsub(this.fuel.centerOfMassShift));
+    this.station.follow(
+      body.position.vadd(point),
+      body.quaternion.mult(this.stack.quaternion),
+      body.velocity.vadd(body.angularVelocity.cross(point)),
+      body.angularVelocity
+    );
+  }
+
+  // Cannon can't push the station's hulls and ports, so a free-flying station is given the
+  // impulses the spacecraft put on them during the step; a carried one passes them to its
+  // carrier. A stack bumping its own station is pushing on itself.
+  pushStation(dt) {
+    const carrier = this.station.carrier;
+    if (carrier === this.body) return;
+    this.collisions.getContactImpulses(dt).forEach(({ body, impulse, point }) => {
+      if (!this.station.isAttached(body)) return;
+      if (carrier) {
+        carrier.applyImpulse(impulse, point.vsub(carrier.position));
+      } else {
+        this.station.applyImpulse(impulse, point);
+      }
+    });
+  }
+
+  // The docking springs push the spacecraft off the port as the latches open, and a free-flying station the other way
+  pushOff() {
+    const impulse = this.targetPort.mechanism.separationImpulse;
+    if (impulse <= 0) return;
+    const error = this.getDockingError();
+    const push = error.axis.scale(-impulse);
+    this.body.applyImpulse(push, error.point);
+    this.station.applyImpulse(push.negate(), this.body.position.vadd(error.point));
+  }
+
+  /**
+   * How far the spacecraft's docking interface is from the target port, and how far its
+   * attitude is from the one docked there. Speeds are relative to the port, which turns
+   * with the station.
+   * @returns {object} { offset, point, velocity, angularVelocity, rotation, angle, axis } (see DockingMechanism).
+   */
+  getDockingError() {
+    const body = this.body;
+    const port = this.targetPort;
+    const station = this.station;
+
+    // The interface is fixed to the configured CG point, which the body origin moves away from as propellant drains
+    const point = body.quaternion.vmult(this.dockingInterface.position.vsub(this.appliedCenterOfMassShift));
+    const interfacePosition = body.position.vadd(point);
+    const offset = interfacePosition.vsub(station.pointToWorld(port.pose.position));
+    const velocity = body.velocity.vadd(body.angularVelocity.cross(point)).vsub(station.velocityAt(interfacePosition));
+    const angularVelocity = body.angularVelocity.vsub(station.getWorldAngularVelocity());
+    const axis = station.quaternion.vmult(port.mechanism.axis);
+
+    // Rotation from the docked attitude to the current one, as a rotation vector in world axes
+    const q = body.quaternion.mult(station.quaternion.mult(port.dockedOrientation).conjugate());
+    const sign = q.w < 0 ? -1 : 1;
+    const sinHalfAngle = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z);
+    const angle = 2 * Math.atan2(sinHalfAngle, sign * q.w);
+    const scale = sinHalfAngle > 1e-12 ? sign * angle / sinHalfAngle : 2 * sign;
+    const rotation = new CANNON.Vec3(q.x * scale, q.y * scale, q.z * scale);
+
+    return { offset, point, velocity, angularVelocity, rotation, angle: angle * (180 / Math.PI), axis };
+  }
+
+  // The port the pilot is flying to, and the only one whose mechanism can catch the spacecraft
+  get targetPort() {
+    return this.dockingPorts[this.targetPortIndex];
+  }
+
+  /**
+   * Gives the simulator a docking port's body, for the mechanism to latch onto. The port
+   * is moved into its own collision group, so the spacecraft can stop colliding with it
+   * while its mechanism holds it.
+   * @param {CANNON.Body} body - The port body, in this simulator's world.
+   * @param {number} [index] - Which of the dockingPorts it is.
+   */
+  setDockingPort(body, index = 0) {
+    this.dockingPorts[index].body = body;
+    body.collisionFilterGroup = dockingPortGroup(index);
+    this.station.attach(body);
+    this.syncDockingMechanism();
+  }
+
+  /**
+   * Fixes a body to the station, so it turns with it. Docking ports given to setDockingPort() are attached already.
+   * @param {CANNON.Body} body - A body with no mass, in this simulator's world, placed where it is at the start.
+   */
+  attachToStation(body) {
+    this.station.attach(body);
+  }
+
+  /**
+   * Makes the next docking port the target. The target can't change while a port holds the spacecraft.
+   * @returns {number} The index of the target port.
+   */
+  cycleDockingPort() {
+    if (this.targetPort.mechanism.phase === 'free') {
+      this.targetPortIndex = (this.targetPortIndex + 1) % this.dockingPorts.length;
+    }
+    return this.targetPortIndex;
+  }
+
+  // Match the port contact and the hard-capture joint to the target port's mechanism. The
+  // joint is made afresh, locking the spacecraft where it is now.
+  syncDockingMechanism() {
+    const port = this.targetPort;
+    const phase = port.mechanism.phase;
+
+    // Once captured the mechanism takes the loads, not the port's collision box. The other
+    // ports are still solid.
+    this.body.collisionFilterMask = phase === 'free' ? -1 : ~dockingPortGroup(this.targetPortIndex);
+
+    if (this.hardCaptureJoint) {
+      this.world.removeConstraint(this.hardCaptureJoint);
+      this.hardCaptureJoint = null;
+    }
+    // A stack carries the port along with the spacecraft, so there's nothing to lock them together
+    if (phase === 'hardCapture' && port.body && !this.stack) {
+      this.hardCaptureJoint = new CANNON.LockConstraint(this.body, port.body);
+      this.world.addConstraint(this.hardCaptureJoint);
+    }
+  }
+
+  // Alignment of the spacecraft's docking interface with the target port, in station axes
+  getDockingStatus() {
+    const body = this.body;
+    const port = this.targetPort;
+    const station = this.station;
+    const error = this.getDockingError();
+    const positionDiff = station.vectorToStation(error.offset);
+
+    const distance = positionDiff.length();
+    const inBox = Math.abs(positionDiff.x) <= port.dockingBoxSize &&
+                  Math.abs(positionDiff.y) <= port.dockingBoxSize &&
+                  Math.abs(positionDiff.z) <= port.dockingBoxSize;
+
+    const angleDiff = error.angle;
+    const inAngle = angleDiff <= port.dockingAngleThreshold;
+
+    // The spacecraft's motion relative to the station around it
+    const velocity = station.vectorToStation(body.velocity.vsub(station.velocityAt(body.position)));
+    const speed = velocity.length();
+    const xzSpeed = Math.sqrt(velocity.x**2 + velocity.z**2);
+    const zSpeed = velocity.z;
+    const withinSpeedLimits = xzSpeed <= MAX_XZ_SPEED && zSpeed <= MAX_Z_SPEED;
+
+    const angularSpeed = error.angularVelocity.length() * (180 / Math.PI);
+    const withinAngularSpeedLimit = angularSpeed <= MAX_ANGULAR_SPEED;
+
+    return {
+      inBox, inAngle, withinSpeedLimits, withinAngularSpeedLimit, angleDiff, distance, speed, angularSpeed,
+      stack: this.stack !== null,
+      port: port.name,
+      portIndex: this.targetPortIndex,
+      ...port.mechanism.getStatus()
+    };
+  }
+
+  // Open the latches, leave the docking port and start the mission clock. The docking
+  // springs push the spacecraft off, if the mechanism has a separation impulse.
+  undock() {
+    if (!this.docked) return;
+    this.docked = false;
+    this.hasLeftDockingBoxOnce = true;
+    this.canDock = false;
+    this.undockTime = this.time;
+    this.targetPort.mechanism.release();
+    this.syncDockingMechanism();
+    if (this.stack) {
+      // The two part with the stack's motion
+      this.leaveStack();
+    } else {
+      // It leaves with the station's motion at the port
+      this.station.letGo(this.body);
+    }
+    // Free to turn from the attitude it was held in
+    this.body.updateInertiaWorld(true);
+    this.pushOff();
+  }
+
+  // Seconds since undocking, held while docked
+  getMissionTime() {
+    return this.undockTime === null ? 0 : this.time - this.undockTime;
+  }
+
+  toggleAttitudeMode() {
+    // A dump is for the wheels or CMGs it started on
+    if (this.dumping.active) this.dumping.stop();
+    return this.attitudeControl.toggleMode();
+  }
+
+  /**
+   * Starts dumping the momentum in the reaction wheels (or the CMGs, in CMG mode) with the
+   * thrusters, or stops a dump that is going on (see MomentumDumping).
+   * @returns {boolean} Whether a dump is now going on.
+   */
+  desaturate() {
+    if (this.dumping.active) {
+      this.dumping.stop();
+      return false;
+    }
+    if (!this.attitudeControl.loaded || this.attitudeControl.mode === 'thrusters') return false;
+    this.dumping.start(this.getDumpedMomentum());
+    return true;
+  }
+
+  // Kill all linear and angular motion
+  stop() {
+    this.body.velocity.set(0, 0, 0);
+    this.body.angularVelocity.set(0, 0, 0);
+    this.thrusters.forEach(resetThrusterState);
+  }
+
+  /**
+   * Runs one of the SIMULATOR_ACTIONS, so inputs can be passed around (and recorded) by name.
+   * @param {string} action - The action name.
+   * @param {...*} args - Arguments for the action, plain data.
+   * @returns {*} Whatever the action returns.
+   */
+  perform(action, ...args) {
+    if (!SIMULATOR_ACTIONS.includes(action)) {
+      throw new Error(`Unknown simulator action: ${action}`);
+    }
+    return this[action](...args);
+  }
+
+  /**
+   * Breaks a thruster, wheel or CMG now (see FaultManager for the fault format).
+   * @param {object} fault - The fault.
+   * @returns {object} The fault as applied.
+   */
+  injectFault(fault) {
+    return this.faults.inject(fault);
+  }
+
+  // The next steering law for single-gimbal CMGs (see cmgSteering.js)
+  cycleSteeringLaw() {
+    return this.attitudeControl.cycleSteeringLaw();
+  }
+
+  // Repair all hardware
+  clearFaults() {
+    this.faults.clear();
+  }
+
+  /**
+   * Opens or closes a cross-feed valve between propellant tanks.
+   * @param {number} index - The valve's index in spacecraftProperties.crossFeeds.
+   * @returns {boolean} Whether it is open now.
+   */
+  toggleCrossFeed(index) {
+    return this.fuel.toggleCrossFeed(index);
+  }
+
+  /**
+   * Every impact so far, for saving as a collision report (see CollisionMonitor).
+   * @returns {object} { damaged, failed, limits, impacts }.
+   */
+  getCollisionReport() {
+    return this.collisions.getReport();
+  }
+
+  // Back to the start: refuelled, repaired, docked, at rest in the start pose, at sim time 0
+  reset() {
+    // Put down any station it is flying and refuel (and reset the cross-feeds) first: both can
+    // move the CG, and the start position is for the configured CG
+    this.setStack(null);
+    this.fuel.reset();
+    this.syncCenterOfMassShift();
+    this.station.letGo(this.body);
+    // A station another spacecraft is flying is put back when that one is
+    if (!this.station.carrier) this.station.reset();
+
+    this.body.quaternion.copy(this.initialOrientation);
+    this.body.position.copy(this.initialPosition);
+    this.body.position.vadd(this.initialOrientation.vmult(this.appliedCenterOfMassShift), this.body.position);
+    this.body.updateInertiaWorld(true);
+    this.stop();
+
+    this.attitudeControl.mode = 'thrusters';
+    this.attitudeControl.reactionWheels.forEach(wheel => wheel.currentAngularMomentum = 0);
+    this.attitudeControl.cmgs.forEach(cmg => this.attitudeControl.resetCMG(cmg));
+
+    // Scheduled faults count from here
+    this.time = 0;
+    this.faults.reset();
+    if (this.disturbances) this.disturbances.reset();
+    this.dumping.reset();
+    this.collisions.reset();
+
+    this.canDock = false;
+    this.dockingPorts.forEach(port => port.mechanism.release());
+    this.targetPortIndex = 0;
+    if (this.startDocked) {
+      // Docked to the first port
+      this.docked = true;
+      this.hasLeftDockingBoxOnce = false;
+      this.undockTime = null;
+      this.targetPort.mechanism.latch();
+      this.joinStation();
+    } else {
+      // Flying from the start, with the mission clock running
+      this.docked = false;
+      this.hasLeftDockingBoxOnce = true;
+      this.undockTime = 0;
+    }
+    this.syncDockingMechanism();
+  }
+
+  /**
+   * Everything that changes as the simulation runs, as plain data that survives JSON.
+   * loadState() puts it back exactly, so a run can be restarted from any saved point.
+   * @returns {object} The saved state.
+   */
+  saveState() {
+    const body = this.body;
+    return {
+      time: this.time,
+      undockTime: this.undockTime,
+      docked: this.docked,
+      canDock: this.canDock,
+      hasLeftDockingBoxOnce: this.hasLeftDockingBoxOnce,
+      docking: { port: this.targetPortIndex, ...this.targetPort.mechanism.saveState() },
+      station: { ...this.station.saveState(), held: this.station.getHeldPose(this.body) },
+      stack: this.stack
+        ? {
+            position: vec3ToObject(this.stack.position),
+            quaternion: { x: this.stack.quaternion.x, y: this.stack.quaternion.y, z: this.stack.quaternion.z, w: this.stack.quaternion.w }
+          }
+        : null,
+      fuel: this.fuel.saveState(),
+      body: {
+        position: vec3ToObject(body.position),
+        velocity: vec3ToObject(body.velocity),
+        quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
+        angularVelocity: vec3ToObject(body.angularVelocity),
+        // The shapes move as the CG moves, in small steps that don't add up exactly to one big one
+        shapeOffsets: body.shapeOffsets.map(vec3ToObject)
+      },
+      attitude: {
+        mode: this.attitudeControl.mode,
+        reactionWheels: this.attitudeControl.reactionWheels.map(wheel => wheel.currentAngularMomentum),
+        cmgs: this.attitudeControl.cmgs.map(cmg => vec3ToObject(cmg.currentAngularMomentum)),
+        gimbals: this.attitudeControl.cmgs.map(cmg => cmg.gimbalAxis ? { angle: cmg.gimbalAngle, rate: cmg.gimbalRate } : null),
+        steeringLaw: this.attitudeControl.steeringLaw
+      },
+      faults: this.faults.saveState(),
+      disturbances: this.disturbances ? this.disturbances.saveState() : null,
+      desaturation: this.dumping.saveState(),
+      collisions: this.collisions.saveState(),
+      // Valves can be part way through opening or closing
+      thrusters: this.thrusters.map(t => ({
+        commanded: t.commanded,
+        valveOpen: t.valveOpen,
+        openAt: t.openAt,
+        closeAt: t.closeAt,
+        openedAt: t.openedAt,
+        level: t.level
+      }))
+    };
+  }
+
+  /**
+   * Restores a state from saveState(). It must come from a simulator with the same config.
+   * @param {object} state - The saved state.
+   */
+  loadState(state) {
+    // Any stack and the fuel first: they move the CG, and with it the body origin
+    const stack = state.stack;
+    this.setStack(stack
+      ? {
+          position: new CANNON.Vec3(stack.position.x, stack.position.y, stack.position.z),
+          quaternion: new CANNON.Quaternion(stack.quaternion.x, stack.quaternion.y, stack.quaternion.z, stack.quaternion.w)
+        }
+      : null);
+    this.fuel.loadState(state.fuel || { fuelMass: state.fuelMass });
+    this.syncCenterOfMassShift();
+
+    const body = this.body;
+    body.position.copy(state.body.position);
+    body.velocity.copy(state.body.velocity);
+    body.quaternion.copy(state.body.quaternion);
+    body.angularVelocity.copy(state.body.angularVelocity);
+    state.body.shapeOffsets.forEach((offset, i) => body.shapeOffsets[i].copy(offset));
+    body.updateBoundingRadius();
+    body.aabbNeedsUpdate = true;
+    body.updateInertiaWorld(true);
+
+    const attitudeControl = this.attitudeControl;
+    attitudeControl.mode = state.attitude.mode;
+    attitudeControl.steeringLaw = state.attitude.steeringLaw;
+    attitudeControl.reactionWheels.forEach((wheel, i) => wheel.currentAngularMomentum = state.attitude.reactionWheels[i]);
+    attitudeControl.cmgs.forEach((cmg, i) => {
+      cmg.currentAngularMomentum.copy(state.attitude.cmgs[i]);
+      if (cmg.gimbalAxis) ({ angle: cmg.gimbalAngle, rate: cmg.gimbalRate } = state.attitude.gimbals[i]);
+    });
+
+    this.time = state.time;
+    this.undockTime = state.undockTime;
+    this.docked = state.docked;
+    this.canDock = state.canDock;
+    this.hasLeftDockingBoxOnce = state.hasLeftDockingBoxOnce;
+    this.dockingPorts.forEach(port => port.mechanism.release());
+    this.targetPortIndex = state.docking?.port || 0;
+    if (state.docking) {
+      this.targetPort.mechanism.loadState(state.docking);
+    } else if (state.docked) {
+      this.targetPort.mechanism.latch();
+    }
+    this.syncDockingMechanism();
+    this.station.letGo(body);
+    if (state.station) {
+      this.station.loadState(state.station);
+      if (state.station.held) this.station.hold(body, state.station.held);
+    } else {
+      this.station.reset();
+      if (this.docked) this.station.hold(body);
+    }
+    this.thrusters.forEach((t, i) => {
+      resetThrusterState(t);
+      if (state.thrusters) Object.assign(t, state.thrusters[i]);
+    });
+    if (state.faults) {
+      this.faults.loadState(state.faults);
+    } else {
+      this.faults.reset();
+    }
+    if (state.collisions) {
+      this.collisions.loadState(state.collisions);
+    } else {
+      this.collisions.reset();
+    }
+    if (this.disturbances) {
+      if (state.disturbances) {
+        this.disturbances.loadState(state.disturbances);
+      } else {
+        this.disturbances.reset();
+      }
+    }
+    if (state.desaturation) {
+      this.dumping.loadState(state.desaturation);
+    } else {
+      this.dumping.reset();
+    }
+  }
+
+  /**
+   * Snapshot of the simulation as plain objects.
+   * @param {object} [events] - What happened during the last step: { docked, captured, released, collision, impacts, faults }.
+   * @returns {object} The state.
+   */
+  getState(events = { docked: false, captured: false, released: false, collision: false, impacts: [], faults: [] }) {
+    const body = this.body;
+    return {
+      time: this.time,
+      missionTime: this.getMissionTime(),
+      position: { x: body.position.x, y: body.position.y, z: body.position.z },
+      velocity: { x: body.velocity.x, y: body.velocity.y, z: body.velocity.z },
+      quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
+      angularVelocity: { x: body.angularVelocity.x, y: body.angularVelocity.y, z: body.angularVelocity.z },
+      angularMomentum: vec3ToObject(this.attitudeControl.getTotalAngularMomentum()), // With the wheels' and CMGs'
+      mass: body.mass,
+      fuel: this.fuel.getStatus(),
+      attitudeMode: this.attitudeControl.mode,
+      faults: this.faults.getStatus(),
+      disturbances: this.disturbances ? this.disturbances.getStatus() : null,
+      desaturation: this.dumping.getStatus(),
+      thrustersFiring: this.thrusters.filter(t => t.active).map(t => t.index),
+      docked: this.docked,
+      stack: this.stack !== null,
+      damaged: this.collisions.damaged,
+      failed: this.collisions.failed,
+      docking: this.getDockingStatus(),
+      events
+    };
+  }
+}
+
+// Collision group a docking port is put in, one per port, so the spacecraft can stop colliding
+// with the port that has caught it and no other. Bodies are in group 1 by default; past the
+// 31st port, ports share the last group.
+function dockingPortGroup(index) {
+  return 1 << (1 + Math.min(index, 30));
+}
+
+// Build the spacecraft body: the model's convex hulls, or a box around it, offset by the configured center of mass
+function createSpacecraftBody(properties, collisionBox) {
+  const halfExtents = collisionBox?.halfExtents || { x: 0.5, y: 0.5, z: 0.5 };
+  const center = collisionBox?.center || { x: 0, y: 0, z: 0 };
+
+  // Extract centerOfMass from properties if provided
+  const centerOfMassOffset = properties.centerOfMass
+    ? new CANNON.Vec3(
+        properties.centerOfMass.x || 0,
+        properties.centerOfMass.y || 0,
+        properties.centerOfMass.z || 0
+      )
+    : new CANNON.Vec3(0, 0, 0);
+
+  const body = new CANNON.Body({
+    mass: (parseFloat(properties.dryMass) || 0) + (parseFloat(properties.fuelMass) || 0) || 1,
+    angularDamping: 0,
+    linearDamping: 0,
+    allowSleep: false
+  });
+
+  if (collisionBox?.hulls?.length > 0) {
+    // One shape per hull, each centered on its own centroid so cannon's bounding sphere stays tight
+    collisionBox.hulls.forEach(hull => {
+      const { shape, centroid } = createHullShape(hull);
+      body.addShape(shape, centroid.vadd(centerOfMassOffset));
+    });
+  } else {
+    // Final shape offset: centroid offset + centerOfMass offset
+    body.addShape(
+      new CANNON.Box(new CANNON.Vec3(halfExtents.x, halfExtents.y, halfExtents.z)),
+      new CANNON.Vec3(center.x + centerOfMassOffset.x, center.y + centerOfMassOffset.y, center.z + centerOfMassOffset.z)
+    );
+  }
+
+  // Store centerOfMass for other systems to use
+  body.centerOfMassOffset = centerOfMassOffset;
+
+  return body;
+}
+
+// A convex hull { vertices, faces } as a cannon shape, with its vertices about their centroid
+function createHullShape(hull) {
+  const centroid = new CANNON.Vec3();
+  hull.vertices.forEach(v => centroid.vadd(new CANNON.Vec3(v.x, v.y, v.z), centroid));
+  centroid.scale(1 / hull.vertices.length, centroid);
+
+  const vertices = hull.vertices.map(v => new CANNON.Vec3(v.x - centroid.x, v.y - centroid.y, v.z - centroid.z));
+  const faces = hull.faces.map(face => face.slice());
+
+  // Cannon tests every face normal for separation; coplanar triangles share one, so it only needs each once
+  const axes = [];
+  faces.forEach(([a, b, c]) => {
+    const normal = vertices[b].vsub(vertices[a]).cross(vertices[c].vsub(vertices[a]));
+    normal.normalize();
+    if (!axes.some(axis => axis.almostEquals(normal, 1e-6))) axes.push(normal);
+  });
+
+  return { shape: new CANNON.ConvexPolyhedron({ vertices, faces, axes }), centroid };
+}
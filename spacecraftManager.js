@@ -1,372 +1,309 @@
-
-    
-import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { STLLoader } from 'three/addons/loaders/STLLoader.js';
-
-// Configuration flag for centering the spacecraft model
-// Set to true to center the model (move its center of mass to origin)
-// Set to false to use the model as-is (recommended for models exported from editor)
-const CENTER_SPACECRAFT_MODEL = false;
-
-// Spacecraft-related variables
-let spacecraftGroup = null;
-let spacecraftBoundingBoxMesh = null;
-let spacecraftBody = null;
-
-// Fuel system variables - SINGLE SOURCE OF TRUTH
-let dryMass = 5;
-let fuelMass = 5;
-let maxFuelMass = 5;
-
-// Load spacecraft model from a File object
-export function loadSpacecraft(file, scene, world, rotation, centroidModel, properties, onLoaded) {
-  // Clean up previous spacecraft if it exists
-  if (spacecraftGroup) {
-    scene.remove(spacecraftGroup);
-    world.removeBody(spacecraftBody);
-  }
-
-  const fileName = file.name.toLowerCase();
-  const isGLB = fileName.endsWith('.glb') || fileName.endsWith('.gltf');
-  const url = URL.createObjectURL(file);
-
-  // Create a group to hold the model and its bounding box
-  spacecraftGroup = new THREE.Group();
-  spacecraftGroup.position.set(10, 0, 0);
-  scene.add(spacecraftGroup);
-
-  if (isGLB) {
-    const loader = new GLTFLoader();
-    loader.load(
-      url,
-      gltf => {
-        const model = gltf.scene;
-        processLoadedModel(model, rotation, centroidModel, properties, scene, world, onLoaded);
-      },
-      undefined,
-      err => console.error('GLTF load error:', err)
-    );
-  } else { // Assume STL
-    const loader = new STLLoader();
-    loader.load(
-      url,
-      geometry => {
-        const material = new THREE.MeshStandardMaterial({ color: 0x888888 });
-        const model = new THREE.Mesh(geometry, material);
-        processLoadedModel(model, rotation, centroidModel, properties, scene, world, onLoaded);
-      },
-      undefined,
-      error => {
-        console.error('Error loading STL model:', error);
-        document.getElementById('hull-status').textContent = 'Error: Invalid STL file';
-      }
-    );
-  }
-}
-
-// This function handles the common logic after a model (GLB or STL) is loaded
-function processLoadedModel(model, rotation, centroidModel, properties, scene, world, onLoaded) {
-  // 1. Apply successive rotations FIRST
-  if (rotation) {
-    if (rotation.x !== 0) {
-      const qx = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), THREE.MathUtils.degToRad(rotation.x));
-      model.quaternion.multiply(qx);
-    }
-    if (rotation.y !== 0) {
-      const qy = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(rotation.y));
-      model.quaternion.multiply(qy);
-    }
-    if (rotation.z !== 0) {
-      const qz = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), THREE.MathUtils.degToRad(rotation.z));
-      model.quaternion.multiply(qz);
-    }
-  }
-
-  // 2. Calculate bounding box of the ROTATED model
-  const box = new THREE.Box3().setFromObject(model);
-  const size = box.getSize(new THREE.Vector3());
-  const center = box.getCenter(new THREE.Vector3());
-  let collisionBoxOffset = new THREE.Vector3(0, 0, 0);
-
-  // 3. Center the model if centering is enabled (use flag at top of file)
-  if (CENTER_SPACECRAFT_MODEL) {
-    model.position.sub(center);
-  } else {
-    collisionBoxOffset.copy(center);
-  }
-
-  // Add the model to the main group
-  spacecraftGroup.add(model);
-
-  // Create physics shape
-  const shape = new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
-  
-  // Update fuel system variables if provided in properties
-  // Convert strings to numbers
-  if (properties.dryMass !== undefined) dryMass = parseFloat(properties.dryMass);
-  if (properties.fuelMass !== undefined) fuelMass = parseFloat(properties.fuelMass);
-  if (properties.maxFuelMass !== undefined) maxFuelMass = parseFloat(properties.maxFuelMass);
-  
-  // Calculate total mass (dry mass + fuel mass)
-  const totalMass = dryMass + fuelMass;
-  
-  // Create the body with custom properties if provided
-  const bodyOptions = {
-    mass: totalMass,
-    angularDamping: 0,
-    linearDamping: 0,
-    allowSleep: false
-  };
-  
-  spacecraftBody = new CANNON.Body(bodyOptions);
-  
-  // Extract centerOfMass from properties if provided
-  const centerOfMassOffset = properties.centerOfMass 
-    ? new CANNON.Vec3(
-        properties.centerOfMass.x || 0,
-        properties.centerOfMass.y || 0,
-        properties.centerOfMass.z || 0
-      )
-    : new CANNON.Vec3(0, 0, 0);
-  
-  // Calculate final shape offset: centroid offset + centerOfMass offset
-  const finalShapeOffset = new CANNON.Vec3(
-    collisionBoxOffset.x + centerOfMassOffset.x,
-    collisionBoxOffset.y + centerOfMassOffset.y,
-    collisionBoxOffset.z + centerOfMassOffset.z
-  );
-  
-  // Add the shape with the combined offset
-  spacecraftBody.addShape(shape, finalShapeOffset);
-  
-  // Store centerOfMass for other systems to use
-  spacecraftBody.centerOfMassOffset = centerOfMassOffset;
-  
-  // --- CORRECT INERTIA FIX ---
-  // If custom inertia was provided, apply it using the correct Cannon-ES approach
-  if (properties.inertia) {
-      // DEBUG: Log that we are applying custom inertia
-      console.log("DEBUG: Applying custom inertia from properties:", properties.inertia);
-
-      // 1. Define your desired inertia values (Ixx, Iyy, Izz)
-      const customInertia = new CANNON.Vec3(
-        properties.inertia.x || 0, 
-        properties.inertia.y || 0, 
-        properties.inertia.z || 0
-      );
-      
-      // 2. Set the inertia and its inverse manually
-      spacecraftBody.inertia.copy(customInertia);
-      spacecraftBody.invInertia.set(
-        customInertia.x > 0 ? 1 / customInertia.x : 0,
-        customInertia.y > 0 ? 1 / customInertia.y : 0,
-        customInertia.z > 0 ? 1 / customInertia.z : 0
-      );
-      
-      // 3. Apply the changes to the world-space inertia
-      spacecraftBody.updateInertiaWorld(true);
-
-      // DEBUG: Log the inertia values on the body after applying them
-      console.log("DEBUG: Inertia on spacecraftBody after manual update:", {
-          x: spacecraftBody.inertia.x,
-          y: spacecraftBody.inertia.y,
-          z: spacecraftBody.inertia.z
-      });
-  } else {
-      // DEBUG: Log if no custom inertia was found in properties
-      console.log("DEBUG: No custom inertia found in properties. Using default values.");
-  }
-  // --- END CORRECT INERTIA FIX ---
-  
-  // Set the body's position to match the group's position
-  spacecraftBody.position.copy(spacecraftGroup.position);
-  world.addBody(spacecraftBody);
-
-  // Create visual bounding box that matches the rotated model
-  const boxGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
-  const boxMaterial = new THREE.MeshBasicMaterial({
-    color: 0x00ff00,
-    transparent: true,
-    opacity: 0.2,
-    wireframe: true
-  });
-  spacecraftBoundingBoxMesh = new THREE.Mesh(boxGeometry, boxMaterial);
-  spacecraftBoundingBoxMesh.visible = false;
-  
-  // Position the visual bounding box with the same offset
-  spacecraftBoundingBoxMesh.position.copy(collisionBoxOffset);
-  
-  spacecraftGroup.add(spacecraftBoundingBoxMesh);
-
-  // Add axes helper to the group
-  const satAxes = new THREE.AxesHelper(2);
-  spacecraftGroup.add(satAxes);
-
-  // Call the callback with the spacecraft body and the main group
-  if (onLoaded) onLoaded(spacecraftBody, spacecraftGroup);
-}
-
-// Toggle visibility of the spacecraft bounding box
-export function toggleSpacecraftBoundingBoxVisibility(visible) {
-  if (spacecraftBoundingBoxMesh) {
-    spacecraftBoundingBoxMesh.visible = visible;
-  }
-}
-
-// Get the spacecraft body
-export function getSpacecraftBody() {
-  return spacecraftBody;
-}
-
-// Get the spacecraft mesh (now returns the group)
-export function getSpacecraftMesh() {
-  return spacecraftGroup;
-}
-
-// Update the spacecraft group to match the physics body
-export function updateSpacecraft() {
-  if (spacecraftGroup && spacecraftBody) {
-    spacecraftGroup.position.copy(spacecraftBody.position);
-    spacecraftGroup.quaternion.copy(spacecraftBody.quaternion);
-  }
-}
-
-// Function to update satellite mass based on fuel
-export function updateSatelliteMass() {
-  if (spacecraftBody) {
-    const totalMass = dryMass + fuelMass;
-    spacecraftBody.mass = totalMass;
-    // Remove this line as it recalculates inertia based on shape
-    // spacecraftBody.updateMassProperties();
-    
-    // Instead, just update the mass-related properties without recalculating inertia
-    spacecraftBody.invMass = totalMass > 0 ? 1 / totalMass : 0;
-  }
-}
-
-// Function to consume fuel
-export function consumeFuel(amount) {
-  fuelMass = Math.max(0, fuelMass - amount);
-  updateSatelliteMass();
-  return fuelMass;
-}
-
-// Function to get fuel status
-export function getFuelStatus() {
-  return {
-    dryMass,
-    fuelMass,
-    maxFuelMass,
-    fuelPercentage: (fuelMass / maxFuelMass) * 100
-  };
-}
-
-// Function to reset fuel
-export function resetFuel() {
-  fuelMass = maxFuelMass;
-  updateSatelliteMass();
-}
-
-// Function to apply new properties to the spacecraft
-export function setFuelProperties(properties) {
-  // Update the fuel system variables
-  if (properties.dryMass !== undefined) dryMass = properties.dryMass;
-  if (properties.fuelMass !== undefined) fuelMass = properties.fuelMass;
-  if (properties.maxFuelMass !== undefined) maxFuelMass = properties.maxFuelMass;
-
-  // Update the physics body if it exists
-  if (spacecraftBody) {
-    const totalMass = dryMass + fuelMass;
-    spacecraftBody.mass = totalMass;
-    spacecraftBody.invMass = totalMass > 0 ? 1 / totalMass : 0;
-
-    if (properties.inertia) {
-      // 1. Define your desired inertia values (Ixx, Iyy, Izz)
-      const customInertia = new CANNON.Vec3(
-        properties.inertia.x || 0, 
-        properties.inertia.y || 0, 
-        properties.inertia.z || 0
-      );
-      
-      // 2. Set the inertia and its inverse manually
-      spacecraftBody.inertia.copy(customInertia);
-      spacecraftBody.invInertia.set(
-        customInertia.x > 0 ? 1 / customInertia.x : 0,
-        customInertia.y > 0 ? 1 / customInertia.y : 0,
-        customInertia.z > 0 ? 1 / customInertia.z : 0
-      );
-      
-      // 3. Apply the changes to the world-space inertia
-      spacecraftBody.updateInertiaWorld(true);
-    }
-    
-    // Don't call updateMassProperties() as it will recalculate inertia
-    // spacecraftBody.updateMassProperties();
-  }
-}
-
-// Initialize default spacecraft with fuel system
-export function initializeDefaultSpacecraft(scene, world, properties = null) {
-  // Use provided properties or default values
-  const dryMassValue = properties && properties.dryMass !== undefined ? properties.dryMass : dryMass;
-  const fuelMassValue = properties && properties.fuelMass !== undefined ? properties.fuelMass : fuelMass;
-  const maxFuelMassValue = properties && properties.maxFuelMass !== undefined ? properties.maxFuelMass : maxFuelMass;
-  
-  // Update the global variables
-  dryMass = dryMassValue;
-  fuelMass = fuelMassValue;
-  maxFuelMass = maxFuelMassValue;
-  
-  const totalMass = dryMass + fuelMass;
-
-  const satBody = new CANNON.Body({
-    mass: totalMass,
-    shape: new CANNON.Box(new CANNON.Vec3(1, 1, 1)),
-    angularDamping: 0,
-    linearDamping: 0,
-    allowSleep: false
-  });
-  
-  satBody.position.set(0, -3, 5.5);
-  
-  const pitchQuaternion = new CANNON.Quaternion();
-  pitchQuaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI/2);
-  satBody.quaternion.copy(pitchQuaternion);
-  
-  // --- CORRECT INERTIA FIX ---
-  // If custom inertia was provided, apply it using the correct Cannon-ES approach
-  if (properties && properties.inertia) {
-    // 1. Define your desired inertia values (Ixx, Iyy, Izz)
-    const customInertia = new CANNON.Vec3(
-      properties.inertia.x || 0, 
-      properties.inertia.y || 0, 
-      properties.inertia.z || 0
-    );
-    
-    // 2. Set the inertia and its inverse manually
-    satBody.inertia.copy(customInertia);
-    satBody.invInertia.set(
-      customInertia.x > 0 ? 1 / customInertia.x : 0,
-      customInertia.y > 0 ? 1 / customInertia.y : 0,
-      customInertia.z > 0 ? 1 / customInertia.z : 0
-    );
-    
-    // 3. Apply the changes to the world-space inertia
-    satBody.updateInertiaWorld(true);
-  }
-  // --- END CORRECT INERTIA FIX ---
-  
-  world.addBody(satBody);
-
-  const satGeo = new THREE.BoxGeometry(1, 1, 1);
-  const satMat = new THREE.MeshStandardMaterial({ color: 0x888888 });
-  const satMesh = new THREE.Mesh(satGeo, satMat);
-  scene.add(satMesh);
-
-  const satAxes = new THREE.AxesHelper(2);
-  satMesh.add(satAxes);
-
-  return { satBody, satMesh };
-}
+
+    
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { parseInertiaTensor, setBodyInertiaTensor } from './massProperties.js';
+import { parseDecompositionSettings, decomposeModel } from './convexDecomposition.js';
+
+// Configuration flag for centering the spacecraft model
+// Set to true to center the model (move its center of mass to origin)
+// Set to false to use the model as-is (recommended for models exported from editor)
+const CENTER_SPACECRAFT_MODEL = false;
+
+// The spacecraft drawn: the one loadSpacecraft() loads, then any added with
+// loadAdditionalSpacecraft(). The physics bodies belong to the Simulators;
+// this module draws them.
+const spacecraft = [];
+
+// Temporary objects reused every frame
+const renderPosition = new CANNON.Vec3();
+const renderQuaternion = new CANNON.Quaternion();
+
+// A spacecraft's group, the meshes in it and the body it follows
+function createSpacecraftVisual(scene) {
+  // A group to hold the model and its bounding box
+  const group = new THREE.Group();
+  group.position.set(10, 0, 0);
+  scene.add(group);
+
+  const visual = {
+    group,
+    boundingBoxMesh: null,
+    hullMeshes: [],
+    axesHelper: null,
+    body: null,
+    centerOfMassShift: new THREE.Vector3(0, 0, 0),
+    // Body pose at the start of the last physics step, for interpolated rendering
+    previousPosition: new CANNON.Vec3(),
+    previousQuaternion: new CANNON.Quaternion()
+  };
+  spacecraft.push(visual);
+  return visual;
+}
+
+// The spacecraft drawn by a group; the first spacecraft if none is given
+function visualFor(group) {
+  return group ? spacecraft.find(visual => visual.group === group) : spacecraft[0];
+}
+
+// Load spacecraft model from a File object, replacing every spacecraft loaded before.
+// onLoaded(group, collisionBox) gets the model's group and the collision box to build the body from.
+// collisionShape is the spacecraft's collision shape settings (see convexDecomposition.js).
+export function loadSpacecraft(file, scene, rotation, centroidModel, onLoaded, collisionShape) {
+  // Clean up previous spacecraft if there are any
+  spacecraft.forEach(visual => scene.remove(visual.group));
+  spacecraft.length = 0;
+
+  loadModel(file, createSpacecraftVisual(scene), rotation, centroidModel, onLoaded, collisionShape);
+}
+
+// Load one more spacecraft, alongside those already loaded, for a multi-vehicle scenario.
+// onLoaded and collisionShape are as for loadSpacecraft().
+export function loadAdditionalSpacecraft(file, scene, onLoaded, collisionShape) {
+  loadModel(file, createSpacecraftVisual(scene), null, false, onLoaded, collisionShape);
+}
+
+function loadModel(file, visual, rotation, centroidModel, onLoaded, collisionShape) {
+  const fileName = file.name.toLowerCase();
+  const isGLB = fileName.endsWith('.glb') || fileName.endsWith('.gltf');
+  const url = URL.createObjectURL(file);
+
+  if (isGLB) {
+    const loader = new GLTFLoader();
+    loader.load(
+      url,
+      gltf => {
+        const model = gltf.scene;
+        processLoadedModel(visual, model, rotation, centroidModel, onLoaded, collisionShape);
+      },
+      undefined,
+      err => console.error('GLTF load error:', err)
+    );
+  } else { // Assume STL
+    const loader = new STLLoader();
+    loader.load(
+      url,
+      geometry => {
+        const material = new THREE.MeshStandardMaterial({ color: 0x888888 });
+        const model = new THREE.Mesh(geometry, material);
+        processLoadedModel(visual, model, rotation, centroidModel, onLoaded, collisionShape);
+      },
+      undefined,
+      error => {
+        console.error('Error loading STL model:', error);
+        document.getElementById('hull-status').textContent = 'Error: Invalid STL file';
+      }
+    );
+  }
+}
+
+// This function handles the common logic after a model (GLB or STL) is loaded
+function processLoadedModel(visual, model, rotation, centroidModel, onLoaded, collisionShape) {
+  const spacecraftGroup = visual.group;
+
+  // 1. Apply successive rotations FIRST
+  if (rotation) {
+    if (rotation.x !== 0) {
+      const qx = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), THREE.MathUtils.degToRad(rotation.x));
+      model.quaternion.multiply(qx);
+    }
+    if (rotation.y !== 0) {
+      const qy = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(rotation.y));
+      model.quaternion.multiply(qy);
+    }
+    if (rotation.z !== 0) {
+      const qz = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), THREE.MathUtils.degToRad(rotation.z));
+      model.quaternion.multiply(qz);
+    }
+  }
+
+  // 2. Calculate bounding box of the ROTATED model
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  let collisionBoxOffset = new THREE.Vector3(0, 0, 0);
+
+  // 3. Center the model if centering is enabled (use flag at top of file)
+  if (CENTER_SPACECRAFT_MODEL) {
+    model.position.sub(center);
+  } else {
+    collisionBoxOffset.copy(center);
+  }
+
+  // Add the model to the main group
+  spacecraftGroup.add(model);
+
+  // Collision box for the physics body, offset to the model's centroid
+  const collisionBox = {
+    halfExtents: { x: size.x / 2, y: size.y / 2, z: size.z / 2 },
+    center: { x: collisionBoxOffset.x, y: collisionBoxOffset.y, z: collisionBoxOffset.z }
+  };
+
+  // Create visual bounding box that matches the rotated model
+  const boxGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+  const boxMaterial = new THREE.MeshBasicMaterial({
+    color: 0x00ff00,
+    transparent: true,
+    opacity: 0.2,
+    wireframe: true
+  });
+  visual.boundingBoxMesh = new THREE.Mesh(boxGeometry, boxMaterial);
+  visual.boundingBoxMesh.visible = false;
+  
+  // Position the visual bounding box with the same offset
+  visual.boundingBoxMesh.position.copy(collisionBoxOffset);
+  
+  spacecraftGroup.add(visual.boundingBoxMesh);
+
+  // Convex pieces of the model, which the body is built from instead of the box
+  visual.hullMeshes = [];
+  const settings = parseDecompositionSettings(collisionShape);
+  if (settings.type === 'convex') {
+    collisionBox.hulls = decomposeModel(model, settings);
+    console.log(`Spacecraft collision shape: ${collisionBox.hulls.length} convex hulls`);
+
+    const hullMaterial = new THREE.MeshBasicMaterial({
+      color: 0x00ff00,
+      transparent: true,
+      opacity: 0.2,
+      wireframe: true
+    });
+    collisionBox.hulls.forEach(hull => {
+      const positions = [];
+      hull.faces.forEach(face => face.forEach(i => positions.push(hull.vertices[i].x, hull.vertices[i].y, hull.vertices[i].z)));
+      const hullGeometry = new THREE.BufferGeometry();
+      hullGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      const hullMesh = new THREE.Mesh(hullGeometry, hullMaterial);
+      hullMesh.visible = false;
+      spacecraftGroup.add(hullMesh);
+      visual.hullMeshes.push(hullMesh);
+    });
+  }
+
+  // Add axes helper to the group
+  const satAxes = new THREE.AxesHelper(2);
+  spacecraftGroup.add(satAxes);
+  visual.axesHelper = satAxes;
+  visual.centerOfMassShift.set(0, 0, 0);
+
+  // Call the callback with the main group and the collision box
+  if (onLoaded) onLoaded(spacecraftGroup, collisionBox);
+}
+
+// Toggle visibility of the spacecraft's collision shapes: their convex hulls, or the bounding box without them
+export function toggleSpacecraftBoundingBoxVisibility(visible) {
+  spacecraft.forEach(visual => {
+    if (visual.hullMeshes.length > 0) {
+      visual.hullMeshes.forEach(mesh => { mesh.visible = visible; });
+    } else if (visual.boundingBoxMesh) {
+      visual.boundingBoxMesh.visible = visible;
+    }
+  });
+}
+
+// Get the first spacecraft's body
+export function getSpacecraftBody() {
+  return spacecraft[0]?.body || null;
+}
+
+// Set the physics body a spacecraft group follows; the first spacecraft's if no group is given
+export function setSpacecraftBody(body, group = null) {
+  const visual = visualFor(group);
+  if (!visual) return;
+  visual.body = body;
+  storePreviousState();
+}
+
+// Get the first spacecraft's mesh (its group)
+export function getSpacecraftMesh() {
+  return spacecraft[0]?.group || null;
+}
+
+// Remember the body poses before a physics step so frames drawn between steps can be interpolated
+export function storePreviousState() {
+  spacecraft.forEach(visual => {
+    if (visual.body) {
+      visual.previousPosition.copy(visual.body.position);
+      visual.previousQuaternion.copy(visual.body.quaternion);
+    }
+  });
+}
+
+// Update the spacecraft groups to match their physics bodies.
+// alpha is how far the frame is between the previous physics step (0) and the latest one (1).
+export function updateSpacecraft(alpha = 1) {
+  spacecraft.forEach(({ group, body, previousPosition, previousQuaternion }) => {
+    if (!body) return;
+    if (alpha >= 1) {
+      group.position.copy(body.position);
+      group.quaternion.copy(body.quaternion);
+      return;
+    }
+    previousPosition.lerp(body.position, alpha, renderPosition);
+    previousQuaternion.slerp(body.quaternion, alpha, renderQuaternion);
+    group.position.copy(renderPosition);
+    group.quaternion.copy(renderQuaternion);
+  });
+}
+
+// Move the model and everything mounted on it so the group origin stays on the CG.
+// shift is the CG position relative to the configured center of mass, in body axes.
+// group is the spacecraft's; the first spacecraft's if not given.
+export function setCenterOfMassShift(shift, group = null) {
+  const visual = visualFor(group);
+  if (!visual) return;
+  const delta = new THREE.Vector3(shift.x, shift.y, shift.z).sub(visual.centerOfMassShift);
+  if (delta.lengthSq() === 0) return;
+  visual.centerOfMassShift.set(shift.x, shift.y, shift.z);
+
+  visual.group.children.forEach(child => {
+    if (child !== visual.axesHelper) child.position.sub(delta);
+  });
+
+  // The body origin moved along with the CG, so the interpolation start point moves too
+  const bodyDelta = new CANNON.Vec3(delta.x, delta.y, delta.z);
+  visual.previousPosition.vadd(visual.previousQuaternion.vmult(bodyDelta), visual.previousPosition);
+}
+
+// Initialize a default box spacecraft (no model file)
+export function initializeDefaultSpacecraft(scene, world, properties = null) {
+  // Use provided properties or default values
+  const dryMass = properties && properties.dryMass !== undefined ? parseFloat(properties.dryMass) : 5;
+  const fuelMass = properties && properties.fuelMass !== undefined ? parseFloat(properties.fuelMass) : 5;
+  const totalMass = dryMass + fuelMass;
+
+  const satBody = new CANNON.Body({
+    mass: totalMass,
+    shape: new CANNON.Box(new CANNON.Vec3(1, 1, 1)),
+    angularDamping: 0,
+    linearDamping: 0,
+    allowSleep: false
+  });
+  
+  satBody.position.set(0, -3, 5.5);
+  
+  const pitchQuaternion = new CANNON.Quaternion();
+  pitchQuaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI/2);
+  satBody.quaternion.copy(pitchQuaternion);
+  
+  // --- CORRECT INERTIA FIX ---
+  // If custom inertia was provided, apply the full tensor (products of inertia are optional)
+  if (properties && properties.inertia) {
+    setBodyInertiaTensor(satBody, parseInertiaTensor(properties.inertia));
+  }
+  // --- END CORRECT INERTIA FIX ---
+  
+  world.addBody(satBody);
+
+  const satGeo = new THREE.BoxGeometry(1, 1, 1);
+  const satMat = new THREE.MeshStandardMaterial({ color: 0x888888 });
+  const satMesh = new THREE.Mesh(satGeo, satMat);
+  scene.add(satMesh);
+
+  const satAxes = new THREE.AxesHelper(2);
+  satMesh.add(satAxes);
+
+  return { satBody, satMesh };
+}
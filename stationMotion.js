@@ -0,0 +1,365 @@
+// File: stationMotion.js
+
+import * as CANNON from 'cannon-es';
+import { parseInertiaTensor } from './massProperties.js';
+import { toVec3, vec3ToObject } from './configValues.js';
+
+/**
+ * Motion of the target station, for rendezvous with a spinning or tumbling target.
+ * Nothing pushes on the station, so it turns as Euler's equations say a free body
+ * does: steadily about a principal axis, and wobbling about any other. The spacecraft
+ * can't push it either; it bounces off and docks as if the station were infinitely heavy.
+ * A free-flying station (see below) is still bounced off that way, but is given the
+ * impulse of each bump, and the pull of the capture ring's springs, in return.
+ *
+ * Everything fixed to the station (its hulls and docking ports) is attached and moved
+ * with it, and spacecraft docked to it are held and carried along.
+ *
+ * A station given a mass is a free-flying target. It drifts as well as turns, and a
+ * spacecraft that docks with it can fly the two as one stack: the station then rides on
+ * the spacecraft's body (see setCarrier()) instead of moving by itself, and is pushed
+ * off with its share of the stack's motion when they part.
+ *
+ * Station config (from the scenario file), all optional:
+ * {
+ *   "angularVelocity": { "x": 0, "y": 0.5, "z": 0.1 },               // deg/s at the start, station axes
+ *   "inertia": { "x": 1e6, "y": 2e6, "z": 2.5e6, "xy": 0, "xz": 0, "yz": 0 }, // kg·m², station axes
+ *   "centerOfMass": { "x": 0, "y": 0, "z": 0 },                      // What it turns about, m
+ *   "mass": 20000                                                    // kg; makes it free-flying
+ * }
+ *
+ * Station axes and positions are the world's at the start of the run. Unless the
+ * station is free-flying nothing pushes on it, so only the ratios of its moments of
+ * inertia matter; a free-flying station needs its real ones.
+ */
+export class StationMotion {
+  constructor(config = {}) {
+    const rate = toVec3(config.angularVelocity, new CANNON.Vec3(0, 0, 0));
+    this.initialAngularVelocity = rate.scale(Math.PI / 180);
+    this.centerOfMass = toVec3(config.centerOfMass, new CANNON.Vec3(0, 0, 0));
+
+    this.inertia = parseInertiaTensor(config.inertia || { x: 1, y: 1, z: 1 });
+    const e = this.inertia.elements;
+    if (!(e[0] > 0 && e[4] > 0 && e[8] > 0)) {
+      console.warn('Station inertia must have positive moments; using a uniform one');
+      this.inertia = parseInertiaTensor({ x: 1, y: 1, z: 1 });
+    }
+    this.inverseInertia = this.inertia.reverse();
+
+    const mass = parseFloat(config.mass);
+    this.mass = mass > 0 ? mass : Infinity;
+    this.freeFlying = this.mass < Infinity;
+
+    // A station that starts still stays still, and nothing attached to it needs moving,
+    // unless it is free-flying and can be pushed off
+    this.moving = this.initialAngularVelocity.lengthSquared() > 0 || this.freeFlying;
+
+    this.quaternion = new CANNON.Quaternion(); // Turn since the start
+    this.previousQuaternion = new CANNON.Quaternion(); // Before the last step, for drawing frames between steps
+    this.angularVelocity = new CANNON.Vec3(); // rad/s, station axes
+    this.position = new CANNON.Vec3(); // How far the center of mass has moved since the start, m
+    this.previousPosition = new CANNON.Vec3();
+    this.velocity = new CANNON.Vec3(); // m/s, world axes
+
+    // The spacecraft body flying the station as part of its stack, if any
+    this.carrier = null;
+
+    // Bodies fixed to the station, with where they were at the start
+    this.attached = [];
+    // Docked spacecraft and where they are held, station frame
+    this.held = [];
+
+    // Temporary objects reused every physics step
+    this._momentum = new CANNON.Vec3();
+    this._worldAngularVelocity = new CANNON.Vec3();
+    this._turn = new CANNON.Quaternion();
+
+    this.reset();
+  }
+
+  // Back to the start pose and spin, and everything attached back with it
+  reset() {
+    this.carrier = null;
+    this.quaternion.set(0, 0, 0, 1);
+    this.previousQuaternion.set(0, 0, 0, 1);
+    this.angularVelocity.copy(this.initialAngularVelocity);
+    this.position.set(0, 0, 0);
+    this.previousPosition.set(0, 0, 0);
+    this.velocity.set(0, 0, 0);
+    this.placeAttached();
+  }
+
+  /**
+   * Fixes a body to the station. It must be where it belongs at the start of the run;
+   * it is moved to where the station has turned it since.
+   * @param {CANNON.Body} body - A body with no mass (a hull or docking port).
+   */
+  attach(body) {
+    if (this.attached.some(entry => entry.body === body)) return;
+    this.attached.push({ body, position: body.position.clone(), quaternion: body.quaternion.clone() });
+    // Cannon moves kinematic bodies at the velocity they are given, and works out contacts with them from it
+    if (this.moving) body.type = CANNON.Body.KINEMATIC;
+    this.placeAttached();
+  }
+
+  // Whether a body is one of the station's own (a hull or docking port)
+  isAttached(body) {
+    return this.attached.some(entry => entry.body === body);
+  }
+
+  /**
+   * Advances the station's motion by a step, and moves everything on it. Call after world.step().
+   * A carried station is moved by its carrier instead (see follow()).
+   * @param {number} dt - The step size.
+   */
+  step(dt) {
+    this.previousQuaternion.copy(this.quaternion);
+    this.previousPosition.copy(this.position);
+    if (!this.moving || this.carrier) return;
+
+    this.position.vadd(this.velocity.scale(dt), this.position);
+
+    // Euler's equations for a free body, Runge-Kutta 4
+    const w0 = this.angularVelocity;
+    const k1 = this.angularAcceleration(w0);
+    const k2 = this.angularAcceleration(w0.vadd(k1.scale(dt / 2)));
+    const k3 = this.angularAcceleration(w0.vadd(k2.scale(dt / 2)));
+    const k4 = this.angularAcceleration(w0.vadd(k3.scale(dt)));
+
+    // Turn through the step at the rate halfway through it
+    const midStep = w0.vadd(k1.vadd(k2).scale(dt / 4));
+    const angle = midStep.length() * dt;
+    if (angle > 0) {
+      this._turn.setFromAxisAngle(midStep.unit(), angle);
+      this.quaternion.mult(this._turn, this.quaternion);
+      this.quaternion.normalize();
+    }
+
+    w0.vadd(k1.vadd(k2.scale(2)).vadd(k3.scale(2)).vadd(k4).scale(dt / 6), w0);
+    this.placeAttached();
+  }
+
+  // dω/dt = I⁻¹(−ω × Iω), station axes
+  angularAcceleration(w) {
+    this.inertia.vmult(w, this._momentum);
+    return this.inverseInertia.vmult(this._momentum.cross(w));
+  }
+
+  /**
+   * Where the station's center of mass is now.
+   * @param {CANNON.Vec3} [target]
+   * @returns {CANNON.Vec3}
+   */
+  getCenterOfMass(target = new CANNON.Vec3()) {
+    this.centerOfMass.vadd(this.position, target);
+    return target;
+  }
+
+  /**
+   * The station's angular momentum about its center of mass, world axes.
+   * @param {CANNON.Vec3} [target]
+   * @returns {CANNON.Vec3}
+   */
+  getAngularMomentum(target = new CANNON.Vec3()) {
+    return this.quaternion.vmult(this.inertia.vmult(this.angularVelocity), target);
+  }
+
+  /**
+   * Gives a free-flying station a kick, as the docking springs do when a spacecraft pushes off
+   * or is pulled in, and a spacecraft does when it bumps into it.
+   * @param {CANNON.Vec3} impulse - N·s, world axes.
+   * @param {CANNON.Vec3} point - Where it acts, world position now.
+   */
+  applyImpulse(impulse, point) {
+    // A carried station moves with its carrier
+    if (!this.freeFlying || this.carrier) return;
+    this.velocity.vadd(impulse.scale(1 / this.mass), this.velocity);
+    const torque = this.vectorToStation(point.vsub(this.getCenterOfMass()).cross(impulse));
+    this.angularVelocity.vadd(this.inverseInertia.vmult(torque), this.angularVelocity);
+    this.placeAttached();
+  }
+
+  /**
+   * Gives a free-flying station a twist, as the capture ring's angular springs do.
+   * @param {CANNON.Vec3} angularImpulse - N·m·s, world axes.
+   */
+  applyAngularImpulse(angularImpulse) {
+    if (!this.freeFlying || this.carrier) return;
+    const torque = this.vectorToStation(angularImpulse);
+    this.angularVelocity.vadd(this.inverseInertia.vmult(torque), this.angularVelocity);
+    this.placeAttached();
+  }
+
+  /**
+   * Makes the station ride on a spacecraft flying it as part of a stack, or sets it free
+   * again with the motion it has. A carried station doesn't move by itself.
+   * @param {CANNON.Body|null} body - The spacecraft's body, or null to set it free.
+   */
+  setCarrier(body) {
+    this.carrier = body;
+  }
+
+  /**
+   * Moves a carried station to where its carrier has taken it.
+   * @param {CANNON.Vec3} centerOfMass - Where its center of mass is, world.
+   * @param {CANNON.Quaternion} quaternion - Its attitude.
+   * @param {CANNON.Vec3} velocity - Its center of mass's velocity, world axes.
+   * @param {CANNON.Vec3} angularVelocity - rad/s, world axes.
+   */
+  follow(centerOfMass, quaternion, velocity, angularVelocity) {
+    centerOfMass.vsub(this.centerOfMass, this.position);
+    this.quaternion.copy(quaternion);
+    this.velocity.copy(velocity);
+    this.vectorToStation(angularVelocity, this.angularVelocity);
+    this.placeAttached();
+  }
+
+  /**
+   * The station's angular velocity in world axes.
+   * @param {CANNON.Vec3} [target]
+   * @returns {CANNON.Vec3}
+   */
+  getWorldAngularVelocity(target = new CANNON.Vec3()) {
+    return this.quaternion.vmult(this.angularVelocity, target);
+  }
+
+  /**
+   * Where a point of the station that started at start is now.
+   * @param {CANNON.Vec3} start - World position at the start.
+   * @param {CANNON.Vec3} [target]
+   * @returns {CANNON.Vec3}
+   */
+  pointToWorld(start, target = new CANNON.Vec3()) {
+    this.quaternion.vmult(start.vsub(this.centerOfMass), target);
+    target.vadd(this.centerOfMass, target);
+    target.vadd(this.position, target);
+    return target;
+  }
+
+  /**
+   * Where a world point was before the station moved, which is where it is relative to the station.
+   * @param {CANNON.Vec3} point - World position now.
+   * @param {CANNON.Vec3} [target]
+   * @returns {CANNON.Vec3}
+   */
+  pointToStation(point, target = new CANNON.Vec3()) {
+    this.quaternion.conjugate().vmult(point.vsub(this.centerOfMass).vsub(this.position), target);
+    target.vadd(this.centerOfMass, target);
+    return target;
+  }
+
+  /**
+   * A world vector in station axes.
+   * @param {CANNON.Vec3} vector - World axes.
+   * @param {CANNON.Vec3} [target]
+   * @returns {CANNON.Vec3}
+   */
+  vectorToStation(vector, target = new CANNON.Vec3()) {
+    return this.quaternion.conjugate().vmult(vector, target);
+  }
+
+  /**
+   * The velocity of the station's material at a world point, were it there.
+   * @param {CANNON.Vec3} point - World position now.
+   * @param {CANNON.Vec3} [target]
+   * @returns {CANNON.Vec3}
+   */
+  velocityAt(point, target = new CANNON.Vec3()) {
+    this.getWorldAngularVelocity(this._worldAngularVelocity);
+    this._worldAngularVelocity.cross(point.vsub(this.centerOfMass).vsub(this.position), target);
+    target.vadd(this.velocity, target);
+    return target;
+  }
+
+  /**
+   * Holds a body relative to the station, and carries it along until let go. It is given
+   * the station's motion, so it drifts on with it once let go.
+   * @param {CANNON.Body} body - The docked spacecraft.
+   * @param {object} [pose] - Where to hold it, from getHeldPose(); where it is now if not given.
+   */
+  hold(body, pose = null) {
+    this.letGo(body);
+    const entry = pose
+      ? {
+          body,
+          position: new CANNON.Vec3(pose.position.x, pose.position.y, pose.position.z),
+          quaternion: new CANNON.Quaternion(pose.quaternion.x, pose.quaternion.y, pose.quaternion.z, pose.quaternion.w)
+        }
+      : {
+          body,
+          position: this.pointToStation(body.position),
+          quaternion: this.quaternion.conjugate().mult(body.quaternion)
+        };
+    this.held.push(entry);
+    this.place(body, entry);
+  }
+
+  letGo(body) {
+    this.held = this.held.filter(entry => entry.body !== body);
+  }
+
+  /**
+   * Where a held body is held, station frame, as plain data.
+   * @param {CANNON.Body} body - The body.
+   * @returns {object|null} { position, quaternion }, or null if it isn't held.
+   */
+  getHeldPose(body) {
+    const entry = this.held.find(e => e.body === body);
+    if (!entry) return null;
+    return {
+      position: vec3ToObject(entry.position),
+      quaternion: { x: entry.quaternion.x, y: entry.quaternion.y, z: entry.quaternion.z, w: entry.quaternion.w }
+    };
+  }
+
+  // Moves a body to where the station has carried it from its pose at the start, at the station's velocity there
+  place(body, start) {
+    this.pointToWorld(start.position, body.position);
+    this.quaternion.mult(start.quaternion, body.quaternion);
+    this.velocityAt(body.position, body.velocity);
+    this.getWorldAngularVelocity(body.angularVelocity);
+    body.aabbNeedsUpdate = true;
+    body.updateInertiaWorld(true);
+  }
+
+  placeAttached() {
+    if (!this.moving) return;
+    this.attached.forEach(entry => this.place(entry.body, entry));
+    this.held.forEach(entry => this.place(entry.body, entry));
+  }
+
+  getStatus() {
+    const rate = this.getWorldAngularVelocity().scale(180 / Math.PI);
+    return {
+      moving: this.moving,
+      freeFlying: this.freeFlying,
+      carried: this.carrier !== null,
+      position: vec3ToObject(this.position),
+      velocity: vec3ToObject(this.velocity),
+      quaternion: { x: this.quaternion.x, y: this.quaternion.y, z: this.quaternion.z, w: this.quaternion.w },
+      angularVelocity: vec3ToObject(rate),
+      angularSpeed: rate.length()
+    };
+  }
+
+  // The station's own motion. Held bodies are saved by whoever holds them (see getHeldPose()),
+  // and a carried station by the spacecraft carrying it.
+  saveState() {
+    return {
+      quaternion: { x: this.quaternion.x, y: this.quaternion.y, z: this.quaternion.z, w: this.quaternion.w },
+      angularVelocity: vec3ToObject(this.angularVelocity),
+      position: vec3ToObject(this.position),
+      velocity: vec3ToObject(this.velocity)
+    };
+  }
+
+  loadState(state) {
+    this.quaternion.copy(state.quaternion);
+    this.previousQuaternion.copy(state.quaternion);
+    this.angularVelocity.copy(state.angularVelocity);
+    this.position.copy(state.position || { x: 0, y: 0, z: 0 });
+    this.previousPosition.copy(this.position);
+    this.velocity.copy(state.velocity || { x: 0, y: 0, z: 0 });
+    this.placeAttached();
+  }
+}
@@ -0,0 +1,128 @@
+// File: thrusterDynamics.js
+
+/**
+ * Valve and thrust build-up model for one thruster, like real RCS hardware:
+ *
+ *   command on ──openDelay──> valve opens, thrust rises with time constant riseTime
+ *   command off ─closeDelay─> valve closes, thrust tails off with time constant decayTime
+ *
+ * Once open, the valve stays open for at least minOnTime, so even a one-step tap gives
+ * the minimum impulse bit. With every timing field at 0 (the default) the thruster
+ * gives full thrust for exactly as long as it is commanded.
+ *
+ * Thruster config fields (all in seconds, all optional):
+ * { "openDelay": 0.005, "closeDelay": 0.003, "riseTime": 0.004, "decayTime": 0.006, "minOnTime": 0.02 }
+ */
+
+// Below this fraction of full thrust a closed thruster counts as off
+const THRUST_CUTOFF = 1e-3;
+
+// The timing fields and their defaults
+export const THRUSTER_TIMING_DEFAULTS = {
+  openDelay: 0,
+  closeDelay: 0,
+  riseTime: 0,
+  decayTime: 0,
+  minOnTime: 0
+};
+
+/**
+ * Reads the timing fields from a thruster config, falling back to the defaults
+ * for anything missing or invalid.
+ * @param {object} config - One thruster's config.
+ * @returns {object} { openDelay, closeDelay, riseTime, decayTime, minOnTime }.
+ */
+export function parseThrusterTiming(config) {
+  const timing = {};
+  Object.entries(THRUSTER_TIMING_DEFAULTS).forEach(([field, fallback]) => {
+    const value = parseFloat(config[field]);
+    timing[field] = isNaN(value) || value < 0 ? fallback : value;
+  });
+  return timing;
+}
+
+// Valve closed, no thrust, nothing scheduled
+export function resetThrusterState(t) {
+  t.commanded = false;
+  t.valveOpen = false;
+  t.openAt = null; // Sim time the valve is due to open
+  t.closeAt = null; // Sim time the valve is due to close
+  t.openedAt = null; // Sim time the valve last opened
+  t.level = 0; // Thrust as a fraction of full thrust
+  t.active = false;
+}
+
+/**
+ * Advances one thruster by a physics step.
+ * @param {object} t - The thruster, with its timing fields and state.
+ * @param {boolean} commanded - Whether the thruster is commanded on for this step.
+ * @param {number} time - Sim time at the start of the step.
+ * @param {number} dt - Step size in seconds.
+ * @returns {number} The full-thrust-equivalent on time within the step, in seconds:
+ *   the impulse is thrust times this, and the propellant used is the mass flow times this.
+ */
+export function updateThrusterOutput(t, commanded, time, dt) {
+  const end = time + dt;
+
+  if (commanded && !t.commanded) {
+    // Command on: open after the delay, or stay open if it was about to close
+    t.closeAt = null;
+    if (!t.valveOpen && t.openAt === null) t.openAt = time + t.openDelay;
+  } else if (!commanded && t.commanded) {
+    // Command off: close after the delay, but not before the minimum on time is up
+    const openedAt = t.valveOpen ? t.openedAt : t.openAt;
+    if (openedAt !== null) {
+      t.closeAt = Math.max(time + t.closeDelay, openedAt + t.minOnTime);
+      // A pulse too short to get the valve open never opens it
+      if (!t.valveOpen && t.closeAt <= t.openAt) {
+        t.openAt = null;
+        t.closeAt = null;
+      }
+    }
+  }
+  t.commanded = commanded;
+
+  // Integrate the thrust level over the step, switching the valve where it is due
+  let now = time;
+  let onTime = 0;
+  for (;;) {
+    const switchAt = t.valveOpen ? t.closeAt : t.openAt;
+    if (switchAt === null || switchAt >= end) {
+      onTime += integrateLevel(t, end - now);
+      break;
+    }
+    onTime += integrateLevel(t, switchAt - now);
+    now = Math.max(now, switchAt);
+
+    if (t.valveOpen) {
+      t.valveOpen = false;
+      t.closeAt = null;
+    } else {
+      t.valveOpen = true;
+      t.openedAt = t.openAt;
+      t.openAt = null;
+    }
+  }
+
+  if (!t.valveOpen && t.level < THRUST_CUTOFF) t.level = 0;
+  t.active = onTime > THRUST_CUTOFF * dt;
+  return onTime;
+}
+
+// Moves the thrust level on by h seconds and returns its integral over that time.
+// First order towards 1 while the valve is open and towards 0 while it is closed.
+function integrateLevel(t, h) {
+  if (h <= 0) return 0;
+
+  const target = t.valveOpen ? 1 : 0;
+  const tau = t.valveOpen ? t.riseTime : t.decayTime;
+  const start = t.level;
+  if (tau <= 0) {
+    t.level = target;
+    return target * h;
+  }
+
+  const decay = Math.exp(-h / tau);
+  t.level = target + (start - target) * decay;
+  return target * h + (start - target) * tau * (1 - decay);
+}
@@ -0,0 +1,111 @@
+// File: wheelAllocation.js
+
+import * as CANNON from 'cannon-es';
+import { principalAxes } from './massProperties.js';
+
+// Directions the wheel axes span less than this (relative to the best one) count as not spanned
+const RANK_TOLERANCE = 1e-9;
+
+/**
+ * Sharing a commanded torque out between reaction wheels, for any number of wheels on
+ * any axes: three orthogonal ones, skewed ones, or a redundant array such as a
+ * four-wheel pyramid.
+ *
+ * The wheels' torques u (one per wheel, along its axis) give the torque A·u, where the
+ * columns of A are the wheel axes. The allocation is the least-effort one that gives the
+ * command, u = A⁺·τ, with A⁺ the pseudo-inverse of A. A wheel that can't give its share
+ * (its motor torque, or no more momentum room) is held at its limit, and the rest of the
+ * torque is shared out again between the others.
+ *
+ * With more wheels than axes, the wheels can also trade momentum among themselves
+ * without turning the spacecraft, through the null space of A. nullSpaceTorques() uses
+ * that to spread the momentum evenly, so no wheel saturates early while the others idle.
+ */
+
+/**
+ * The rows of the pseudo-inverse of the wheel axis matrix: wheel i's share of a torque τ
+ * is rows[i]·τ. Directions the axes don't span get no torque.
+ * @param {Array<CANNON.Vec3>} axes - Unit wheel axes, body frame.
+ * @returns {Array<CANNON.Vec3>} One row per wheel.
+ */
+export function wheelPseudoInverse(axes) {
+  // A⁺ = Aᵀ·(A·Aᵀ)⁺, and A·Aᵀ = Σ aᵢ·aᵢᵀ is symmetric, so it can be inverted through its eigenvectors
+  const spread = new CANNON.Mat3([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const e = spread.elements;
+  axes.forEach(a => {
+    e[0] += a.x * a.x; e[1] += a.x * a.y; e[2] += a.x * a.z;
+    e[3] += a.y * a.x; e[4] += a.y * a.y; e[5] += a.y * a.z;
+    e[6] += a.z * a.x; e[7] += a.z * a.y; e[8] += a.z * a.z;
+  });
+
+  const { moments, axes: directions } = principalAxes(spread);
+  const largest = Math.max(...moments);
+  return axes.map(a => {
+    const row = new CANNON.Vec3(0, 0, 0);
+    moments.forEach((moment, k) => {
+      if (moment <= RANK_TOLERANCE * largest) return;
+      const v = directions[k];
+      row.vadd(v.scale(v.dot(a) / moment), row);
+    });
+    return row;
+  });
+}
+
+/**
+ * Wheel torques that give a commanded torque, within each wheel's limits.
+ * @param {Array<CANNON.Vec3>} axes - Unit wheel axes, body frame.
+ * @param {CANNON.Vec3} torque - The torque wanted from the wheels together, body frame.
+ * @param {Array<object>} limits - { min, max } torque each wheel can give this step, N·m.
+ *   A wheel whose range is empty (a failed one) gives nothing.
+ * @param {Array<number>} [preferred] - Torques to start from, such as null-space ones that give
+ *   no torque together; the command is added to them.
+ * @returns {Array<number>} Each wheel's torque, N·m.
+ */
+export function allocateWheelTorques(axes, torque, limits, preferred = null) {
+  const base = preferred ? preferred.slice() : axes.map(() => 0);
+  const torques = base.slice();
+  const fixed = limits.map(limit => !(limit.max > limit.min));
+  fixed.forEach((isFixed, i) => { if (isFixed) torques[i] = 0; });
+
+  // Each pass holds the wheels that went past their limits there, and shares what
+  // they couldn't give between the others
+  for (let pass = 0; pass < axes.length; pass++) {
+    const free = axes.map((_, i) => i).filter(i => !fixed[i]);
+    if (free.length === 0) break;
+
+    const residual = torque.clone();
+    axes.forEach((a, i) => residual.vsub(a.scale(fixed[i] ? torques[i] : base[i]), residual));
+    const rows = wheelPseudoInverse(free.map(i => axes[i]));
+    free.forEach((i, k) => torques[i] = base[i] + rows[k].dot(residual));
+
+    const saturated = free.filter(i => torques[i] > limits[i].max || torques[i] < limits[i].min);
+    if (saturated.length === 0) break;
+    saturated.forEach(i => {
+      torques[i] = Math.min(limits[i].max, Math.max(limits[i].min, torques[i]));
+      fixed[i] = true;
+    });
+  }
+  return torques;
+}
+
+/**
+ * Wheel torques that move momentum between the wheels without turning the spacecraft,
+ * towards the least-effort spread of the momentum they hold together. With three wheels
+ * on independent axes there is nothing to trade, and they are all zero.
+ * @param {Array<CANNON.Vec3>} axes - Unit wheel axes, body frame.
+ * @param {Array<number>} momenta - Each wheel's momentum, N·m·s.
+ * @param {number} gain - 1/s; how fast the spread is evened out.
+ * @param {Array<boolean>} [usable] - Which wheels can be driven; the others keep what they hold.
+ * @returns {Array<number>} Each wheel's torque, N·m.
+ */
+export function nullSpaceTorques(axes, momenta, gain, usable = null) {
+  const torques = axes.map(() => 0);
+  const indices = axes.map((_, i) => i).filter(i => !usable || usable[i]);
+  if (gain <= 0 || indices.length === 0) return torques;
+
+  const total = new CANNON.Vec3(0, 0, 0);
+  indices.forEach(i => total.vadd(axes[i].scale(momenta[i]), total));
+  const rows = wheelPseudoInverse(indices.map(i => axes[i]));
+  indices.forEach((i, k) => torques[i] = -gain * (momenta[i] - rows[k].dot(total)));
+  return torques;
+}